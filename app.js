@@ -0,0 +1,40 @@
+// app.js
+// The Express app: middleware, routes, API docs and error handling. index.js configures the
+// environment, connects to the database and starts listening; tests can require this file on its own.
+const express = require('express');
+const app = express();
+
+// --- Express Middleware ---
+const cors = require('cors');
+app.use(cors()); // CORS should be early
+
+// Body parsing middleware - MUST come before routes that use req.body
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// --- Local image storage (IMAGE_STORAGE=local) serves uploaded product images itself ---
+if (process.env.IMAGE_STORAGE === 'local') {
+    app.use('/uploads', express.static(require('./services/storage').getImageStorage().dir));
+}
+
+
+// --- Mount Routes ---
+// The mount table also feeds the OpenAPI document served at /api/docs/openapi.json
+const { ROUTE_MOUNTS } = require('./routes');
+ROUTE_MOUNTS.forEach(({ path, router }) => {
+    app.use(path, router);
+});
+
+
+// --- Basic Root Route ---
+app.get('/', (req, res) => {
+    res.send('Welcome to the Leather walk online shop API');
+});
+
+// --- Catch-all 404 and Error Handling Middleware ---
+// Every error response has the shape { error: { code, message, details? } } (see middleware/errorHandler.js)
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
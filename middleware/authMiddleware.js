@@ -0,0 +1,90 @@
+// middleware/authMiddleware.js
+const User = require('../models/UserModel');
+const { verifyAccessToken } = require('../utils/tokens');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Verify the Bearer access token and load the caller onto req.user.
+ * Customers and staff are both User accounts. Tokens issued to the old Admin accounts
+ * still resolve, because the admin migration keeps each account's _id.
+ */
+async function protect(req, res, next) {
+    const authHeader = req.headers.authorization || '';
+    if (!authHeader.startsWith('Bearer ')) {
+        throw new AppError(401, 'Not authorized, no token.');
+    }
+
+    let decoded;
+    try {
+        decoded = verifyAccessToken(authHeader.slice('Bearer '.length).trim());
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new AppError(401, 'Not authorized, token expired.', { code: 'TOKEN_EXPIRED' });
+        }
+        throw new AppError(401, 'Not authorized, token invalid.');
+    }
+
+    const account = await User.findById(decoded.id).select('-password');
+    if (!account) {
+        throw new AppError(401, 'Not authorized, account no longer exists.');
+    }
+
+    // Tokens issued before a password reset are no longer valid
+    if (account.passwordChangedAt && decoded.iat * 1000 < account.passwordChangedAt.getTime()) {
+        throw new AppError(401, 'Not authorized, password was changed. Please log in again.');
+    }
+    if (account.isSuspended()) {
+        throw new AppError(403, 'Your account has been suspended.', { code: 'ACCOUNT_SUSPENDED' });
+    }
+
+    req.user = account;
+    next();
+}
+
+/**
+ * Only let callers whose role is one of `roles` through. Must run after `protect`.
+ * @example router.get('/', protect, authorizeRoles('super_admin'), handler)
+ */
+function authorizeRoles(...roles) {
+    const middleware = (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            throw new AppError(403, 'You do not have permission to perform this action.');
+        }
+        next();
+    };
+    middleware.roles = roles; // listed in the API docs
+    return middleware;
+}
+
+/**
+ * Only let callers whose role grants every one of `permissions` through. Must run after `protect`.
+ * @example router.post('/', protect, authorizePermissions('catalog:manage'), handler)
+ */
+function authorizePermissions(...permissions) {
+    const middleware = (req, res, next) => {
+        if (!req.user || !permissions.every((permission) => req.user.hasPermission(permission))) {
+            throw new AppError(403, 'You do not have permission to perform this action.');
+        }
+        next();
+    };
+    middleware.permissions = permissions; // listed in the API docs
+    return middleware;
+}
+
+/**
+ * Only let the caller through if req.params[paramName] is their own id, or they are staff
+ * allowed to see (GET) or change customer data. Must run after `protect`.
+ */
+function authorizeSelfOrAdmin(paramName = 'userId') {
+    return (req, res, next) => {
+        if (req.user.hasPermission(req.method === 'GET' ? 'customers:read' : 'customers:manage')) {
+            return next();
+        }
+        if (req.user._id.toString() !== req.params[paramName]) {
+            throw new AppError(403, 'You can only access your own data.');
+        }
+        next();
+    };
+}
+
+module.exports = { protect, authorizeRoles, authorizePermissions, authorizeSelfOrAdmin };
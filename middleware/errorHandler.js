@@ -0,0 +1,74 @@
+// middleware/errorHandler.js
+// The only place error responses are built. Every error reaches the client as
+//   { error: { code, message, details? } }
+// whether it was thrown as an AppError or came from Mongoose, multer or the body parser.
+
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { AppError } = require('../utils/errors');
+
+// Map anything thrown by the app or its libraries onto an AppError
+function toAppError(err) {
+    if (err instanceof AppError) {
+        return err;
+    }
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return new AppError(400, 'File too large! Maximum allowed size is 5MB.', { code: 'FILE_TOO_LARGE' });
+        }
+        return new AppError(400, err.message || 'File upload error.', { code: 'UPLOAD_ERROR', details: { field: err.field } });
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        const details = Object.values(err.errors).map((fieldError) => ({
+            location: 'body',
+            field: fieldError.path,
+            message: fieldError.message
+        }));
+        return new AppError(400, err.message, { code: 'VALIDATION_ERROR', details });
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return new AppError(400, `Invalid ${err.path}: ${JSON.stringify(err.value)}.`, {
+            code: 'VALIDATION_ERROR',
+            details: [{ field: err.path, message: err.kind === 'ObjectId' ? 'must be a valid id' : `must be a valid ${err.kind}` }]
+        });
+    }
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyValue || err.keyPattern || {})[0] || 'value';
+        return new AppError(409, `${field} already exists.`, {
+            code: 'DUPLICATE_KEY',
+            details: [{ field, message: 'already exists' }]
+        });
+    }
+    // Errors from the body parser (malformed JSON, oversized bodies) are safe to show
+    if (err.type === 'entity.parse.failed') {
+        return new AppError(400, 'Request body is not valid JSON.', { code: 'INVALID_JSON' });
+    }
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new AppError(err.status, err.message);
+    }
+    return null;
+}
+
+// Express error middleware: it must keep all four arguments
+function errorHandler(err, req, res, next) {
+    const error = toAppError(err);
+    if (!error) {
+        console.error('Unhandled Server Error:', err && err.stack ? err.stack : err);
+        return res.status(500).json({ error: { code: 'INTERNAL_ERROR', message: 'An unexpected server error occurred.' } });
+    }
+    if (error.status >= 500) {
+        console.error(`${req.method} ${req.originalUrl} failed:`, err.stack || err.message);
+    }
+    const body = { code: error.code, message: error.message };
+    if (error.details !== undefined) {
+        body.details = error.details;
+    }
+    res.status(error.status).json({ error: body });
+}
+
+// Unmatched routes
+function notFound(req, res) {
+    throw new AppError(404, `Cannot ${req.method} ${req.originalUrl}.`, { code: 'ROUTE_NOT_FOUND' });
+}
+
+module.exports = { errorHandler, notFound };
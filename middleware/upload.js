@@ -0,0 +1,19 @@
+// middleware/upload.js
+const multer = require('multer');
+const { AppError } = require('../utils/errors');
+
+// Image uploads are kept in memory and handed to the image storage (services/storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new AppError(400, 'Only JPEG, PNG, GIF, and WEBP image formats are allowed!', { code: 'UNSUPPORTED_FILE_TYPE' }), false);
+    }
+  }
+});
+
+module.exports = upload;
@@ -0,0 +1,196 @@
+// middleware/validate.js
+// Declarative request validation. Each route lists the shape of the params, query and body
+// it accepts; anything that does not match is rejected with a 400 VALIDATION_ERROR whose
+// `details` name every offending field:
+//   { error: { code: 'VALIDATION_ERROR', message, details: [{ location, field, message }] } }
+//
+// A rule is a plain object:
+//   type       'string' | 'number' | 'integer' | 'boolean' | 'objectId' | 'date' | 'email' | 'array' | 'object'
+//   required   reject when missing (undefined, null or '')
+//   nullable   accept null (e.g. to clear an optional field)
+//   enum       allowed values
+//   min, max   bounds for numbers
+//   minLength, maxLength   bounds for strings and arrays
+//   pattern    RegExp strings must match
+//   items      rule for every array element
+//   properties rules for the keys of an object
+//
+// Params and query values are always strings, and so are multipart/urlencoded bodies, so
+// there numbers, integers and booleans are checked on their parsed value. JSON bodies must
+// send the real type. Values are only checked, never rewritten; handlers parse as before.
+
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Query rules for the ?page&limit accepted by every list endpoint (see parsePagination)
+const paginationQuery = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+function toNumber(value, lenient) {
+    if (typeof value === 'number') return value;
+    if (lenient && typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+}
+
+// Returns the problem with `value` as a message, or null when it satisfies `rule`
+function checkValue(value, rule, lenient) {
+    switch (rule.type) {
+        case 'string':
+        case 'email':
+            if (typeof value !== 'string') return 'must be a string';
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) return 'must be a valid email address';
+            if (rule.minLength !== undefined && value.trim().length < rule.minLength) return `must be at least ${rule.minLength} characters`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            if (rule.pattern && !rule.pattern.test(value)) return 'has an invalid format';
+            break;
+        case 'number':
+        case 'integer': {
+            const number = toNumber(value, lenient);
+            if (!Number.isFinite(number)) return 'must be a number';
+            if (rule.type === 'integer' && !Number.isInteger(number)) return 'must be an integer';
+            if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+            if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+            break;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') break;
+            if (lenient && ['true', 'false'].includes(value)) break;
+            return 'must be true or false';
+        case 'objectId':
+            if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) return 'must be a valid id';
+            break;
+        case 'date': {
+            if (typeof value !== 'string' && typeof value !== 'number') return 'must be a date';
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) return 'must be a valid date';
+            break;
+        }
+        case 'array':
+            if (!Array.isArray(value)) return 'must be an array';
+            if (rule.minLength !== undefined && value.length < rule.minLength) return `must contain at least ${rule.minLength} item(s)`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must contain at most ${rule.maxLength} item(s)`;
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            break;
+        case undefined:
+            break;
+        default:
+            throw new Error(`Unknown validation type '${rule.type}'`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of: ${rule.enum.join(', ')}`;
+    }
+    return null;
+}
+
+// Check `value` against `rule`, pushing every problem (including nested ones) onto `details`
+function checkField(value, rule, field, location, lenient, details) {
+    if (value === null && rule.nullable) {
+        return;
+    }
+    if (isMissing(value)) {
+        if (rule.required) {
+            details.push({ location, field, message: 'is required' });
+        }
+        return;
+    }
+    const problem = checkValue(value, rule, lenient);
+    if (problem) {
+        details.push({ location, field, message: problem });
+        return;
+    }
+    if (rule.type === 'array' && rule.items) {
+        value.forEach((item, index) => checkField(item, rule.items, `${field}[${index}]`, location, lenient, details));
+    }
+    if (rule.type === 'object' && rule.properties) {
+        checkFields(value, rule.properties, `${field}.`, location, lenient, details);
+    }
+}
+
+function checkFields(source, rules, prefix, location, lenient, details) {
+    Object.entries(rules).forEach(([name, rule]) => {
+        checkField(source ? source[name] : undefined, rule, `${prefix}${name}`, location, lenient, details);
+    });
+}
+
+function assertKnownLocations(schema) {
+    Object.keys(schema).forEach((location) => {
+        if (!LOCATIONS.includes(location)) {
+            throw new Error(`validate() does not know the '${location}' request location`);
+        }
+    });
+}
+
+// Check every location of `schema` and throw one VALIDATION_ERROR listing all problems
+function assertMatches(schema, sources, { strict, isLenient }) {
+    const details = [];
+    LOCATIONS.forEach((location) => {
+        if (!schema[location]) return;
+        checkFields(sources[location], schema[location], '', location, isLenient(location), details);
+    });
+    if (strict && schema.body && sources.body) {
+        Object.keys(sources.body)
+            .filter((field) => !(field in schema.body))
+            .forEach((field) => details.push({ location: 'body', field, message: 'is not allowed' }));
+    }
+    if (details.length > 0) {
+        const summary = details.map((detail) => `${detail.field} ${detail.message}`).join('; ');
+        throw new AppError(400, `Invalid request: ${summary}.`, { code: 'VALIDATION_ERROR', details });
+    }
+}
+
+/**
+ * Reject requests whose params, query or body do not match `schema`.
+ * @param {{ params?: object, query?: object, body?: object }} schema field name -> rule
+ * @param {{ strict?: boolean }} [options] strict: also reject body fields the schema does not list
+ * @example router.post('/', validate({ body: { name: { type: 'string', required: true } } }), handler)
+ */
+function validate(schema, { strict = false } = {}) {
+    assertKnownLocations(schema);
+    const middleware = (req, res, next) => {
+        assertMatches(schema, req, {
+            strict,
+            isLenient: (location) => location !== 'body' || !req.is('application/json')
+        });
+        next();
+    };
+    // Read by utils/openapi.js, which documents each route from the rules it validates against
+    middleware.schema = schema;
+    middleware.strict = strict;
+    return middleware;
+}
+
+/**
+ * validate() for values a handler has parsed itself, such as a JSON string sent in a multipart
+ * form: throws the same 400 VALIDATION_ERROR, or returns. Values must have their real types.
+ * @param {{ params?: object, query?: object, body?: object }} schema as for validate()
+ * @param {{ params?: object, query?: object, body?: object }} values
+ * @param {{ strict?: boolean }} [options]
+ * @example validateValues({ body: { variants: variantRules } }, { body: { variants } })
+ */
+function validateValues(schema, values, { strict = false } = {}) {
+    assertKnownLocations(schema);
+    assertMatches(schema, values, { strict, isLenient: () => false });
+}
+
+/**
+ * Reject requests whose named route params are not valid ObjectIds.
+ * @example router.get('/:id', validateObjectIds('id'), handler)
+ */
+function validateObjectIds(...names) {
+    const params = {};
+    names.forEach((name) => {
+        params[name] = { type: 'objectId', required: true };
+    });
+    return validate({ params });
+}
+
+module.exports = { validate, validateValues, validateObjectIds, paginationQuery };
@@ -1,12 +1,19 @@
 // admin user model
+// Legacy: staff are now User accounts with a staff role. This model is only kept so
+// scripts/migrateAdmins.js can read the old `admins` collection.
 const mongoose = require('mongoose');
+const { passwordPlugin } = require('../utils/password');
 
 const adminSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true }, // Correctly set to unique
     email: { type: String, required: true, unique: true },   // Correctly set to unique
     password: { type: String, required: true },
+    role: { type: String, enum: ['admin'], default: 'admin' },
     createdAt: { type: Date, default: Date.now }
   });
   
+  // Hash passwords on save/update and keep them out of API responses
+  adminSchema.plugin(passwordPlugin);
+
   const User = mongoose.model('Admin', adminSchema);
   module.exports = User;
\ No newline at end of file
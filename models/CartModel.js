@@ -1,12 +1,19 @@
 // models/Cart.js
 const mongoose = require('mongoose');
 
+// A cart belongs either to a user or, before they log in, to a guest holding a cart token
 const cartSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true,
-        unique: true // Ensure one cart per user
+        ref: 'User'
+    },
+    // SHA-256 of the guest's cart token; the raw token is only ever held by the client
+    guestTokenHash: {
+        type: String
+    },
+    // Guest carts are removed by MongoDB once this passes; user carts never expire
+    expiresAt: {
+        type: Date
     },
     products: [
         {
@@ -15,6 +22,11 @@ const cartSchema = new mongoose.Schema({
                 ref: 'Product',
                 required: true
             },
+            // Set for products sold in variants; a product can appear once per variant
+            variantId: {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null
+            },
             quantity: {
                 type: Number,
                 required: true,
@@ -25,7 +37,32 @@ const cartSchema = new mongoose.Schema({
                 required: true
             }
         }
-    ]
+    ],
+    // Coupon applied with POST /api/carts/:userId/coupon; re-validated at checkout
+    couponCode: {
+        type: String,
+        trim: true,
+        uppercase: true
+    }
 }, { timestamps: true });
 
+// One cart per user and per guest token. Partial indexes, because the other field is absent.
+// (Databases created before guest carts have a plain unique `user_1` index; `npm run migrate:carts` replaces it.)
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+cartSchema.index({ guestTokenHash: 1 }, { unique: true, partialFilterExpression: { guestTokenHash: { $type: 'string' } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('validate', function () {
+    if (!this.user && !this.guestTokenHash) {
+        this.invalidate('user', 'A cart needs a user or a guest token.');
+    }
+});
+
+cartSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.guestTokenHash;
+        return ret;
+    }
+});
+
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
@@ -0,0 +1,120 @@
+// models/CategoryModel.js
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+// Turn "Men's Shoes" into "mens-shoes"
+function slugify(value) {
+    return String(value)
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Storefront category tree, e.g. Shoes > Men > Boots.
+// `ancestors` holds every parent id from the root down so whole subtrees can be queried at once.
+const categorySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    description: { type: String, trim: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null, index: true },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    displayOrder: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+categorySchema.index({ ancestors: 1 });
+
+categorySchema.pre('validate', function () {
+    if (!this.slug && this.name) {
+        this.slug = slugify(this.name);
+    }
+});
+
+// Keep `ancestors` in step with `parent`
+categorySchema.pre('save', async function () {
+    // Remembered for the post-save hook, where isModified is no longer available
+    this.$locals.parentChanged = !this.isNew && this.isModified('parent');
+    this.$locals.nameChanged = !this.isNew && this.isModified('name');
+    if (!this.isModified('parent')) {
+        return;
+    }
+    if (!this.parent) {
+        this.ancestors = [];
+        return;
+    }
+    if (this.parent.equals(this._id)) {
+        throw new AppError(400, 'A category cannot be its own parent.');
+    }
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+        throw new AppError(400, 'Parent category not found.');
+    }
+    if (parent.ancestors.some((id) => id.equals(this._id))) {
+        throw new AppError(400, 'A category cannot be moved under one of its own subcategories.');
+    }
+    this.ancestors = [...parent.ancestors, parent._id];
+});
+
+// After a move, rewrite the ancestor path of every subcategory; after a rename,
+// update the category name denormalised onto products
+categorySchema.post('save', async function () {
+    if (this.$locals.parentChanged) {
+        const descendants = await this.constructor.find({ ancestors: this._id });
+        const operations = descendants.map((descendant) => {
+            const index = descendant.ancestors.findIndex((id) => id.equals(this._id));
+            const ancestors = [...this.ancestors, this._id, ...descendant.ancestors.slice(index + 1)];
+            return { updateOne: { filter: { _id: descendant._id }, update: { $set: { ancestors } } } };
+        });
+        if (operations.length > 0) {
+            await this.constructor.bulkWrite(operations);
+        }
+    }
+    if (this.$locals.nameChanged) {
+        await mongoose.model('Product').updateMany({ categoryId: this._id }, { $set: { category: this.name } });
+    }
+});
+
+/**
+ * Ids of the categories with the given slugs plus all of their subcategories.
+ * @param {string[]} slugs
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+categorySchema.statics.findSubtreeIds = async function (slugs) {
+    const roots = await this.find({ slug: { $in: slugs.map((slug) => slug.toLowerCase()) } }).select('_id');
+    const rootIds = roots.map((category) => category._id);
+    if (rootIds.length === 0) {
+        return [];
+    }
+    const descendants = await this.find({ ancestors: { $in: rootIds } }).select('_id');
+    return [...rootIds, ...descendants.map((category) => category._id)];
+};
+
+/**
+ * Nest a flat list of categories into a tree ordered by displayOrder then name.
+ * @returns {Array<Object>} root categories, each with a `children` array
+ */
+categorySchema.statics.buildTree = function (categories) {
+    const nodes = new Map();
+    categories.forEach((category) => {
+        nodes.set(category._id.toString(), { ...category.toJSON(), children: [] });
+    });
+
+    const roots = [];
+    nodes.forEach((node) => {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        (parent ? parent.children : roots).push(node);
+    });
+
+    const order = (a, b) => a.displayOrder - b.displayOrder || a.name.localeCompare(b.name);
+    const sortTree = (list) => {
+        list.sort(order);
+        list.forEach((node) => sortTree(node.children));
+        return list;
+    };
+    return sortTree(roots);
+};
+
+categorySchema.statics.slugify = slugify;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,94 @@
+// models/CouponModel.js
+const mongoose = require('mongoose');
+
+// Promotion codes applied to a cart and re-checked when the order is created.
+// percentage: `value`% off the eligible items (capped by maxDiscount when set)
+// fixed:      `value` KES off the eligible items
+// free_shipping: the order's shipping cost is waived
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping'],
+        required: true
+    },
+    value: {
+        type: Number,
+        min: 0,
+        default: 0,
+        validate: {
+            validator: function (value) {
+                return this.type !== 'percentage' || value <= 100;
+            },
+            message: 'A percentage coupon cannot take off more than 100%.'
+        }
+    },
+    maxDiscount: { // Upper limit for percentage coupons
+        type: Number,
+        min: 0
+    },
+    minimumSpend: { // Cart subtotal needed before the coupon applies
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    startsAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date
+    },
+    usageLimit: { // Total redemptions across all customers; empty means unlimited
+        type: Number,
+        min: 1
+    },
+    usageLimitPerUser: { // Redemptions per customer; empty means unlimited
+        type: Number,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // When either list is set, the discount only applies to matching items
+    // (categories include their subcategories)
+    productIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    categoryIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+couponSchema.pre('validate', function () {
+    if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+        this.invalidate('expiresAt', 'expiresAt must be after startsAt.');
+    }
+});
+
+couponSchema.statics.normalizeCode = function (code) {
+    return String(code || '').trim().toUpperCase();
+};
+
+couponSchema.methods.hasRestrictions = function () {
+    return this.productIds.length > 0 || this.categoryIds.length > 0;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
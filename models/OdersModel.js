@@ -1,11 +1,27 @@
 const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+
+// --- Order Status Transitions ---
+// Every status change must follow this graph. Cancelled and Returned are final.
+const ORDER_STATUS_TRANSITIONS = {
+    Pending: ['Processing', 'Cancelled'],
+    Processing: ['Shipped', 'Cancelled'],
+    Shipped: ['Delivered'],
+    Delivered: ['Returned'],
+    Cancelled: [],
+    Returned: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Reasons a customer can give when asking to return a delivered order
+const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other'];
 
 const OrderSchema = new mongoose.Schema({
     // --- User Information ---
+    // Empty for guest orders, which are identified by shippingInfo.email instead
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User', // Reference to your User model
-        required: true,
         index: true // Index for efficient lookup by user
     },
 
@@ -17,6 +33,10 @@ const OrderSchema = new mongoose.Schema({
                 ref: 'Product', // Reference to your Product model
                 required: true
             },
+            // Set when the product is sold in variants (size/colour SKUs)
+            variantId: {
+                type: mongoose.Schema.Types.ObjectId
+            },
             quantity: {
                 type: Number,
                 required: true,
@@ -45,6 +65,10 @@ const OrderSchema = new mongoose.Schema({
                 type: String,
                 trim: true,
                 default: 'N/A' // e.g., 'Red', 'Blue', or 'N/A'
+            },
+            skuAtTimeOfOrder: {
+                type: String,
+                trim: true
             }
         }
     ],
@@ -61,6 +85,11 @@ const OrderSchema = new mongoose.Schema({
             required: true,
             trim: true
         },
+        email: { // Required for guest orders so the shopper can be contacted
+            type: String,
+            trim: true,
+            lowercase: true
+        },
         county: {
             type: String,
             required: true,
@@ -90,7 +119,12 @@ const OrderSchema = new mongoose.Schema({
         enum: ['Pending', 'Paid', 'Failed', 'Refunded'],
         default: 'Pending'
     },
-    // You might want to add a transactionId field here for payment gateway references
+    // Payment gateway reference of the successful payment, e.g. the M-Pesa receipt number
+    transactionId: {
+        type: String,
+        trim: true,
+        sparse: true
+    },
 
     // --- Financial Summary ---
     subtotalAmount: {
@@ -98,11 +132,33 @@ const OrderSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
-    shippingCost: {
+    shippingCost: { // Calculated by the server from the shipping zone of shippingInfo.county
         type: Number,
         required: true,
         min: 0
     },
+    shippingZone: {
+        type: String,
+        trim: true
+    },
+    // Coupon applied to the order; totalAmount = subtotalAmount + shippingCost - discount.amount
+    discount: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        type: {
+            type: String,
+            enum: ['percentage', 'fixed', 'free_shipping']
+        },
+        description: String,
+        amount: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    },
     totalAmount: {
         type: Number,
         required: true,
@@ -112,10 +168,37 @@ const OrderSchema = new mongoose.Schema({
     // --- Order Status & Timestamps ---
     orderStatus: {
         type: String,
-        enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned'],
+        enum: ORDER_STATUSES,
         default: 'Pending',
         index: true // Index for efficient filtering by status
     },
+    // One entry per status change, oldest first; rendered by the tracking page timeline
+    statusHistory: [
+        {
+            status: {
+                type: String,
+                enum: ORDER_STATUSES,
+                required: true
+            },
+            changedAt: {
+                type: Date,
+                default: Date.now
+            },
+            changedBy: { // User or Admin id; empty for system changes
+                type: mongoose.Schema.Types.ObjectId
+            },
+            changedByRole: {
+                type: String,
+                enum: ['customer', 'admin', 'system'],
+                default: 'system'
+            },
+            note: {
+                type: String,
+                trim: true,
+                default: ''
+            }
+        }
+    ],
     // Optional: Add a field for a tracking number once shipped
     trackingNumber: {
         type: String,
@@ -125,10 +208,100 @@ const OrderSchema = new mongoose.Schema({
     // Optional: Date of delivery
     deliveredAt: {
         type: Date
+    },
+
+    // --- Cancellation & Returns ---
+    cancellationReason: {
+        type: String,
+        trim: true
+    },
+    cancelledAt: {
+        type: Date
+    },
+    returnRequest: {
+        status: {
+            type: String,
+            enum: ['Requested', 'Approved', 'Rejected']
+        },
+        reason: {
+            type: String,
+            enum: RETURN_REASONS
+        },
+        comment: {
+            type: String,
+            trim: true
+        },
+        requestedAt: Date,
+        resolvedAt: Date,
+        resolvedBy: mongoose.Schema.Types.ObjectId,
+        resolutionNote: {
+            type: String,
+            trim: true
+        }
+    },
+    // Set when payment was collected and the order was later cancelled or returned
+    refundedAt: {
+        type: Date
     }
 
 }, {
     timestamps: true // Adds createdAt and updatedAt fields automatically
 });
 
+// Per-customer coupon usage checks
+OrderSchema.index({ 'discount.couponId': 1, userId: 1 });
+
+OrderSchema.pre('validate', function () {
+    if (!this.userId && !(this.shippingInfo && this.shippingInfo.email)) {
+        this.invalidate('shippingInfo.email', 'An email address is required for guest orders.');
+    }
+});
+
+// Record the initial status when an order is first created
+OrderSchema.pre('save', function () {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            status: this.orderStatus,
+            changedBy: this.userId,
+            changedByRole: 'customer',
+            note: 'Order placed'
+        });
+    }
+});
+
+OrderSchema.statics.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+OrderSchema.statics.ORDER_STATUSES = ORDER_STATUSES;
+OrderSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+OrderSchema.methods.canTransitionTo = function (nextStatus) {
+    return (ORDER_STATUS_TRANSITIONS[this.orderStatus] || []).includes(nextStatus);
+};
+
+/**
+ * Move the order to `nextStatus` and append a statusHistory entry.
+ * Throws an AppError if the transition is not allowed. Does not save.
+ * @param {string} nextStatus
+ * @param {{ actor?: Object, role?: string, note?: string }} [options]
+ */
+OrderSchema.methods.transitionTo = function (nextStatus, { actor, role = 'system', note = '' } = {}) {
+    if (!ORDER_STATUSES.includes(nextStatus)) {
+        throw new AppError(400, `Invalid order status '${nextStatus}'.`);
+    }
+    if (!this.canTransitionTo(nextStatus)) {
+        throw new AppError(409, `Cannot change order status from ${this.orderStatus} to ${nextStatus}.`);
+    }
+    this.orderStatus = nextStatus;
+    if (nextStatus === 'Delivered' && !this.deliveredAt) {
+        this.deliveredAt = new Date();
+    }
+    this.statusHistory.push({
+        status: nextStatus,
+        changedAt: new Date(),
+        changedBy: actor ? actor._id : undefined,
+        changedByRole: role,
+        note
+    });
+    return this;
+};
+
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
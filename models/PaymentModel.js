@@ -0,0 +1,87 @@
+// models/PaymentModel.js
+const mongoose = require('mongoose');
+
+// Payment ledger: one document per payment attempt or refund against an order
+// (each M-Pesa STK push, a manually recorded cash/COD payment, a refund).
+// The net collected for an order is the sum of successful payments minus successful refunds.
+const paymentSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['payment', 'refund'],
+        default: 'payment'
+    },
+    provider: {
+        type: String,
+        enum: ['mpesa', 'card', 'cod', 'manual'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['Pending', 'Success', 'Failed'],
+        default: 'Pending'
+    },
+    // Daraja identifiers returned by the STK push request
+    merchantRequestId: {
+        type: String
+    },
+    checkoutRequestId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    // M-Pesa receipt number from a successful callback, e.g. 'NLJ7RT61SV'
+    receiptNumber: {
+        type: String,
+        trim: true
+    },
+    resultCode: {
+        type: Number
+    },
+    resultDesc: {
+        type: String
+    },
+    // Generic provider reference: the M-Pesa receipt, a bank/cash slip number, etc.
+    providerReference: {
+        type: String,
+        trim: true
+    },
+    // Raw provider payloads, kept for disputes and reconciliation
+    rawResponse: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    rawCallback: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Providers retry callbacks; repeats are counted here instead of being re-applied
+    duplicateCallbacks: {
+        type: Number,
+        default: 0
+    },
+    // Admin who recorded a manual payment or refund
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    note: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: true });
+
+paymentSchema.index({ orderId: 1, status: 1, type: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,19 +1,169 @@
 // models/ProductModel.js
 const mongoose = require('mongoose');
 
+// A purchasable size/colour combination of a product (e.g. a shoe in size 42, brown).
+// Each variant has its own SKU and stock; `price` overrides the product price when set.
+const variantSchema = new mongoose.Schema({
+    sku: { type: String, required: true, trim: true },
+    size: { type: String, trim: true },
+    color: { type: String, trim: true },
+    price: { type: Number, min: 0 },
+    quantity: { type: Number, required: true, min: 0, default: 0 }
+});
+
+// A gallery image. `publicId` is the key in image storage (Cloudinary or local disk), used to delete it.
+const imageSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    publicId: { type: String },
+    alt: { type: String, trim: true, default: '' },
+    order: { type: Number, default: 0 },
+    isPrimary: { type: Boolean, default: false }
+});
+
 const productSchema = new mongoose.Schema({
     name: { type: String, required: true },
     description: { type: String },
     price: { type: Number, required: true, min: 0 },
     quantity: { type: Number, required: true, min: 0 }, // This is your stock
-    imageUrl: { type: String },
-    category: { type: String },
+    imageUrl: { type: String }, // Mirrors the primary image's url when the product has images
+    images: { type: [imageSchema], default: [] },
+    imagePublicId: { type: String }, // Storage key of the single image products had before the gallery
+    category: { type: String }, // Category name, kept in sync with categoryId when that is set
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', index: true },
     brand: { type: String },
     size: { type: String },
     color: { type: String },
+    weightKg: { type: Number, min: 0 }, // Shipping weight of one item
+    // When variants exist, `quantity` is kept as the sum of their stock
+    variants: { type: [variantSchema], default: [] },
+    // Denormalised from approved reviews by Review.refreshProductRating; not set directly
+    ratingAverage: { type: Number, min: 0, max: 5, default: 0 },
+    ratingCount: { type: Number, min: 0, default: 0 },
+    // Listed in the low-stock report at or below this many units (per variant); LOW_STOCK_THRESHOLD when unset
+    lowStockThreshold: { type: Number, min: 0 },
     // Add other fields as per your product data
 }, { timestamps: true });
 
+// --- Catalogue search indexes (GET /api/products) ---
+productSchema.index(
+    { name: 'text', description: 'text', brand: 'text' },
+    { weights: { name: 10, brand: 5, description: 1 }, name: 'product_text_search' }
+);
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ brand: 1, price: 1 });
+productSchema.index({ price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
+productSchema.index({ 'variants.size': 1 });
+productSchema.index({ 'variants.color': 1 });
+
+// SKUs are unique across the whole catalogue; products without variants are skipped
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+
+productSchema.pre('validate', function () {
+    const skus = this.variants.map((variant) => variant.sku);
+    if (new Set(skus).size !== skus.length) {
+        this.invalidate('variants', 'Variant SKUs must be unique within a product.');
+    }
+});
+
+// Copy the category name onto the product so search and older clients keep working
+productSchema.pre('validate', async function () {
+    if (this.isModified('categoryId') && this.categoryId) {
+        const category = await mongoose.model('Category').findById(this.categoryId).select('name');
+        if (!category) {
+            this.invalidate('categoryId', 'Category not found.');
+            return;
+        }
+        this.category = category.name;
+    }
+});
+
+productSchema.pre('save', function () {
+    if (this.variants.length > 0) {
+        this.quantity = this.variants.reduce((total, variant) => total + variant.quantity, 0);
+    }
+    this.$locals.stockChanged = !this.isNew && (this.isModified('quantity') || this.isModified('variants'));
+});
+
+// --- Stock ledger ---
+// Every saved stock change is recorded as a StockMovement. Callers describe the change with
+// `product.$locals.stockContext = { type, reason, actor, role }`; without it the change is
+// logged as a system adjustment. The inventory service is required lazily because it needs this model.
+productSchema.pre('save', async function () {
+    this.$locals.stockWasNew = this.isNew;
+    if (this.$locals.stockChanged) {
+        const previous = await this.constructor.findById(this._id).select('quantity variants').session(this.$session());
+        this.$locals.stockBefore = require('../services/inventoryService').stockSnapshot(previous);
+    }
+});
+
+productSchema.post('save', async function (product) {
+    if (!product.$locals.stockWasNew && !product.$locals.stockChanged) {
+        return;
+    }
+    const { recordStockChanges } = require('../services/inventoryService');
+    await recordStockChanges(product.$locals.stockBefore || new Map(), product, {
+        ...product.$locals.stockContext,
+        session: product.$session()
+    });
+});
+
+// Tell wishlists waiting on this product when it is restocked. Runs in the background so a
+// slow mail transport never holds up the save; required lazily because the service needs this model.
+productSchema.post('save', function (product) {
+    if (!product.$locals.stockChanged || product.quantity < 1) {
+        return;
+    }
+    const { notifyBackInStock } = require('../services/wishlistService');
+    notifyBackInStock(product._id).catch((error) => {
+        console.error(`Failed to send back-in-stock notifications for product ${product._id}:`, error);
+    });
+});
+
+// Keep the gallery in display order with exactly one primary image, and mirror it onto imageUrl
+productSchema.pre('save', function () {
+    if (!this.isModified('images')) {
+        return;
+    }
+    this.images.sort((a, b) => a.order - b.order);
+    const primary = this.images.find((image) => image.isPrimary) || this.images[0];
+    this.images.forEach((image, index) => {
+        image.order = index;
+        image.isPrimary = image === primary;
+    });
+    this.imageUrl = primary ? primary.url : undefined;
+});
+
+productSchema.methods.hasVariants = function () {
+    return this.variants.length > 0;
+};
+
+// Look a variant up by its id or SKU
+productSchema.methods.findVariant = function ({ variantId, sku } = {}) {
+    if (variantId) {
+        return this.variants.id(variantId);
+    }
+    if (sku) {
+        return this.variants.find((variant) => variant.sku === sku) || null;
+    }
+    return null;
+};
+
+// Variant price override if there is one, otherwise the product price
+productSchema.methods.priceFor = function (variant) {
+    return variant && typeof variant.price === 'number' ? variant.price : this.price;
+};
+
+// Stock available for a variant, or for the whole product when it has no variants
+productSchema.methods.stockFor = function (variant) {
+    return variant ? variant.quantity : this.quantity;
+};
+
+productSchema.methods.primaryImage = function () {
+    return this.images.find((image) => image.isPrimary) || this.images[0] || null;
+};
+
 // --- THE CRITICAL CHANGE ---
 // Check if the 'Product' model already exists.
 // If it does, use the existing one; otherwise, compile and use the new one.
@@ -0,0 +1,84 @@
+// models/ReviewModel.js
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A product review by a customer who received the product. Reviews start `pending` and only
+// approved ones are shown publicly and counted in the product's rating.
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The delivered order that made the user a verified buyer
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number from 1 to 5.'
+        }
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 120
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: 5000
+    },
+    // `publicId` is the key in image storage, used to delete the photo
+    photos: [{
+        url: { type: String, required: true },
+        publicId: { type: String }
+    }],
+    status: {
+        type: String,
+        enum: REVIEW_STATUSES,
+        default: 'pending'
+    },
+    moderation: {
+        moderatedBy: { type: mongoose.Schema.Types.ObjectId }, // Admin id
+        moderatedAt: { type: Date },
+        note: { type: String, trim: true } // Shown to the author when a review is rejected
+    }
+}, { timestamps: true });
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+reviewSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+/**
+ * Recompute a product's ratingAverage and ratingCount from its approved reviews.
+ * Uses updateOne so the Product save hooks (stock sync, restock emails) do not run.
+ */
+reviewSchema.statics.refreshProductRating = async function (productId) {
+    const [stats] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const ratingAverage = stats ? Math.round(stats.average * 10) / 10 : 0;
+    const ratingCount = stats ? stats.count : 0;
+    await mongoose.model('Product').updateOne({ _id: productId }, { $set: { ratingAverage, ratingCount } });
+    return { ratingAverage, ratingCount };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,90 @@
+// models/ShippingZoneModel.js
+const mongoose = require('mongoose');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A delivery zone: a group of counties sharing one base rate, with surcharges for
+// large or heavy orders and the pickup stations customers can collect from.
+const shippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // County names as used in shippingInfo.county, e.g. 'Nairobi', 'Kiambu'
+    counties: [{
+        type: String,
+        trim: true
+    }],
+    baseRate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // The highest surcharge whose minimum (item count or total weight) the order reaches is added
+    tiers: [{
+        minItems: { type: Number, min: 0 },
+        minWeightKg: { type: Number, min: 0 },
+        surcharge: { type: Number, required: true, min: 0 }
+    }],
+    // Orders whose subtotal reaches this ship free; falls back to FREE_SHIPPING_THRESHOLD
+    freeShippingThreshold: {
+        type: Number,
+        min: 0
+    },
+    pickupStations: [{
+        name: { type: String, required: true, trim: true },
+        county: { type: String, required: true, trim: true },
+        address: { type: String, trim: true },
+        fee: { type: Number, min: 0, default: 0 }, // Added to the zone rate for this station
+        isActive: { type: Boolean, default: true }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+shippingZoneSchema.index({ counties: 1 });
+
+// Every station must be in one of the zone's counties
+shippingZoneSchema.pre('validate', function () {
+    const counties = this.counties.map((county) => county.toLowerCase());
+    this.pickupStations.forEach((station, index) => {
+        if (!counties.includes(station.county.toLowerCase())) {
+            this.invalidate(`pickupStations.${index}.county`, `Pickup station '${station.name}' is in ${station.county}, which is not part of this zone.`);
+        }
+    });
+});
+
+// A county can only belong to one zone, otherwise its rate would be ambiguous
+shippingZoneSchema.pre('validate', async function () {
+    if (!this.isModified('counties') || this.counties.length === 0) {
+        return;
+    }
+    const overlapping = await this.constructor.findOne({
+        _id: { $ne: this._id },
+        counties: { $in: this.counties.map((county) => new RegExp(`^${escapeRegex(county)}$`, 'i')) }
+    }).select('name counties');
+    if (overlapping) {
+        this.invalidate('counties', `Some of these counties already belong to the '${overlapping.name}' zone.`);
+    }
+});
+
+shippingZoneSchema.methods.findPickupStation = function (name, county) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return this.pickupStations.find((station) => station.isActive
+        && station.name.toLowerCase() === wanted
+        && (!county || station.county.toLowerCase() === String(county).trim().toLowerCase())) || null;
+};
+
+// Active zone that delivers to `county` (matched case-insensitively), or null
+shippingZoneSchema.statics.findForCounty = function (county) {
+    return this.findOne({
+        isActive: true,
+        counties: new RegExp(`^${escapeRegex(String(county).trim())}$`, 'i')
+    });
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
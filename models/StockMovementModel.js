@@ -0,0 +1,60 @@
+// models/StockMovementModel.js
+const mongoose = require('mongoose');
+
+// sale: taken by an order; return: put back by a cancelled or returned order;
+// restock: new stock received; adjustment: manual correction (count, damage, product edit)
+const MOVEMENT_TYPES = ['sale', 'return', 'restock', 'adjustment'];
+
+// One change to a stock counter. Product.quantity (or the variant's) is the running total of these.
+const stockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set when the stock belongs to a variant
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true
+    },
+    // Signed change: negative for sales, positive for returns and restocks
+    quantity: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: (value) => Number.isInteger(value) && value !== 0,
+            message: 'Quantity must be a whole number other than 0.'
+        }
+    },
+    // Stock of the product (or variant) right after the change
+    quantityAfter: {
+        type: Number
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    actor: {
+        id: { type: mongoose.Schema.Types.ObjectId }, // User or Admin id; empty for system changes
+        role: { type: String, enum: ['customer', 'admin', 'system'], default: 'system' }
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
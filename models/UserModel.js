@@ -1,17 +1,80 @@
 // models/UserModel.js
 
 const mongoose = require('mongoose');
+const { passwordPlugin } = require('../utils/password');
+const { createOneTimeToken } = require('../utils/tokens');
+const { ROLES, STAFF_ROLES, roleHasPermission } = require('../utils/roles');
 
+// How long emailed links stay valid
+const PASSWORD_RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Contact details are required of customers; staff accounts may leave them out
+function isCustomer() {
+  return this.role === 'user';
+}
+
+// Customers and staff share this model; `role` decides what an account may do (see utils/roles.js)
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true }, // Correctly set to unique
-  fullname: { type: String, required: true },
+  fullname: { type: String, required: isCustomer },
   email: { type: String, required: true, unique: true },   // Correctly set to unique
-  phone: { type: String, required: true, unique: true },   // Correctly set to unique
-  county: { type: String, required: true },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  phone: { type: String, required: isCustomer },          // Unique when set, see the index below
+  county: { type: String, required: isCustomer },
+  role: { type: String, enum: ROLES, default: 'user' },
+  // Suspended accounts cannot log in or use existing tokens
+  status: { type: String, enum: ['active', 'suspended'], default: 'active' },
+  suspension: {
+    reason: { type: String, trim: true },
+    suspendedAt: { type: Date },
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
   password: { type: String, required: true },
+  passwordChangedAt: { type: Date },
+  emailVerified: { type: Boolean, default: false },
+  // Hashed one-time tokens, never returned by queries unless explicitly selected
+  passwordResetToken: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  emailVerificationToken: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Staff accounts have no phone, so uniqueness only applies where one is set.
+// (`npm run migrate:admins` replaces the plain unique `phone_1` index of databases created before staff moved here.)
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phone: { $type: 'string' } } });
+userSchema.index({ role: 1 });
+
+// Hash passwords on save/update and keep them out of API responses
+userSchema.plugin(passwordPlugin);
+
+userSchema.methods.isStaff = function () {
+  return STAFF_ROLES.includes(this.role);
+};
+
+userSchema.methods.hasPermission = function (permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+userSchema.methods.isSuspended = function () {
+  return this.status === 'suspended';
+};
+
+// Store a hashed reset token on the user and return the raw token to be emailed
+userSchema.methods.createPasswordResetToken = function () {
+  const { token, hashedToken } = createOneTimeToken();
+  this.passwordResetToken = hashedToken;
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Store a hashed email verification token on the user and return the raw token to be emailed
+userSchema.methods.createEmailVerificationToken = function () {
+  const { token, hashedToken } = createOneTimeToken();
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return token;
+};
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,48 @@
+// models/WishlistModel.js
+const mongoose = require('mongoose');
+
+// Products a user has saved for later. A product can appear once per variant.
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: [
+        {
+            productId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Product',
+                required: true
+            },
+            // Set for products sold in variants when the user picked a size/colour
+            variantId: {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null
+            },
+            addedAt: {
+                type: Date,
+                default: Date.now
+            },
+            // Email the user once this item is back in stock; cleared when the email is sent
+            notifyWhenInStock: {
+                type: Boolean,
+                default: false
+            },
+            notifiedAt: {
+                type: Date
+            }
+        }
+    ]
+}, { timestamps: true });
+
+// Lets a restock find the wishlists waiting on a product
+wishlistSchema.index({ 'items.productId': 1, 'items.notifyWhenInStock': 1 });
+
+wishlistSchema.methods.findItem = function (productId, variantId) {
+    return this.items.find((item) => item.productId.toString() === String(productId)
+        && String(item.variantId || '') === String(variantId || '')) || null;
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -1,128 +1,190 @@
 // admin routes
 
-// user routes
+// Staff accounts are User documents with a staff role (see utils/roles.js).
+// These endpoints create and manage them; customer management lives in customerRoute.js.
 
 const express = require('express');
 const router = express.Router();
-const User = require('../models/AdminModel');
+const User = require('../models/UserModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+const { assertPasswordStrength } = require('../utils/password');
+const { ROLE_PERMISSIONS, STAFF_ROLES } = require('../utils/roles');
 
-// Create a new user
-router.post('/users', async (req, res) => {
-    try {
-        const { email, username, phone } = req.body; // Destructure all unique fields
-
-        // Check if a user with the provided email already exists
-        const existingUserByEmail = await User.findOne({ email });
-        if (existingUserByEmail) {
-            return res.status(409).send({ error: 'User with this email already exists.' });
-        }
-
-        // Check if a user with the provided username already exists
-        const existingUserByUsername = await User.findOne({ username });
-        if (existingUserByUsername) {
-            return res.status(409).send({ error: 'User with this username already exists.' });
-        }
-
-        // Check if a user with the provided phone already exists
-        const existingUserByPhone = await User.findOne({ phone });
-        if (existingUserByPhone) {
-            return res.status(409).send({ error: 'User with this phone number already exists.' });
-        }
-
-        const user = new User(req.body);
-        await user.save();
-        res.status(201).send(user);
-    } catch (error) {
-        // This catches Mongoose unique constraint errors (code 11000)
-        // as a fallback, providing a more generic but still informative message
-        // if the `findOne` checks above were somehow bypassed or raced.
-        if (error.code === 11000) {
-            const field = Object.keys(error.keyValue)[0]; // Get the field that caused the unique error
-            return res.status(409).send({ error: `${field} already exists.` });
-        }
-        // Handle other potential validation errors or unexpected issues
-        res.status(400).send(error);
+// Fields a staff manager may set on a staff account
+const STAFF_FIELDS = ['username', 'fullname', 'email', 'phone', 'password', 'role'];
+
+const manageStaff = [protect, authorizePermissions('staff:manage')];
+
+// --- Request shapes ---
+const staffFields = {
+    username: { type: 'string', minLength: 1, maxLength: 50 },
+    fullname: { type: 'string', maxLength: 100 },
+    email: { type: 'email' },
+    phone: { type: 'string', maxLength: 20 },
+    password: { type: 'string' },
+    role: { type: 'string', enum: STAFF_ROLES }
+};
+const validateNewStaff = validate({
+    body: {
+        ...staffFields,
+        username: { ...staffFields.username, required: true },
+        email: { ...staffFields.email, required: true },
+        password: { ...staffFields.password, required: true }
     }
 });
+// `role: 'user'` is also accepted on update, to turn a staff account back into a customer
+const validateStaffUpdate = validate({
+    params: { id: { type: 'objectId', required: true } },
+    body: { ...staffFields, role: { type: 'string', enum: ['user', ...STAFF_ROLES] } }
+});
 
-// Get all users
-router.get('/users', async (req, res) => {
-    try {
-        const users = await User.find();
-        res.status(200).send(users);
-    } catch (error) {
-        res.status(500)
-        .send({ error: 'Failed to fetch users' });
+function pickStaffFields(body) {
+    const fields = {};
+    STAFF_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+// Refuse changes that would leave the shop without a super admin
+async function isLastSuperAdmin(user) {
+    if (user.role !== 'super_admin') {
+        return false;
+    }
+    return (await User.countDocuments({ role: 'super_admin' })) <= 1;
+}
+
+// Load the staff account named by :id, or 404
+async function findStaff(id) {
+    const user = await User.findOne({ _id: id, role: { $in: STAFF_ROLES } });
+    if (!user) {
+        throw new AppError(404, 'User not found');
     }
+    return user;
+}
+
+// List the roles and the permissions each grants
+router.get('/roles', protect, authorizePermissions('staff:manage'), (req, res) => {
+    res.status(200).send(ROLE_PERMISSIONS);
 });
 
-// Get a user by ID
-router.get('/users/:id', async (req, res) => {
-    try {
-        const user = await User.findById(req.params.id);
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send(user);
-    } catch (error) {
-        res.status(500).send({ error: 'Failed to fetch user' });
+// Create a staff account. The shop's first super admin is created with `npm run create:super-admin`.
+router.post('/users', manageStaff, validateNewStaff, async (req, res) => {
+    const fields = pickStaffFields(req.body);
+    fields.role = fields.role || 'admin';
+
+    // Enforce the password policy before anything is stored
+    assertPasswordStrength(fields.password);
+
+    const existing = await User.findOne({ $or: [{ email: fields.email }, { username: fields.username }] });
+    if (existing) {
+        throw new AppError(409, 'An account with this email or username already exists.', { code: 'DUPLICATE_KEY' });
     }
+
+    // Staff addresses are vouched for by whoever creates the account
+    const user = new User({ ...fields, emailVerified: true });
+    await user.save();
+    res.status(201).send(user);
 });
 
-//get user by email 
-router.get('/users/email/:email', async (req, res) => {
-    try {
-        const user = await User.findOne({ email: req.params.email });
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send(user);
-    } catch (error) {
-        res.status(500).send({ error: 'Failed to fetch user by email' });
+// Get all staff accounts
+router.get('/users', manageStaff, async (req, res) => {
+    const users = await User.find({ role: { $in: STAFF_ROLES } }).sort({ createdAt: 1 });
+    res.status(200).send(users);
+});
+
+// Get a staff account by ID
+router.get('/users/:id', manageStaff, validateObjectIds('id'), async (req, res) => {
+    res.status(200).send(await findStaff(req.params.id));
+});
+
+//get staff account by email
+router.get('/users/email/:email', manageStaff, validate({
+    params: { email: { type: 'email', required: true } }
+}), async (req, res) => {
+    const user = await User.findOne({ email: req.params.email, role: { $in: STAFF_ROLES } });
+    if (!user) {
+        throw new AppError(404, 'User not found');
     }
+    res.status(200).send(user);
 });
 
-// Update a user by ID
-router.put('/users/:id', async (req, res) => {
-    try {
-        const user = await User.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send(user);
-    } catch (error) {
-        res.status(400).send({ error: 'Failed to update user' });
+// Update a staff account; `role: 'user'` turns it back into a customer account
+router.put('/users/:id', manageStaff, validateStaffUpdate, async (req, res) => {
+    const fields = pickStaffFields(req.body);
+    if (fields.password !== undefined) {
+        assertPasswordStrength(fields.password);
+    }
+    const user = await findStaff(req.params.id);
+    if (fields.role && fields.role !== 'super_admin' && await isLastSuperAdmin(user)) {
+        throw new AppError(409, 'The last super admin cannot be given another role.', { code: 'LAST_SUPER_ADMIN' });
     }
+    // Loaded and saved so a new password is hashed (ending the account's existing sessions)
+    // and role-dependent validation runs
+    user.set(fields);
+    await user.save();
+    res.status(200).send(user);
 });
 
-// Delete a user by ID
-router.delete('/users/:id', async (req, res) => {
-    try {
-        const user = await User.findByIdAndDelete(req.params.id);
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send({ message: 'User deleted successfully' });
-    } catch (error) {
-        res.status(500).send({ error: 'Failed to delete user' });
+// Delete a staff account
+router.delete('/users/:id', manageStaff, validateObjectIds('id'), async (req, res) => {
+    const user = await findStaff(req.params.id);
+    if (await isLastSuperAdmin(user)) {
+        throw new AppError(409, 'The last super admin cannot be deleted.', { code: 'LAST_SUPER_ADMIN' });
     }
+    await user.deleteOne();
+    res.status(200).send({ message: 'User deleted successfully' });
 });
 
-// Login with username or email and password use jwt token
-router.post('/login', async (req, res) => {
+// Staff login with username or email and password. Staff can also use POST /api/login;
+// this endpoint only differs in refusing customer accounts.
+router.post('/login', validate({
+    body: {
+        username: { type: 'string' },
+        email: { type: 'string' },
+        password: { type: 'string', required: true }
+    }
+}), async (req, res) => {
     const { username, email, password } = req.body;
-    try {
-        const user = await User.findOne({
-            $or: [{ username }, { email }]
+    if (!username && !email) {
+        throw new AppError(400, 'Username or email is required.', {
+            code: 'VALIDATION_ERROR',
+            details: [{ location: 'body', field: 'username', message: 'is required when email is not given' }]
         });
-        if (!user || user.password !== password) {
-            return res.status(401).send({ error: 'Invalid credentials' });
-        }
-        // Here you would typically generate a JWT token and send it back
-        res.status(200).send({ message: 'Login successful', user });
+    }
+    const user = await User.findOne({
+        $or: [{ username }, { email }]
+    });
+    // comparePassword also upgrades legacy plaintext passwords to a hash
+    if (!user || !user.isStaff() || !(await user.comparePassword(password))) {
+        throw new AppError(401, 'Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+    if (user.isSuspended()) {
+        throw new AppError(403, 'Your account has been suspended.', { code: 'ACCOUNT_SUSPENDED' });
+    }
+    const tokens = issueTokens(user);
+    res.status(200).send({ message: 'Login successful', user, permissions: ROLE_PERMISSIONS[user.role], ...tokens });
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh-token', validate({
+    body: { refreshToken: { type: 'string', required: true } }
+}), async (req, res) => {
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(req.body.refreshToken);
     } catch (error) {
-        res.status(500).send({ error: 'Login failed' });
+        throw new AppError(401, 'Invalid refresh token');
+    }
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isStaff() || user.isSuspended()
+        || (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime())) {
+        throw new AppError(401, 'Invalid refresh token');
     }
+    res.status(200).send(issueTokens(user));
 });
 
 // Export the router
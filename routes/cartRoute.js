@@ -3,213 +3,344 @@ const express = require('express');
 const router = express.Router();
 const Cart = require('../models/CartModel');
 const Product = require('../models/ProductModel');
-const mongoose = require('mongoose');
+const { protect, authorizeSelfOrAdmin } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { findCoupon, evaluateCoupon, priceCartLines } = require('../services/couponService');
+const { calculateShipping } = require('../services/shippingService');
+const {
+    CART_TOKEN_HEADER,
+    CART_PRODUCT_FIELDS,
+    createGuestCart,
+    touchGuestCart,
+    resolveVariant,
+    addItemToCart,
+    buildCartSummary
+} = require('../services/cartService');
+const { AppError } = require('../utils/errors');
 
-// Helper function to validate products array for PUT/POST requests
-async function validateCartItems(productsData) {
+// Identifies a product (and its variant) in request bodies
+const cartItemFields = {
+    productId: { type: 'objectId', required: true },
+    variantId: { type: 'objectId' },
+    sku: { type: 'string' }
+};
+const validateAddItem = validate({ body: { ...cartItemFields, quantity: { type: 'integer', min: 1, required: true } } });
+const validateReplaceItems = validate({
+    body: {
+        products: {
+            type: 'array',
+            required: true,
+            items: { type: 'object', properties: { ...cartItemFields, quantity: { type: 'integer', min: 0, required: true } } }
+        }
+    }
+});
+const validateApplyCoupon = validate({
+    body: {
+        code: { type: 'string', minLength: 1, required: true },
+        county: { type: 'string' },
+        pickupStation: { type: 'string' }
+    }
+});
+const validateLineUpdate = validate({
+    params: { productId: { type: 'objectId', required: true } },
+    query: { variantId: { type: 'objectId' } },
+    body: { quantity: { type: 'integer', min: 0, required: true }, variantId: { type: 'objectId' } }
+});
+const validateLineRemoval = validate({
+    params: { productId: { type: 'objectId', required: true } },
+    query: { variantId: { type: 'objectId' } }
+});
+
+// Helper function to validate products array for PUT/POST requests.
+// Prices come from the Product: a line already in the cart keeps its priceAtTimeOfAddition
+// (so later price changes can still be flagged), a new line gets the current price.
+async function validateCartItems(productsData, existingLines = []) {
     const validatedProducts = [];
     for (const item of productsData) {
-        if (!item.productId) {
-            throw { status: 400, message: 'Product ID is required for all cart items.' };
-        }
-        if (!mongoose.Types.ObjectId.isValid(item.productId)) {
-            throw { status: 400, message: `Invalid Product ID format for ${item.productId}.` };
-        }
-        if (typeof item.quantity !== 'number' || item.quantity < 0) {
-            throw { status: 400, message: `Quantity for product ID ${item.productId} must be a number and at least 0.` };
-        }
-        if (typeof item.priceAtTimeOfAddition !== 'number' || item.priceAtTimeOfAddition < 0) {
-            throw { status: 400, message: `Price at time of addition is required and must be a non-negative number for product ID ${item.productId}.` };
-        }
         const product = await Product.findById(item.productId);
         if (!product) {
-            throw { status: 404, message: `Product with ID ${item.productId} not found.` };
+            throw new AppError(404, `Product with ID ${item.productId} not found.`);
         }
-        if (item.quantity > 0 && item.quantity > product.quantity) {
-            throw { status: 400, message: `Insufficient stock for product '${product.name}'. Available: ${product.quantity}, Requested: ${item.quantity}.` };
+        // Stock is checked against the chosen variant when the product has variants
+        const variant = resolveVariant(product, item);
+        const available = product.stockFor(variant);
+        if (item.quantity > 0 && item.quantity > available) {
+            const variantLabel = variant ? ` (${variant.sku})` : '';
+            throw new AppError(400, `Insufficient stock for product '${product.name}'${variantLabel}. Available: ${available}, Requested: ${item.quantity}.`, { code: 'INSUFFICIENT_STOCK' });
         }
+        const existing = existingLines.find((line) => line.productId.toString() === product._id.toString()
+            && String(line.variantId || '') === String(variant ? variant._id : ''));
         validatedProducts.push({
             productId: product._id,
+            variantId: variant ? variant._id : null,
             quantity: item.quantity,
-            priceAtTimeOfAddition: item.priceAtTimeOfAddition
+            priceAtTimeOfAddition: existing ? existing.priceAtTimeOfAddition : product.priceFor(variant)
         });
     }
     return validatedProducts;
 }
 
+// Handlers below work on `req.cartFilter`, set by one of these two middlewares:
+// the signed-in user's cart (by :userId, after protect/authorizeSelfOrAdmin) ...
+function userCart(req, res, next) {
+    req.cartFilter = { user: req.params.userId };
+    next();
+}
+
+// ... or a guest cart, identified by the X-Cart-Token header
+async function guestCart(req, res, next) {
+    const cart = await touchGuestCart(req.get(CART_TOKEN_HEADER));
+    if (!cart) {
+        throw new AppError(404, 'Guest cart not found. Start one with POST /api/carts/guest.');
+    }
+    req.cartFilter = { guestTokenHash: cart.guestTokenHash };
+    next();
+}
+
+/**
+ * @desc Start an anonymous cart for a shopper who has not logged in
+ * @route POST /api/carts/guest
+ * @access Public
+ * Returns `cartToken`; send it as the X-Cart-Token header on the /guest routes,
+ * to guest checkout, and with login so the cart is merged into the user's cart.
+ */
+router.post('/guest', async (req, res) => {
+    const { cartToken, cart } = await createGuestCart();
+    res.status(201).json({ cartToken, cart });
+});
+
 /**
  * @desc Get user's cart
- * @route GET /api/carts/:userId
- * @access Public (or Private with authentication)
+ * @route GET /api/carts/:userId, GET /api/carts/guest
+ * @access Private (cart owner or admin) / guest cart token
  */
-router.get('/:userId', async (req, res) => {
-    try {
-        const { userId } = req.params;
-        if (!mongoose.Types.ObjectId.isValid(userId)) {
-            return res.status(400).json({ message: 'Invalid User ID format.' });
-        }
-        const cart = await Cart.findOne({ user: userId })
-            .populate({
-                path: 'products.productId',
-                model: 'Product',
-                select: 'name price imageUrl quantity size color'
-            })
-            .exec();
-
-        if (!cart) {
-            return res.status(200).json({ user: userId, products: [] });
-        }
-        res.status(200).json(cart);
-    } catch (error) {
-        console.error("Error fetching cart:", error);
-        res.status(500).json({ message: 'Server error fetching cart.', error: error.message });
+async function getCart(req, res) {
+    const cart = await Cart.findOne(req.cartFilter)
+        .populate({
+            path: 'products.productId',
+            model: 'Product',
+            select: CART_PRODUCT_FIELDS
+        })
+        .exec();
+
+    if (!cart) {
+        return res.status(200).json({ user: req.params.userId, products: [] });
     }
-});
+    res.status(200).json(cart);
+}
 
 
 /**
  * @desc Add a single item to cart or update its quantity if it already exists
- * @route POST /api/carts/:userId/add
- * @access Public (or Private with authentication)
- * @body { productId: string, quantity: number }
+ * @route POST /api/carts/:userId/add, POST /api/carts/guest/add
+ * @access Private (cart owner or admin) / guest cart token
+ * @body { productId: string, variantId?: string, sku?: string, quantity: number }
+ *       variantId (or sku) is required for products sold in variants
  */
-router.post('/:userId/add', async (req, res) => {
-    try {
-        const { userId } = req.params;
-        const { productId, quantity } = req.body;
-
-        // 1. Strict validation to prevent userId: null errors
-        if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
-            return res.status(400).json({ message: 'Valid User ID is required.' });
-        }
-        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
-            return res.status(400).json({ message: 'Valid Product ID is required.' });
-        }
-        if (typeof quantity !== 'number' || quantity < 1) {
-            return res.status(400).json({ message: 'Quantity must be a positive number (at least 1).' });
-        }
+async function addCartItem(req, res) {
+    const updatedCart = await addItemToCart(req.cartFilter, req.body);
 
-        // 2. Find the product to get its price and check stock
-        const product = await Product.findById(productId);
-        if (!product) {
-            return res.status(404).json({ message: 'Product not found.' });
-        }
+    // Populate the product details and send the response
+    const populatedCart = await updatedCart
+        .populate('products.productId', CART_PRODUCT_FIELDS);
+
+    res.status(200).json(populatedCart);
+}
 
-        // 3. Find the cart to get the current quantity, if any
-        const cart = await Cart.findOne({ user: userId });
-        let newQuantity = quantity;
 
-        if (cart) {
-            const existingItem = cart.products.find(p => p.productId.toString() === productId);
-            if (existingItem) {
-                newQuantity += existingItem.quantity;
-            }
-        }
-        
-        // 4. Check for sufficient stock based on the new total quantity
-        if (product.quantity < newQuantity) {
-            return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.quantity}, Requested: ${newQuantity}.` });
-        }
-        
-        // 5. Use findOneAndUpdate with $set and $push/arrayFilters to handle all cases
-        // The core logic is here to prevent duplicate carts.
-        const priceAtTimeOfAddition = product.price;
-
-        // Try to find the cart and update the quantity of an existing product
-        let updatedCart = await Cart.findOneAndUpdate(
-            { user: userId, 'products.productId': productId },
-            { $inc: { 'products.$.quantity': quantity }, $set: { 'products.$.priceAtTimeOfAddition': priceAtTimeOfAddition } },
-            { new: true, runValidators: true }
-        );
-
-        if (!updatedCart) {
-            // If the product wasn't found in the cart (or the cart didn't exist),
-            // then we push a new product to the products array.
-            updatedCart = await Cart.findOneAndUpdate(
-                { user: userId },
-                { $push: { products: { productId, quantity, priceAtTimeOfAddition } } },
-                { new: true, upsert: true, runValidators: true } // upsert: true creates the cart if it doesn't exist
-            );
-        }
+/**
+ * @desc Update user's cart by replacing its entire products array
+ * @route PUT /api/carts/:userId, PUT /api/carts/guest
+ * @access Private (cart owner or admin) / guest cart token
+ * @body { products: [{ productId: string, variantId?: string, sku?: string, quantity: number }] }
+ *       any priceAtTimeOfAddition sent by the client is ignored
+ */
+async function replaceCartItems(req, res) {
+    const { products } = req.body;
+    const currentCart = await Cart.findOne(req.cartFilter);
+    const validatedProducts = await validateCartItems(products, currentCart ? currentCart.products : []);
+    const productsToSave = validatedProducts.filter(item => item.quantity > 0);
 
-        // 6. Populate the product details and send the response
-        const populatedCart = await updatedCart
-            .populate('products.productId', 'name price imageUrl quantity size color');
+    let cart = await Cart.findOneAndUpdate(
+        req.cartFilter,
+        { $set: { products: productsToSave } },
+        { new: true, upsert: true, runValidators: true }
+    );
 
-        res.status(200).json(populatedCart);
+    cart = await Cart.findById(cart._id)
+        .populate({
+            path: 'products.productId',
+            model: 'Product',
+            select: CART_PRODUCT_FIELDS
+        });
 
-    } catch (error) {
-        console.error("Error adding item to cart:", error);
-        res.status(500).json({ message: 'Failed to add item to cart.', error: error.message });
-    }
-});
+    res.status(200).json(cart);
+}
 
 
 /**
- * @desc Update user's cart by replacing its entire products array
- * @route PUT /api/carts/:userId
- * @access Public (or Private with authentication)
- * @body { products: [{ productId: string, quantity: number, priceAtTimeOfAddition: number }] }
+ * @desc Clear a user's entire cart
+ * @route DELETE /api/carts/:userId, DELETE /api/carts/guest
+ * @access Private (cart owner or admin) / guest cart token
  */
-router.put('/:userId', async (req, res) => {
-    const { userId } = req.params;
-    const { products } = req.body;
+async function deleteCart(req, res) {
+    const cart = await Cart.findOneAndDelete(req.cartFilter);
+    if (!cart) {
+        throw new AppError(404, 'Cart not found.');
+    }
+    res.status(200).json({ message: 'Cart deleted successfully.' });
+}
 
-    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
-        return res.status(400).json({ message: 'User ID is required and must be valid.' });
+/**
+ * @desc Apply a coupon code to the user's cart
+ * @route POST /api/carts/:userId/coupon, POST /api/carts/guest/coupon
+ * @access Private (cart owner or admin) / guest cart token
+ * @body { code: string, county?: string, pickupStation?: string } the destination lets free-shipping coupons show their saving
+ * The coupon is checked against current prices now and again when the order is placed.
+ */
+async function applyCoupon(req, res) {
+    const { userId } = req.params;
+    const { code, county, pickupStation } = req.body;
+    const cart = await Cart.findOne(req.cartFilter);
+    if (!cart || cart.products.length === 0) {
+        throw new AppError(400, 'Your cart is empty.');
     }
-    if (!Array.isArray(products)) {
-        return res.status(400).json({ message: 'Products must be an array.' });
+
+    const coupon = await findCoupon(code);
+    const lines = await priceCartLines(cart);
+    const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+    const shipping = county ? await calculateShipping({ county, pickupStation, lines, subtotal }) : null;
+    const discount = await evaluateCoupon(coupon, { lines, shippingCost: shipping ? shipping.cost : 0, userId });
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+    await cart.populate('products.productId', CART_PRODUCT_FIELDS);
+
+    res.status(200).json({ cart, discount, subtotal, shipping });
+}
+
+/**
+ * @desc Remove the coupon from the user's cart
+ * @route DELETE /api/carts/:userId/coupon, DELETE /api/carts/guest/coupon
+ * @access Private (cart owner or admin) / guest cart token
+ */
+async function removeCoupon(req, res) {
+    const cart = await Cart.findOneAndUpdate(
+        req.cartFilter,
+        { $unset: { couponCode: '' } },
+        { new: true }
+    ).populate('products.productId', CART_PRODUCT_FIELDS);
+    if (!cart) {
+        throw new AppError(404, 'Cart not found.');
     }
+    res.status(200).json(cart);
+}
 
-    try {
-        const validatedProducts = await validateCartItems(products);
-        const productsToSave = validatedProducts.filter(item => item.quantity > 0);
-
-        let cart = await Cart.findOneAndUpdate(
-            { user: userId },
-            { $set: { products: productsToSave } },
-            { new: true, upsert: true, runValidators: true }
-        );
-
-        cart = await Cart.findById(cart._id)
-            .populate({
-                path: 'products.productId',
-                model: 'Product',
-                select: 'name price imageUrl quantity size color'
-            });
-
-        res.status(200).json(cart);
-    } catch (error) {
-        console.error("Error updating cart items:", error);
-        if (error.status && error.message) {
-            return res.status(error.status).json({ message: error.message });
-        }
-        res.status(500).json({ message: 'Failed to update cart items.', error: error.message });
+// Find the cart line for :productId. `variantId` (body or query) picks the variant;
+// it may be left out when the cart holds only one line for the product.
+function findCartLine(cart, productId, variantId) {
+    const lines = cart.products.filter((line) => line.productId.toString() === productId);
+    if (variantId) {
+        return lines.find((line) => String(line.variantId || '') === String(variantId)) || null;
     }
-});
+    if (lines.length > 1) {
+        throw new AppError(400, 'This product is in the cart in several variants; please give a variantId.');
+    }
+    return lines[0] || null;
+}
 
+// The populated cart plus its live-price summary, returned by the line endpoints
+async function sendCartWithSummary(res, cart) {
+    const summary = await buildCartSummary(cart);
+    await cart.populate('products.productId', CART_PRODUCT_FIELDS);
+    res.status(200).json({ cart, summary });
+}
 
 /**
- * @desc Clear a user's entire cart
- * @route DELETE /api/carts/:userId
- * @access Public (or Private with authentication)
+ * @desc Cart totals recalculated from live Product prices, flagging price changes and stock shortfalls
+ * @route GET /api/carts/:userId/summary, GET /api/carts/guest/summary
+ * @access Private (cart owner or admin) / guest cart token
+ */
+async function getCartSummary(req, res) {
+    const cart = await Cart.findOne(req.cartFilter);
+    res.status(200).json(await buildCartSummary(cart));
+}
+
+/**
+ * @desc Set the quantity of one cart line (0 removes it)
+ * @route PATCH /api/carts/:userId/items/:productId, PATCH /api/carts/guest/items/:productId
+ * @access Private (cart owner or admin) / guest cart token
+ * @body { quantity: number, variantId?: string }
  */
-router.delete('/:userId', async (req, res) => {
-    try {
-        const { userId } = req.params;
-        if (!mongoose.Types.ObjectId.isValid(userId)) {
-            return res.status(400).json({ message: 'Invalid User ID format.' });
+async function updateCartLine(req, res) {
+    const { productId } = req.params;
+    const { quantity } = req.body;
+    const variantId = req.body.variantId || req.query.variantId;
+
+    const cart = await Cart.findOne(req.cartFilter);
+    const line = cart && findCartLine(cart, productId, variantId);
+    if (!line) {
+        throw new AppError(404, 'Item not found in cart.');
+    }
+
+    if (quantity === 0) {
+        line.deleteOne();
+    } else {
+        const product = await Product.findById(productId);
+        if (!product) {
+            throw new AppError(404, 'Product not found.');
         }
-        const cart = await Cart.findOneAndDelete({ user: userId });
-        if (!cart) {
-            return res.status(404).json({ message: 'Cart not found for this user.' });
+        const variant = line.variantId ? product.findVariant({ variantId: line.variantId }) : null;
+        const available = product.stockFor(variant);
+        if (quantity > available) {
+            const variantLabel = variant ? ` (${variant.sku})` : '';
+            throw new AppError(400, `Insufficient stock for ${product.name}${variantLabel}. Available: ${available}, Requested: ${quantity}.`, { code: 'INSUFFICIENT_STOCK' });
         }
-        res.status(200).json({ message: 'Cart deleted successfully.' });
-    } catch (error) {
-        console.error("Error clearing cart:", error);
-        res.status(500).json({ message: 'Failed to clear cart.', error: error.message });
+        line.quantity = quantity;
     }
-});
+    await cart.save();
+
+    await sendCartWithSummary(res, cart);
+}
+
+/**
+ * @desc Remove one line from the cart
+ * @route DELETE /api/carts/:userId/items/:productId?variantId=, DELETE /api/carts/guest/items/:productId?variantId=
+ * @access Private (cart owner or admin) / guest cart token
+ */
+async function removeCartLine(req, res) {
+    const { productId } = req.params;
+    const cart = await Cart.findOne(req.cartFilter);
+    const line = cart && findCartLine(cart, productId, req.query.variantId);
+    if (!line) {
+        throw new AppError(404, 'Item not found in cart.');
+    }
+    line.deleteOne();
+    await cart.save();
+
+    await sendCartWithSummary(res, cart);
+}
+
+// Guest routes come first so 'guest' is never taken for a :userId
+router.get('/guest', guestCart, getCart);
+router.post('/guest/add', guestCart, validateAddItem, addCartItem);
+router.put('/guest', guestCart, validateReplaceItems, replaceCartItems);
+router.delete('/guest', guestCart, deleteCart);
+router.post('/guest/coupon', guestCart, validateApplyCoupon, applyCoupon);
+router.delete('/guest/coupon', guestCart, removeCoupon);
+router.get('/guest/summary', guestCart, getCartSummary);
+router.patch('/guest/items/:productId', guestCart, validateLineUpdate, updateCartLine);
+router.delete('/guest/items/:productId', guestCart, validateLineRemoval, removeCartLine);
+
+const userCartAccess = [protect, authorizeSelfOrAdmin('userId'), validateObjectIds('userId'), userCart];
+router.get('/:userId', userCartAccess, getCart);
+router.post('/:userId/add', userCartAccess, validateAddItem, addCartItem);
+router.put('/:userId', userCartAccess, validateReplaceItems, replaceCartItems);
+router.delete('/:userId', userCartAccess, deleteCart);
+router.post('/:userId/coupon', userCartAccess, validateApplyCoupon, applyCoupon);
+router.delete('/:userId/coupon', userCartAccess, removeCoupon);
+router.get('/:userId/summary', userCartAccess, getCartSummary);
+router.patch('/:userId/items/:productId', userCartAccess, validateLineUpdate, updateCartLine);
+router.delete('/:userId/items/:productId', userCartAccess, validateLineRemoval, removeCartLine);
 
 module.exports = router;
\ No newline at end of file
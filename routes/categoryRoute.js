@@ -0,0 +1,75 @@
+// routes/categoryRoute.js
+const express = require('express');
+const router = express.Router();
+
+const Category = require('../models/CategoryModel');
+const Product = require('../models/ProductModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+
+const categoryFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    slug: { type: 'string', pattern: /^[a-z0-9-]+$/i, maxLength: 100 },
+    description: { type: 'string', maxLength: 2000 },
+    parent: { type: 'objectId', nullable: true },
+    displayOrder: { type: 'integer' },
+    isActive: { type: 'boolean' }
+};
+const validateNewCategory = validate({ body: { ...categoryFields, name: { ...categoryFields.name, required: true } } }, { strict: true });
+const validateCategoryUpdate = validate({ params: { id: { type: 'objectId', required: true } }, body: categoryFields }, { strict: true });
+
+// Get the whole category tree, ordered by displayOrder (inactive categories only for ?all=true)
+router.get('/', validate({ query: { all: { type: 'boolean' } } }), async (req, res) => {
+    const filter = req.query.all === 'true' ? {} : { isActive: true };
+    const categories = await Category.find(filter);
+    res.status(200).send(Category.buildTree(categories));
+});
+
+// Get a single category by slug, with its direct subcategories
+router.get('/:slug', async (req, res) => {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() })
+        .populate('ancestors', 'name slug');
+    if (!category) {
+        throw new AppError(404, 'Category not found');
+    }
+    const children = await Category.find({ parent: category._id, isActive: true })
+        .sort({ displayOrder: 1, name: 1 });
+    res.status(200).send({ ...category.toJSON(), children });
+});
+
+// Create a category
+router.post('/', protect, authorizePermissions('catalog:manage'), validateNewCategory, async (req, res) => {
+    const category = new Category(req.body);
+    await category.save();
+    res.status(201).send(category);
+});
+
+// Update a category; changing `parent` moves its whole subtree
+router.patch('/:id', protect, authorizePermissions('catalog:manage'), validateCategoryUpdate, async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+        throw new AppError(404, 'Category not found');
+    }
+    category.set(req.body);
+    await category.save();
+    res.status(200).send(category);
+});
+
+// Delete a category that has no subcategories and no products
+router.delete('/:id', protect, authorizePermissions('catalog:manage'), validateObjectIds('id'), async (req, res) => {
+    const [childCount, productCount] = await Promise.all([
+        Category.countDocuments({ parent: req.params.id }),
+        Product.countDocuments({ categoryId: req.params.id })
+    ]);
+    if (childCount > 0 || productCount > 0) {
+        throw new AppError(409, `Category still has ${childCount} subcategories and ${productCount} products.`, { code: 'CATEGORY_NOT_EMPTY' });
+    }
+    const category = await Category.findByIdAndDelete(req.params.id);
+    if (!category) {
+        throw new AppError(404, 'Category not found');
+    }
+    res.status(200).send({ message: 'Category deleted successfully' });
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// routes/couponRoute.js
+const express = require('express');
+const router = express.Router();
+
+const Coupon = require('../models/CouponModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+
+const couponFields = {
+    code: { type: 'string', minLength: 1, maxLength: 50 },
+    description: { type: 'string', maxLength: 500 },
+    type: { type: 'string', enum: ['percentage', 'fixed', 'free_shipping'] },
+    value: { type: 'number', min: 0 },
+    maxDiscount: { type: 'number', min: 0, nullable: true },
+    minimumSpend: { type: 'number', min: 0 },
+    startsAt: { type: 'date', nullable: true },
+    expiresAt: { type: 'date', nullable: true },
+    usageLimit: { type: 'integer', min: 1, nullable: true },
+    usageLimitPerUser: { type: 'integer', min: 1, nullable: true },
+    productIds: { type: 'array', items: { type: 'objectId' } },
+    categoryIds: { type: 'array', items: { type: 'objectId' } },
+    isActive: { type: 'boolean' }
+};
+const validateNewCoupon = validate({
+    body: {
+        ...couponFields,
+        code: { ...couponFields.code, required: true },
+        type: { ...couponFields.type, required: true }
+    }
+}, { strict: true });
+const validateCouponUpdate = validate({ params: { id: { type: 'objectId', required: true } }, body: couponFields }, { strict: true });
+
+// Every coupon endpoint is for admins; customers apply codes through their cart
+router.use(protect, authorizePermissions('coupons:manage'));
+
+async function findCoupon(id) {
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+        throw new AppError(404, 'Coupon not found');
+    }
+    return coupon;
+}
+
+// @desc    List coupons, newest first (?active=true for currently usable ones)
+// @route   GET /api/coupons
+// @access  Private/Admin
+router.get('/', validate({ query: { active: { type: 'boolean' } } }), async (req, res) => {
+    const filter = {};
+    if (req.query.active === 'true') {
+        const now = new Date();
+        filter.isActive = true;
+        filter.$and = [
+            { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+        ];
+    }
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.json(coupons);
+});
+
+// @desc    Get a coupon
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+router.get('/:id', validateObjectIds('id'), async (req, res) => {
+    res.json(await findCoupon(req.params.id));
+});
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+router.post('/', validateNewCoupon, async (req, res) => {
+    const coupon = await Coupon.create(req.body);
+    res.status(201).json(coupon);
+});
+
+// @desc    Update a coupon
+// @route   PATCH /api/coupons/:id
+// @access  Private/Admin
+router.patch('/:id', validateCouponUpdate, async (req, res) => {
+    const coupon = await findCoupon(req.params.id);
+    coupon.set(req.body);
+    await coupon.save();
+    res.json(coupon);
+});
+
+// @desc    Delete a coupon. Redeemed coupons are deactivated instead so past orders keep their reference.
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+router.delete('/:id', validateObjectIds('id'), async (req, res) => {
+    const coupon = await findCoupon(req.params.id);
+    if (coupon.usedCount > 0) {
+        coupon.isActive = false;
+        await coupon.save();
+        return res.json({ message: 'Coupon has been used, so it was deactivated instead of deleted.', coupon });
+    }
+    await coupon.deleteOne();
+    res.json({ message: 'Coupon deleted successfully' });
+});
+
+module.exports = router;
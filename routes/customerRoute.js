@@ -0,0 +1,136 @@
+// routes/customerRoute.js
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/UserModel');
+const Order = require('../models/OdersModel');
+const Cart = require('../models/CartModel');
+const Wishlist = require('../models/WishlistModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds, paginationQuery } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { parsePagination } = require('../utils/productQuery');
+const { CART_PRODUCT_FIELDS, buildCartSummary } = require('../services/cartService');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Staff need customers:read for everything here; suspending needs customers:manage
+router.use(protect, authorizePermissions('customers:read'));
+
+// Load the customer account for :id into req.customer (staff accounts are not customers)
+const loadCustomer = [validateObjectIds('id'), async (req, res, next) => {
+    req.customer = await User.findOne({ _id: req.params.id, role: 'user' });
+    if (!req.customer) {
+        throw new AppError(404, 'Customer not found');
+    }
+    next();
+}];
+
+const validateSuspension = validate({ body: { reason: { type: 'string', minLength: 1, maxLength: 500, required: true } } });
+
+// @desc    Search customers by name, username, email or phone, newest first
+// @route   GET /api/admin/customers?q&status=active|suspended&page&limit
+// @access  Private (customers:read)
+router.get('/', validate({
+    query: {
+        q: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'suspended'] },
+        ...paginationQuery
+    }
+}), async (req, res) => {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { role: 'user' };
+    if (req.query.q) {
+        const pattern = new RegExp(escapeRegex(req.query.q.trim()), 'i');
+        filter.$or = ['fullname', 'username', 'email', 'phone'].map((field) => ({ [field]: pattern }));
+    }
+    if (req.query.status) {
+        filter.status = req.query.status;
+    }
+    const [customers, total] = await Promise.all([
+        User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        User.countDocuments(filter)
+    ]);
+    res.status(200).json({ customers, page, limit, total, totalPages: Math.ceil(total / limit) });
+});
+
+// @desc    A customer's profile with order totals
+// @route   GET /api/admin/customers/:id
+// @access  Private (customers:read)
+router.get('/:id', loadCustomer, async (req, res) => {
+    const [stats] = await Order.aggregate([
+        { $match: { userId: req.customer._id } },
+        {
+            $group: {
+                _id: null,
+                orders: { $sum: 1 },
+                cancelledOrders: { $sum: { $cond: [{ $eq: ['$orderStatus', 'Cancelled'] }, 1, 0] } },
+                totalSpent: {
+                    $sum: { $cond: [{ $in: ['$orderStatus', ['Cancelled', 'Returned']] }, 0, '$totalAmount'] }
+                },
+                firstOrderAt: { $min: '$createdAt' },
+                lastOrderAt: { $max: '$createdAt' }
+            }
+        }
+    ]);
+    const { _id, ...orderStats } = stats || { orders: 0, cancelledOrders: 0, totalSpent: 0, firstOrderAt: null, lastOrderAt: null };
+    res.status(200).json({ customer: req.customer, orderStats });
+});
+
+// @desc    A customer's orders, newest first
+// @route   GET /api/admin/customers/:id/orders?page&limit
+// @access  Private (customers:read)
+router.get('/:id/orders', validate({ query: paginationQuery }), loadCustomer, async (req, res) => {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { userId: req.customer._id };
+    const [orders, total] = await Promise.all([
+        Order.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        Order.countDocuments(filter)
+    ]);
+    res.status(200).json({ orders, page, limit, total, totalPages: Math.ceil(total / limit) });
+});
+
+// @desc    A customer's cart (with live prices) and wishlist
+// @route   GET /api/admin/customers/:id/cart
+// @access  Private (customers:read)
+router.get('/:id/cart', loadCustomer, async (req, res) => {
+    const [cart, wishlist] = await Promise.all([
+        Cart.findOne({ user: req.customer._id }),
+        Wishlist.findOne({ user: req.customer._id }).populate('items.productId', 'name price imageUrl quantity')
+    ]);
+    const summary = await buildCartSummary(cart);
+    if (cart) {
+        await cart.populate('products.productId', CART_PRODUCT_FIELDS);
+    }
+    res.status(200).json({ cart, summary, wishlist });
+});
+
+// @desc    Suspend a customer: they can no longer log in and their tokens stop working
+// @route   POST /api/admin/customers/:id/suspend
+// @access  Private (customers:manage)
+// @body    { reason: string }
+router.post('/:id/suspend', authorizePermissions('customers:manage'), validateSuspension, loadCustomer, async (req, res) => {
+    const reason = req.body.reason.trim();
+    if (req.customer.isSuspended()) {
+        throw new AppError(409, 'This account is already suspended.');
+    }
+    req.customer.status = 'suspended';
+    req.customer.suspension = { reason, suspendedAt: new Date(), suspendedBy: req.user._id };
+    await req.customer.save({ validateBeforeSave: false });
+    res.status(200).json(req.customer);
+});
+
+// @desc    Reactivate a suspended customer
+// @route   POST /api/admin/customers/:id/reactivate
+// @access  Private (customers:manage)
+router.post('/:id/reactivate', authorizePermissions('customers:manage'), loadCustomer, async (req, res) => {
+    if (!req.customer.isSuspended()) {
+        throw new AppError(409, 'This account is not suspended.');
+    }
+    req.customer.status = 'active';
+    req.customer.suspension = undefined;
+    await req.customer.save({ validateBeforeSave: false });
+    res.status(200).json(req.customer);
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// routes/docsRoute.js
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+
+const { buildOpenApiSpec } = require('../utils/openapi');
+const { version } = require('../package.json');
+
+// The docs UI is a single self-contained page, so it also works without internet access
+const DOCS_PAGE = path.join(__dirname, '..', 'docs', 'index.html');
+
+// Routes never change after startup, so the document is built once, on first request.
+// routes/index.js is required here rather than at the top because it requires this file.
+let spec = null;
+function getSpec() {
+    if (!spec) {
+        const { ROUTE_MOUNTS } = require('./index');
+        spec = buildOpenApiSpec(ROUTE_MOUNTS, { title: 'Leather Walk online shop API', version });
+    }
+    return spec;
+}
+
+// @desc    OpenAPI 3 document for every mounted route
+// @route   GET /api/docs/openapi.json
+// @access  Public
+router.get('/openapi.json', (req, res) => {
+    res.status(200).json(getSpec());
+});
+
+// @desc    Interactive API docs (browse the routes and try requests)
+// @route   GET /api/docs
+// @access  Public
+router.get('/', (req, res) => {
+    res.sendFile(DOCS_PAGE);
+});
+
+module.exports = router;
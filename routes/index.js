@@ -0,0 +1,24 @@
+// routes/index.js
+// Where every router is mounted. app.js mounts them in this order and the API docs
+// (routes/docsRoute.js) are generated from the same list, so a router added here is documented too.
+// Order matters: more specific prefixes such as /api/admin/reports come before /api/admin.
+
+const ROUTE_MOUNTS = [
+    { path: '/api', router: require('./userRoute'), tag: 'Users' },
+    { path: '/api', router: require('./productRoute'), tag: 'Products' },
+    { path: '/api/carts', router: require('./cartRoute'), tag: 'Carts' },
+    { path: '/api/orders', router: require('./ordersRoute'), tag: 'Orders' },
+    { path: '/api/admin/reports', router: require('./reportRoute'), tag: 'Reports' },
+    { path: '/api/admin/customers', router: require('./customerRoute'), tag: 'Customers' },
+    { path: '/api/admin', router: require('./adminRoute'), tag: 'Staff' },
+    { path: '/api/payments', router: require('./paymentRoute'), tag: 'Payments' },
+    { path: '/api/categories', router: require('./categoryRoute'), tag: 'Categories' },
+    { path: '/api/coupons', router: require('./couponRoute'), tag: 'Coupons' },
+    { path: '/api/shipping', router: require('./shippingRoute'), tag: 'Shipping' },
+    { path: '/api/wishlists', router: require('./wishlistRoute'), tag: 'Wishlists' },
+    { path: '/api', router: require('./reviewRoute'), tag: 'Reviews' }, // /api/products/:productId/reviews and /api/reviews
+    { path: '/api/inventory', router: require('./inventoryRoute'), tag: 'Inventory' },
+    { path: '/api/docs', router: require('./docsRoute'), tag: 'Docs' }
+];
+
+module.exports = { ROUTE_MOUNTS };
@@ -0,0 +1,77 @@
+// routes/inventoryRoute.js
+const express = require('express');
+const router = express.Router();
+
+const StockMovement = require('../models/StockMovementModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate, paginationQuery } = require('../middleware/validate');
+const { parsePagination } = require('../utils/productQuery');
+const { MANUAL_MOVEMENT_TYPES, adjustStock, getLowStockReport } = require('../services/inventoryService');
+
+// Inventory is managed by admins only
+router.use(protect, authorizePermissions('inventory:manage'));
+
+// @desc    Products at or below their low-stock threshold with sales velocity, most urgent first
+// @route   GET /api/inventory/low-stock?days=30
+// @access  Private/Admin
+router.get('/low-stock', validate({ query: { days: { type: 'integer', min: 1, max: 365 } } }), async (req, res) => {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+    const products = await getLowStockReport({ days });
+    res.status(200).json({ days, total: products.length, products });
+});
+
+// @desc    Stock ledger, newest first
+// @route   GET /api/inventory/movements?productId&variantId&type&from&to&page&limit
+// @access  Private/Admin
+router.get('/movements', validate({
+    query: {
+        productId: { type: 'objectId' },
+        variantId: { type: 'objectId' },
+        type: { type: 'string', enum: StockMovement.MOVEMENT_TYPES },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        ...paginationQuery
+    }
+}), async (req, res) => {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+    if (req.query.productId) filter.product = req.query.productId;
+    if (req.query.variantId) filter.variantId = req.query.variantId;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const [movements, total] = await Promise.all([
+        StockMovement.find(filter)
+            .populate('product', 'name')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit),
+        StockMovement.countDocuments(filter)
+    ]);
+    res.status(200).json({ movements, page, limit, total, totalPages: Math.ceil(total / limit) });
+});
+
+// @desc    Restock or adjust a product's (or variant's) stock; recorded in the ledger
+// @route   POST /api/inventory/products/:id/movements
+// @access  Private/Admin
+// @body    { type: 'restock'|'adjustment', quantity: number (signed), variantId?|sku?, reason? (required for adjustments) }
+router.post('/products/:id/movements', validate({
+    params: { id: { type: 'objectId', required: true } },
+    body: {
+        type: { type: 'string', enum: MANUAL_MOVEMENT_TYPES, required: true },
+        quantity: { type: 'integer', required: true },
+        variantId: { type: 'objectId' },
+        sku: { type: 'string' },
+        reason: { type: 'string', maxLength: 500 }
+    }
+}), async (req, res) => {
+    const { type, quantity, variantId, sku, reason } = req.body;
+    const { product, movement } = await adjustStock(req.params.id, { type, quantity, variantId, sku, reason, actor: req.user });
+    res.status(201).json({ movement, product });
+});
+
+module.exports = router;
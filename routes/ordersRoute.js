@@ -3,227 +3,445 @@ const router = express.Router();
 
 // Import your Mongoose models
 const Order = require('../models/OdersModel'); // Ensure this path is correct
-const Product = require('../models/ProductModel'); // Ensure this path is correct
 const User = require('../models/UserModel'); // Ensure this path is correct
+const { placeOrder, checkoutCart, changeOrderStatus } = require('../services/orderService');
+const { startMpesaPayment, setPaymentStatusManually } = require('../services/paymentService');
+const { CART_TOKEN_HEADER } = require('../services/cartService');
+
+// How long after delivery a customer may ask to return an order
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 14;
+
+const { protect, authorizePermissions, authorizeSelfOrAdmin } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+
+// --- Request shapes ---
+const orderLines = {
+    type: 'array',
+    minLength: 1,
+    items: {
+        type: 'object',
+        properties: {
+            productId: { type: 'objectId', required: true },
+            variantId: { type: 'objectId' },
+            sku: { type: 'string' },
+            quantity: { type: 'integer', min: 1, required: true }
+        }
+    }
+};
+const shippingInfo = {
+    type: 'object',
+    required: true,
+    properties: {
+        fullName: { type: 'string', minLength: 1, required: true },
+        phone: { type: 'string', minLength: 1, required: true },
+        email: { type: 'email' },
+        county: { type: 'string', minLength: 1, required: true },
+        pickupStation: { type: 'string', minLength: 1, required: true }
+    }
+};
+const orderDetails = {
+    shippingInfo,
+    // No card provider is integrated yet, so card orders are not taken (the model still knows 'card')
+    paymentMethod: { type: 'string', enum: ['cod', 'mpesa'] },
+    mpesaNumber: { type: 'string' },
+    couponCode: { type: 'string' }
+};
+const validateNewOrder = validate({
+    body: { ...orderDetails, products: { ...orderLines, required: true }, userId: { type: 'objectId' } }
+});
+const validateCheckout = validate({ params: { userId: { type: 'objectId', required: true } }, body: orderDetails });
+const validateGuestOrder = validate({
+    body: {
+        ...orderDetails,
+        // Guests are contacted by email, so it is required here
+        shippingInfo: { ...shippingInfo, properties: { ...shippingInfo.properties, email: { type: 'email', required: true } } },
+        products: orderLines
+    }
+});
+const validateStatusUpdate = validate({
+    params: { id: { type: 'objectId', required: true } },
+    body: {
+        orderStatus: { type: 'string', enum: Order.ORDER_STATUSES },
+        trackingNumber: { type: 'string', nullable: true },
+        deliveredAt: { type: 'date' },
+        note: { type: 'string', maxLength: 1000 }
+    }
+});
 
-// NOTE: Authentication/Authorization middleware is NOT used as per request.
-// const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+// Orders are visible to their owner and to staff who manage orders; works whether or not userId is populated
+function canAccessOrder(req, order) {
+    if (req.user.hasPermission('orders:manage')) {
+        return true;
+    }
+    const owner = order.userId && order.userId._id ? order.userId._id : order.userId;
+    return Boolean(owner) && owner.toString() === req.user._id.toString();
+}
+
+// Kick off payment for a freshly placed order. A failed STK push does not undo the order:
+// the attempt is recorded and the customer can retry via POST /api/payments/mpesa/stkpush/:orderId
+async function initiatePayment(order) {
+    if (order.paymentMethod === 'mpesa') {
+        try {
+            await startMpesaPayment(order);
+        } catch (error) {
+            console.error(`M-Pesa STK push failed for order ${order._id}:`, error.message);
+        }
+    }
+}
 
 // --- Inlined Controller Logic (Route Handlers) ---
 
 // @desc    Create new order
 // @route   POST /api/orders
-// @access  Public (WARNING: Highly insecure without authentication)
-router.post('/', async (req, res) => {
-    // IMPORTANT: Without 'protect' middleware, req.user will NOT exist.
-    // You MUST now send 'userId' in the request body from the frontend,
-    // or handle user identification differently (e.g., session-based).
-    // For this example, we'll assume userId is passed in the body.
-    const { userId, products, shippingInfo, paymentMethod, mpesaNumber, subtotalAmount, shippingCost, totalAmount } = req.body;
-
-    if (!userId) {
-        return res.status(400).json({ message: 'User ID is required to create an order.' });
-    }
-    if (!products || products.length === 0) {
-        return res.status(400).json({ message: 'No order items' });
-    }
-
-    try {
-        // You might want to validate if the userId actually exists in your User model
-        const existingUser = await User.findById(userId);
-        if (!existingUser) {
-            return res.status(404).json({ message: 'User not found.' });
-        }
+// @access  Private
+router.post('/', protect, validateNewOrder, async (req, res) => {
+    // Customers always order for themselves; staff who manage orders may place one on behalf of a body 'userId'
+    // Any client-sent shippingCost is ignored; the cost is calculated from shippingInfo
+    const { products, shippingInfo, paymentMethod, mpesaNumber, couponCode } = req.body;
+    const userId = req.user.hasPermission('orders:manage') && req.body.userId ? req.body.userId : req.user._id;
+
+    // Validate that the userId actually exists in the User model
+    const existingUser = await User.findById(userId);
+    if (!existingUser) {
+        throw new AppError(404, 'User not found.');
+    }
 
-        let calculatedSubtotal = 0;
-        const orderProducts = [];
-
-        // --- Price Verification & Stock Check ---
-        for (const item of products) {
-            const product = await Product.findById(item.productId);
-
-            if (!product) {
-                return res.status(404).json({ message: `Product with ID ${item.productId} not found.` });
-            }
-
-            if (product.stock < item.quantity) {
-                return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stock}` });
-            }
-
-            // Verify price (still crucial for data integrity)
-            if (Math.abs(product.price - item.price) > 0.01) {
-                console.warn(`Price mismatch for product ${product.name}: Frontend sent ${item.price}, Backend has ${product.price}`);
-            }
-
-            calculatedSubtotal += product.price * item.quantity;
-
-            // Prepare product data for the order schema (historical pricing)
-            orderProducts.push({
-                productId: product._id,
-                quantity: item.quantity,
-                priceAtTimeOfOrder: product.price,
-                nameAtTimeOfOrder: product.name,
-                imageUrlAtTimeOfOrder: product.imageUrl,
-                sizeAtTimeOfOrder: item.size || 'N/A',
-                colorAtTimeOfOrder: item.color || 'N/A'
-            });
-
-            // Decrement stock immediately (consider a transaction for robustness in production)
-            product.stock -= item.quantity;
-            await product.save();
-        }
+    // --- Stock reservation & order creation in one transaction ---
+    // Prices always come from the Product collection, never from the client.
+    const createdOrder = await placeOrder({
+        userId,
+        items: products,
+        shippingInfo,
+        paymentMethod,
+        mpesaNumber,
+        couponCode
+    });
+
+    // --- Payment Processing ---
+    await initiatePayment(createdOrder);
+
+    res.status(201).json(createdOrder);
+});
 
-        const backendCalculatedTotal = calculatedSubtotal + shippingCost;
+// @desc    Create an order from the user's stored cart and empty the cart
+// @route   POST /api/orders/checkout/:userId
+// @access  Private (cart owner or admin)
+// @body    { shippingInfo, paymentMethod, mpesaNumber?, couponCode? } (defaults to the cart's coupon)
+router.post('/checkout/:userId', protect, authorizeSelfOrAdmin('userId'), validateCheckout, async (req, res) => {
+    const { userId } = req.params;
+    const { shippingInfo, paymentMethod, mpesaNumber, couponCode } = req.body;
+
+    const existingUser = await User.findById(userId);
+    if (!existingUser) {
+        throw new AppError(404, 'User not found.');
+    }
 
-        // --- Payment Processing (Mock/Placeholder) ---
-        let paymentStatus = 'Pending';
-        if (paymentMethod === 'mpesa') {
-            console.log(`Initiating Mpesa STK Push for ${mpesaNumber} with amount ${backendCalculatedTotal}`);
-        } else if (paymentMethod === 'card') {
-            console.log(`Processing card payment for ${backendCalculatedTotal}`);
-        }
+    // Order lines and prices come from the Cart and Product collections
+    const { order, priceChanges } = await checkoutCart({
+        userId,
+        shippingInfo,
+        paymentMethod,
+        mpesaNumber,
+        couponCode
+    });
 
-        // --- Create Order in DB ---
-        const order = new Order({
-            userId, // Now taken from req.body
-            products: orderProducts,
-            shippingInfo,
-            paymentMethod,
-            mpesaNumber: paymentMethod === 'mpesa' ? mpesaNumber : null,
-            subtotalAmount: calculatedSubtotal,
-            shippingCost,
-            totalAmount: backendCalculatedTotal,
-            paymentStatus,   
-            orderStatus: 'Pending'
-        });
+    await initiatePayment(order);
 
-        const createdOrder = await order.save();
+    res.status(201).json({ order, priceChanges });
+});
 
-        // --- Clear User's Cart ---
-        // Assuming you store cart items within the User model or a separate Cart model
-        await User.findByIdAndUpdate(userId, { $set: { cart: [] } }); // Example if cart is an array in User model
+// @desc    Place an order without an account, from a guest cart (X-Cart-Token header) or a products list
+// @route   POST /api/orders/guest
+// @access  Public
+// @body    { shippingInfo (with email), paymentMethod, mpesaNumber?, couponCode?, products? }
+router.post('/guest', validateGuestOrder, async (req, res) => {
+    const { products, shippingInfo, paymentMethod, mpesaNumber, couponCode } = req.body;
+    const cartToken = req.get(CART_TOKEN_HEADER);
 
-        res.status(201).json(createdOrder);
+    if (!cartToken && !products) {
+        throw new AppError(400, 'Send a guest cart token or a products list.');
+    }
 
-    } catch (error) {
-        console.error('Error creating order:', error);
-        res.status(500).json({ message: 'Server Error', error: error.message });
+    const orderDetails = { shippingInfo, paymentMethod, mpesaNumber, couponCode };
+    let order;
+    let priceChanges = [];
+    if (cartToken) {
+        ({ order, priceChanges } = await checkoutCart({ cartToken, ...orderDetails }));
+    } else {
+        order = await placeOrder({ items: products, ...orderDetails });
     }
+
+    await initiatePayment(order);
+
+    res.status(201).json({ order, priceChanges });
 });
 
-// @desc    Get orders for a specific user (WARNING: Now public, anyone can view any user's orders if they know the userId)
+// @desc    Look up a guest order; the email must match the one given at checkout
+// @route   GET /api/orders/guest/:id?email=
+// @access  Public
+router.get('/guest/:id', validate({
+    params: { id: { type: 'objectId', required: true } },
+    query: { email: { type: 'email', required: true } }
+}), async (req, res) => {
+    const order = await Order.findOne({
+        _id: req.params.id,
+        userId: null,
+        'shippingInfo.email': req.query.email.trim().toLowerCase()
+    });
+    // Same answer for a wrong email and a missing order
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
+    res.json(order);
+});
+
+// @desc    Get orders for a specific user
 // @route   GET /api/orders/myorders/:userId
-// @access  Public (Highly insecure)
-router.get('/myorders/:userId', async (req, res) => {
-    try {
-        const { userId } = req.params; // Get userId from URL parameter
+// @access  Private (order owner or admin)
+router.get('/myorders/:userId', protect, authorizeSelfOrAdmin('userId'), validateObjectIds('userId'), async (req, res) => {
+    const { userId } = req.params; // Get userId from URL parameter
 
-        const orders = await Order.find({ userId: userId })
-                                   .populate('products.productId', 'name imageUrl price')
-                                   .sort({ createdAt: -1 });
+    const orders = await Order.find({ userId: userId })
+                               .populate('products.productId', 'name imageUrl price')
+                               .sort({ createdAt: -1 });
 
-        res.json(orders);
-    } catch (error) {
-        console.error('Error fetching user orders:', error);
-        res.status(500).json({ message: 'Server Error', error: error.message });
-    }
+    res.json(orders);
 });
 
-// @desc    Get a single order by ID (WARNING: Now public, anyone can view any order if they know its ID)
+// @desc    Get a single order by ID
 // @route   GET /api/orders/:id
-// @access  Public (Highly insecure)
-router.get('/:id', async (req, res) => {
-    try {
-        const order = await Order.findById(req.params.id)
-                                 .populate('userId', 'username email')
-                                 .populate('products.productId', 'name imageUrl price');
-
-        if (!order) {
-            return res.status(404).json({ message: 'Order not found' });
-        }
+// @access  Private (order owner or admin)
+router.get('/:id', protect, validateObjectIds('id'), async (req, res) => {
+    const order = await Order.findById(req.params.id)
+                             .populate('userId', 'username email')
+                             .populate('products.productId', 'name imageUrl price');
+
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
 
-        // No authorization check here as per request
-        res.json(order);
-    } catch (error) {
-        console.error('Error fetching order by ID:', error);
-        res.status(500).json({ message: 'Server Error', error: error.message });
+    if (!canAccessOrder(req, order)) {
+        throw new AppError(403, 'You can only access your own orders.');
     }
+
+    res.json(order);
 });
 
-// @desc    Get all orders (WARNING: Now public, anyone can view all orders)
-// @route   GET /api/orders
-// @access  Public (Highly insecure)
-router.get('/', async (req, res) => {
-    try {
-        const orders = await Order.find()
-                                   .populate('userId', 'username email')
-                                   .populate('products.productId', 'name imageUrl price')
-                                   .sort({ createdAt: -1 });
+// @desc    Get the status timeline of an order for the tracking page
+// @route   GET /api/orders/:id/timeline
+// @access  Private (order owner or admin)
+router.get('/:id/timeline', protect, validateObjectIds('id'), async (req, res) => {
+    const order = await Order.findById(req.params.id)
+                             .select('userId orderStatus statusHistory trackingNumber deliveredAt createdAt');
 
-        res.json(orders);
-    } catch (error) {
-        console.error('Error fetching all orders:', error);
-        res.status(500).json({ message: 'Server Error', error: error.message });
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
+    if (!canAccessOrder(req, order)) {
+        throw new AppError(403, 'You can only access your own orders.');
     }
+
+    // Orders placed before statusHistory existed only know their creation and current status
+    const history = order.statusHistory.length > 0
+        ? order.statusHistory
+        : [{ status: order.orderStatus, changedAt: order.createdAt, changedByRole: 'system', note: '' }];
+
+    res.json({
+        orderId: order._id,
+        currentStatus: order.orderStatus,
+        trackingNumber: order.trackingNumber,
+        deliveredAt: order.deliveredAt,
+        nextStatuses: Order.ORDER_STATUS_TRANSITIONS[order.orderStatus] || [],
+        timeline: history.map((entry) => ({
+            status: entry.status,
+            changedAt: entry.changedAt,
+            changedByRole: entry.changedByRole,
+            note: entry.note
+        }))
+    });
 });
 
-// @desc    Update order status (WARNING: Now public, anyone can change any order's status)
+// @desc    Get all orders
+// @route   GET /api/orders
+// @access  Private/Admin
+router.get('/', protect, authorizePermissions('orders:manage'), async (req, res) => {
+    const orders = await Order.find()
+                               .populate('userId', 'username email')
+                               .populate('products.productId', 'name imageUrl price')
+                               .sort({ createdAt: -1 });
+
+    res.json(orders);
+});
+
+// @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Public (Highly insecure)
-router.put('/:id/status', async (req, res) => {
-    const { orderStatus, trackingNumber, deliveredAt } = req.body;
+// @access  Private/Admin
+router.put('/:id/status', protect, authorizePermissions('orders:manage'), validateStatusUpdate, async (req, res) => {
+    const { orderStatus, trackingNumber, deliveredAt, note } = req.body;
 
-    try {
-        const order = await Order.findById(req.params.id);
+    const order = await Order.findById(req.params.id);
 
-        if (!order) {
-            return res.status(404).json({ message: 'Order not found' });
-        }
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
 
-        if (orderStatus) {
-            order.orderStatus = orderStatus;
-        }
-        if (trackingNumber !== undefined) {
-            order.trackingNumber = trackingNumber;
-        }
-        if (deliveredAt) {
-            order.deliveredAt = deliveredAt;
-        } else if (orderStatus === 'Delivered' && !order.deliveredAt) {
-            order.deliveredAt = new Date();
-        }
+    const updates = {};
+    if (trackingNumber !== undefined) {
+        updates.trackingNumber = trackingNumber;
+    }
+    if (deliveredAt) {
+        updates.deliveredAt = deliveredAt;
+    }
 
-        const updatedOrder = await order.save();
-        res.json(updatedOrder);
-    } catch (error) {
-        console.error('Error updating order status:', error);
-        res.status(500).json({ message: 'Server Error', error: error.message });
+    // Status changes must follow the transition graph and are recorded in statusHistory;
+    // cancelling or returning also restores stock and refunds collected payments
+    if (orderStatus && orderStatus !== order.orderStatus) {
+        const updatedOrder = await changeOrderStatus(order._id, orderStatus, { actor: req.user, role: 'admin', note, updates });
+        return res.json(updatedOrder);
     }
+
+    order.set(updates);
+    const updatedOrder = await order.save();
+    res.json(updatedOrder);
 });
 
-// @desc    Update order payment status (WARNING: Now public, anyone can change any order's payment status)
-// @route   PUT /api/orders/:id/payment-status
-// @access  Public (Highly insecure)
-router.put('/:id/payment-status', async (req, res) => {
-    const { paymentStatus } = req.body;
+// @desc    Cancel an order (customers may only cancel before it has shipped)
+// @route   POST /api/orders/:id/cancel
+// @access  Private (order owner or admin)
+// @body    { reason?: string }
+router.post('/:id/cancel', protect, validate({
+    params: { id: { type: 'objectId', required: true } },
+    body: { reason: { type: 'string', maxLength: 1000 } }
+}), async (req, res) => {
+    const { reason } = req.body;
 
-    try {
-        const order = await Order.findById(req.params.id);
+    const order = await Order.findById(req.params.id);
 
-        if (!order) {
-            return res.status(404).json({ message: 'Order not found' });
-        }
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
+    if (!canAccessOrder(req, order)) {
+        throw new AppError(403, 'You can only access your own orders.');
+    }
+    if (!order.canTransitionTo('Cancelled')) {
+        throw new AppError(409, `Orders that are ${order.orderStatus} can no longer be cancelled.`);
+    }
 
-        if (!['Pending', 'Paid', 'Failed', 'Refunded'].includes(paymentStatus)) {
-            return res.status(400).json({ message: 'Invalid payment status' });
-        }
+    const role = req.user.hasPermission('orders:manage') ? 'admin' : 'customer';
+    const updatedOrder = await changeOrderStatus(order._id, 'Cancelled', {
+        actor: req.user,
+        role,
+        note: reason || `Cancelled by ${role}`,
+        updates: { cancellationReason: reason }
+    });
+    res.json(updatedOrder);
+});
+
+// @desc    Ask to return a delivered order
+// @route   POST /api/orders/:id/return-request
+// @access  Private (order owner)
+// @body    { reason: 'damaged' | 'wrong_item' | 'not_as_described' | 'size_issue' | 'changed_mind' | 'other', comment?: string }
+router.post('/:id/return-request', protect, validate({
+    params: { id: { type: 'objectId', required: true } },
+    body: {
+        reason: { type: 'string', enum: Order.RETURN_REASONS, required: true },
+        comment: { type: 'string', maxLength: 1000 }
+    }
+}), async (req, res) => {
+    const { reason, comment } = req.body;
 
-        order.paymentStatus = paymentStatus;
-        const updatedOrder = await order.save();
-        res.json(updatedOrder);
-    } catch (error) {
-        console.error('Error updating payment status:', error);
-        res.status(500).json({ message: 'Server Error', error: error.message });
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
+    if (!canAccessOrder(req, order)) {
+        throw new AppError(403, 'You can only access your own orders.');
+    }
+    if (order.orderStatus !== 'Delivered') {
+        throw new AppError(409, 'Only delivered orders can be returned.');
+    }
+    if (order.returnRequest && order.returnRequest.status) {
+        throw new AppError(409, `A return has already been ${order.returnRequest.status.toLowerCase()} for this order.`);
     }
+    const windowEnds = new Date((order.deliveredAt || order.updatedAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+        throw new AppError(409, `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery.`);
+    }
+
+    order.returnRequest = {
+        status: 'Requested',
+        reason,
+        comment,
+        requestedAt: new Date()
+    };
+    const updatedOrder = await order.save();
+    res.status(201).json(updatedOrder);
+});
+
+// @desc    Approve or reject a return request. Approving marks the order Returned,
+//          restores stock and refunds collected payments.
+// @route   PUT /api/orders/:id/return-request
+// @access  Private/Admin
+// @body    { decision: 'approve' | 'reject', note?: string }
+router.put('/:id/return-request', protect, authorizePermissions('orders:manage'), validate({
+    params: { id: { type: 'objectId', required: true } },
+    body: {
+        decision: { type: 'string', enum: ['approve', 'reject'], required: true },
+        note: { type: 'string', maxLength: 1000 }
+    }
+}), async (req, res) => {
+    const { decision, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
+    if (!order.returnRequest || order.returnRequest.status !== 'Requested') {
+        throw new AppError(409, 'This order has no pending return request.');
+    }
+
+    const resolution = {
+        'returnRequest.status': decision === 'approve' ? 'Approved' : 'Rejected',
+        'returnRequest.resolvedAt': new Date(),
+        'returnRequest.resolvedBy': req.user._id,
+        'returnRequest.resolutionNote': note
+    };
+
+    if (decision === 'approve') {
+        const updatedOrder = await changeOrderStatus(order._id, 'Returned', {
+            actor: req.user,
+            role: 'admin',
+            note: note || `Return approved (${order.returnRequest.reason})`,
+            updates: resolution
+        });
+        return res.json(updatedOrder);
+    }
+
+    order.set(resolution);
+    const updatedOrder = await order.save();
+    res.json(updatedOrder);
+});
+
+// @desc    Update order payment status by hand (e.g. cash collected on delivery).
+//          The payments ledger is updated to match, see setPaymentStatusManually.
+// @route   PUT /api/orders/:id/payment-status
+// @access  Private/Admin
+// @body    { paymentStatus: 'Pending' | 'Paid' | 'Failed' | 'Refunded', reference?: string, note?: string }
+router.put('/:id/payment-status', protect, authorizePermissions('payments:manage'), validate({
+    params: { id: { type: 'objectId', required: true } },
+    body: {
+        paymentStatus: { type: 'string', enum: ['Pending', 'Paid', 'Failed', 'Refunded'], required: true },
+        reference: { type: 'string' },
+        note: { type: 'string', maxLength: 1000 }
+    }
+}), async (req, res) => {
+    const { paymentStatus, reference, note } = req.body;
+
+    const updatedOrder = await setPaymentStatusManually(req.params.id, paymentStatus, { actor: req.user, reference, note });
+    res.json(updatedOrder);
 });
 
 module.exports = router;
\ No newline at end of file
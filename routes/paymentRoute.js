@@ -0,0 +1,121 @@
+// routes/paymentRoute.js
+const express = require('express');
+const router = express.Router();
+
+const Order = require('../models/OdersModel');
+const Payment = require('../models/PaymentModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { startMpesaPayment, handleMpesaCallback, getReconciliationReport } = require('../services/paymentService');
+const { isValidCallbackToken } = require('../services/payments/mpesa');
+
+// Daraja identifiers and raw payloads stay with staff: anyone holding a CheckoutRequestID
+// could try to pass off a forged callback for it
+const PROVIDER_FIELDS = ['merchantRequestId', 'checkoutRequestId', 'rawResponse', 'rawCallback'];
+
+// A Payment as the caller may see it
+function paymentView(payment, user) {
+    const view = payment.toJSON();
+    if (!user.hasPermission('payments:manage')) {
+        PROVIDER_FIELDS.forEach((field) => delete view[field]);
+    }
+    return view;
+}
+
+// @desc    Receive the STK push result from Safaricom (Daraja)
+// @route   POST /api/payments/mpesa/callback
+// @access  Public (called by Safaricom; guarded by MPESA_CALLBACK_TOKEN)
+// Answers in Daraja's { ResultCode, ResultDesc } format rather than the API error format
+router.post('/mpesa/callback', async (req, res) => {
+    if (!isValidCallbackToken(req.query.token)) {
+        return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    try {
+        const handled = await handleMpesaCallback(req.body);
+        if (!handled) {
+            console.warn('M-Pesa callback for unknown CheckoutRequestID:', JSON.stringify(req.body));
+        } else if (handled.duplicate) {
+            console.warn(`Ignoring duplicate M-Pesa callback for ${handled.payment.checkoutRequestId}`);
+        }
+        // Daraja only needs an acknowledgement; anything else makes it retry
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (error) {
+        if (error.status && error.message) {
+            return res.status(error.status).json({ ResultCode: 1, ResultDesc: error.message });
+        }
+        console.error('Error handling M-Pesa callback:', error);
+        res.status(500).json({ ResultCode: 1, ResultDesc: 'Server Error' });
+    }
+});
+
+// @desc    Send (or resend) an M-Pesa STK push for an unpaid order
+// @route   POST /api/payments/mpesa/stkpush/:orderId
+// @access  Private (order owner or admin)
+// @body    { phone?: string } defaults to the order's mpesaNumber
+router.post('/mpesa/stkpush/:orderId', protect, validate({
+    params: { orderId: { type: 'objectId', required: true } },
+    body: { phone: { type: 'string' } }
+}), async (req, res) => {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
+    if (!req.user.hasPermission('orders:manage') && String(order.userId) !== req.user._id.toString()) {
+        throw new AppError(403, 'You can only pay for your own orders.');
+    }
+    if (order.paymentMethod !== 'mpesa') {
+        throw new AppError(400, 'This order is not paid with M-Pesa.');
+    }
+
+    let payment;
+    try {
+        payment = await startMpesaPayment(order, (req.body && req.body.phone) || order.mpesaNumber);
+    } catch (error) {
+        if (error instanceof AppError) {
+            throw error;
+        }
+        console.error('Error initiating M-Pesa payment:', error);
+        throw new AppError(502, 'Failed to initiate M-Pesa payment.', { code: 'PAYMENT_PROVIDER_ERROR' });
+    }
+    res.status(201).json(paymentView(payment, req.user));
+});
+
+// @desc    Get the payment attempts for an order
+// @route   GET /api/payments/order/:orderId
+// @access  Private (order owner or admin)
+router.get('/order/:orderId', protect, validateObjectIds('orderId'), async (req, res) => {
+    const { orderId } = req.params;
+    const order = await Order.findById(orderId).select('userId');
+    if (!order) {
+        throw new AppError(404, 'Order not found');
+    }
+    if (!req.user.hasPermission('orders:manage') && String(order.userId) !== req.user._id.toString()) {
+        throw new AppError(403, 'You can only access your own orders.');
+    }
+
+    const payments = await Payment.find({ orderId }).select('-rawCallback -rawResponse').sort({ createdAt: -1 });
+    res.json(payments.map((payment) => paymentView(payment, req.user)));
+});
+
+// @desc    Orders whose paymentStatus does not match their successful transactions
+// @route   GET /api/payments/reconciliation?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin
+router.get('/reconciliation', protect, authorizePermissions('payments:manage'), validate({
+    query: { from: { type: 'date' }, to: { type: 'date' } }
+}), async (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    const orders = await getReconciliationReport({ from, to });
+    res.json({
+        generatedAt: new Date(),
+        from: from || null,
+        to: to || null,
+        count: orders.length,
+        orders
+    });
+});
+
+module.exports = router;
@@ -1,65 +1,194 @@
 // routes/product.js
 const express = require('express');
 const Product = require('../models/ProductModel');
-const cloudinary = require('cloudinary').v2; // Ensure this is imported here for use in this file
 const multer = require('multer'); // Multer needs to be initialized where you use it
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const upload = require('../middleware/upload');
+const { validate, validateValues, validateObjectIds, paginationQuery } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { SORT_OPTIONS, buildProductFilter, buildProductSort, parsePagination } = require('../utils/productQuery');
+const { resolveCatalogQuery, getProductFacets } = require('../services/catalogService');
+const { uploadImages, removeImages } = require('../services/storage');
+const { readImportFile, importProducts, exportProductsCsv } = require('../services/productImportService');
 
 const router = express.Router();
 
+const MAX_PRODUCT_IMAGES = parseInt(process.env.PRODUCT_MAX_IMAGES, 10) || 10;
+
 // --- Multer setup for this router ---
-// This is now self-contained within this route file.
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
+// Product images use the shared image uploader in middleware/upload.js (also used for review photos).
+// Catalogue import files (CSV or JSON) are kept in memory too, with their own file filter.
+const importUpload = multer({
+  storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-    if (allowedTypes.includes(file.mimetype)) {
+    const allowedTypes = ['text/csv', 'application/json', 'application/vnd.ms-excel', 'text/plain'];
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|json)$/i.test(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only JPEG, PNG, GIF, and WEBP image formats are allowed!'), false);
+      cb(new AppError(400, 'Only CSV and JSON files can be imported!', { code: 'UNSUPPORTED_FILE_TYPE' }), false);
     }
   }
 });
 
+// Stock changes saved through the admin routes below are logged in the stock ledger under the admin
+function adminStockContext(req) {
+  return { actor: req.user, role: 'admin' };
+}
 
-// Route to create a new product WITH an image upload
-router.post('/products/upload', upload.single('image'), async (req, res) => {
+// Multipart forms can only carry strings, so structured fields arrive as JSON strings
+function parseJsonField(raw, field) {
   try {
-    if (!req.file) {
-      return res.status(400).send({ error: 'No image file provided for product.' });
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new AppError(400, `${field} must be valid JSON.`, {
+      code: 'VALIDATION_ERROR',
+      details: [{ location: 'body', field, message: 'must be valid JSON' }]
+    });
+  }
+}
+
+// Multipart `alt` is either one string used for every file or a JSON array matching the files
+function parseAltTexts(raw, count) {
+  if (!raw) return Array(count).fill('');
+  if (raw.trim().startsWith('[')) {
+    const list = parseJsonField(raw, 'alt');
+    return Array.from({ length: count }, (_, index) => list[index] || '');
+  }
+  return Array(count).fill(raw);
+}
+
+// Save a product, reporting a clash on the catalogue-wide unique variant SKU index as a 409
+async function saveProduct(product) {
+  try {
+    await product.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(409, 'A variant with this SKU already exists.', { code: 'DUPLICATE_SKU' });
     }
+    throw error;
+  }
+}
+
+// --- Request shapes ---
+const variantFields = {
+  sku: { type: 'string', minLength: 1, maxLength: 100 },
+  size: { type: 'string', maxLength: 50 },
+  color: { type: 'string', maxLength: 50 },
+  price: { type: 'number', min: 0 },
+  quantity: { type: 'integer', min: 0 }
+};
+const productFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 10000 },
+  price: { type: 'number', min: 0 },
+  quantity: { type: 'integer', min: 0 },
+  size: { type: 'string', maxLength: 50 },
+  color: { type: 'string', maxLength: 50 },
+  brand: { type: 'string', maxLength: 100 },
+  category: { type: 'string', maxLength: 100 },
+  categoryId: { type: 'objectId', nullable: true },
+  imageUrl: { type: 'string' },
+  weightKg: { type: 'number', min: 0 },
+  lowStockThreshold: { type: 'integer', min: 0, nullable: true },
+  variants: {
+    type: 'array',
+    items: { type: 'object', properties: { ...variantFields, sku: { ...variantFields.sku, required: true } } }
+  }
+};
+const newProductFields = {
+  ...productFields,
+  name: { ...productFields.name, required: true },
+  price: { ...productFields.price, required: true }
+};
+const productIdParam = { id: { type: 'objectId', required: true } };
+const catalogQuery = {
+  q: { type: 'string', maxLength: 200 },
+  category: { type: 'string' },
+  brand: { type: 'string' },
+  size: { type: 'string' },
+  color: { type: 'string' },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  inStock: { type: 'boolean' },
+  minRating: { type: 'number', min: 0, max: 5 }
+};
+const listQuery = {
+  ...catalogQuery,
+  sort: { type: 'string', enum: ['relevance', ...Object.keys(SORT_OPTIONS)] },
+  ...paginationQuery
+};
+
+const validateNewProduct = validate({ body: newProductFields });
+// Multipart forms send variants as a JSON string, which is checked again once it is parsed
+const validateUploadFields = validate({
+  body: { ...newProductFields, variants: { type: 'string' }, alt: { type: 'string' } }
+});
+// The parsed variants of a multipart form, checked like a JSON body
+function validateVariants(body) {
+  validateValues({ body: { variants: productFields.variants } }, { body });
+}
+const validateProductUpdate = validate({
+  params: productIdParam,
+  body: {
+    name: productFields.name,
+    color: productFields.color,
+    quantity: productFields.quantity,
+    size: productFields.size,
+    price: productFields.price,
+    imageUrl: productFields.imageUrl,
+    variants: productFields.variants,
+    categoryId: productFields.categoryId,
+    weightKg: productFields.weightKg,
+    lowStockThreshold: productFields.lowStockThreshold
+  }
+}, { strict: true });
+const validateNewVariant = validate({
+  params: productIdParam,
+  body: { ...variantFields, sku: { ...variantFields.sku, required: true } }
+}, { strict: true });
+const validateVariantUpdate = validate({
+  params: { ...productIdParam, variantId: { type: 'objectId', required: true } },
+  body: variantFields
+}, { strict: true });
+
+// Route to create a new product WITH image uploads
+// Accepts a single `image` file (original form field) and/or up to MAX_PRODUCT_IMAGES `images` files
+router.post('/products/upload', protect, authorizePermissions('catalog:manage'), upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_PRODUCT_IMAGES }
+]), validateUploadFields, async (req, res) => {
+  const files = [...((req.files && req.files.image) || []), ...((req.files && req.files.images) || [])];
+  if (files.length === 0) {
+    throw new AppError(400, 'No image file provided for product.');
+  }
+  if (files.length > MAX_PRODUCT_IMAGES) {
+    throw new AppError(400, `A product can have at most ${MAX_PRODUCT_IMAGES} images.`);
+  }
 
-    const result = await cloudinary.uploader.upload(
-      `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
-      {
-        folder: 'product-images', // Optional: specific folder for product images
-      }
-    );
+  if (typeof req.body.variants === 'string') {
+    req.body.variants = parseJsonField(req.body.variants, 'variants');
+    validateVariants(req.body);
+  }
+  const altTexts = parseAltTexts(req.body.alt, files.length);
 
+  const uploaded = await uploadImages(files, { folder: 'product-images' });
+  try {
+    const { alt, ...fields } = req.body;
     const productData = {
-      ...req.body, // This will contain 'name', 'color', 'quantity', etc.
-      imageUrl: result.secure_url,
-      imagePublicId: result.public_id // Store public ID for potential deletion later
+      ...fields, // This will contain 'name', 'color', 'quantity', 'variants', etc.
+      images: uploaded.map((image, index) => ({ ...image, alt: altTexts[index], order: index }))
     };
 
     const product = new Product(productData);
-    await product.save();
+    product.$locals.stockContext = adminStockContext(req);
+    await saveProduct(product);
 
     res.status(201).send(product);
-
   } catch (error) {
-    console.error('Error creating product with image:', error);
-
-    // If Cloudinary upload fails or Mongoose save fails
-    if (error.result && error.result.public_id) {
-        console.log(`Attempting to delete orphaned image: ${error.result.public_id}`);
-        // Consider uncommenting this if you want to clean up failed DB saves
-        // await cloudinary.uploader.destroy(error.result.public_id).catch(delErr => console.error("Failed to delete orphaned image from Cloudinary:", delErr));
-    }
-
-    // This catches Mongoose validation errors or other general errors
-    res.status(400).send({ error: error.message || 'Failed to create product with image.' });
+    // The images are already stored but the product was not saved, so they would be orphaned
+    await removeImages(uploaded.map((image) => image.publicId));
+    throw error;
   }
 });
 
@@ -74,86 +203,263 @@ router.post('/products/upload', upload.single('image'), async (req, res) => {
 // `router.post('/products', ...)` route without `upload.single('image')`.
 
 // Create a new product (without image upload, assuming JSON body)
-router.post('/products', async (req, res) => {
-    try {
-        const product = new Product(req.body);
-        await product.save();
-        res.status(201).send(product);
-    } catch (error) {
-        res.status(400).send(error);
-    }
+router.post('/products', protect, authorizePermissions('catalog:manage'), validateNewProduct, async (req, res) => {
+    const product = new Product(req.body);
+    product.$locals.stockContext = adminStockContext(req);
+    await saveProduct(product);
+    res.status(201).send(product);
 });
 
 
-// Get all products
-router.get('/products', async (req, res) => {
-    try {
-        const products = await Product.find({});
-        res.status(200).send(products);
-    } catch (error) {
-        res.status(500).send(error);
+// Search, filter, sort and paginate products
+// Query: q, category (slugs, includes subcategories), brand, size, color, minPrice, maxPrice, inStock=true,
+//        minRating (0-5, average of approved reviews),
+//        sort=relevance|newest|oldest|price_asc|price_desc|name_asc|name_desc|rating_desc|most_reviewed, page, limit
+router.get('/products', validate({ query: listQuery }), async (req, res) => {
+    const query = await resolveCatalogQuery(req.query);
+    const filter = buildProductFilter(query);
+    const sort = buildProductSort(query);
+    const { page, limit, skip } = parsePagination(query);
+
+    const projection = req.query.q ? { score: { $meta: 'textScore' } } : {};
+    const [products, total] = await Promise.all([
+        Product.find(filter, projection).sort(sort).skip(skip).limit(limit),
+        Product.countDocuments(filter)
+    ]);
+
+    res.status(200).send({
+        products,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    });
+});
+
+// Bulk create/update products from a CSV or JSON `file` (upserts by SKU)
+// Pass dryRun=true (query or form field) to validate without saving; the response reports every row
+router.post('/products/import', protect, authorizePermissions('catalog:manage'), importUpload.single('file'), validate({
+    query: { dryRun: { type: 'boolean' } },
+    body: { dryRun: { type: 'boolean' } }
+}), async (req, res) => {
+    if (!req.file) {
+        throw new AppError(400, 'No import file provided.');
+    }
+    const { rows, rowNumbers } = readImportFile(req.file);
+    if (rows.length === 0) {
+        throw new AppError(400, 'The import file has no rows.');
     }
+    const dryRun = String(req.query.dryRun || (req.body && req.body.dryRun)) === 'true';
+    const result = await importProducts(rows, { dryRun, actor: req.user, rowNumbers });
+    res.status(200).send(result);
 });
 
-// Get a product by ID
-router.get('/products/:id', async (req, res) => {
-    const _id = req.params.id;
+// Download the whole catalogue as CSV, in the same format the import accepts
+router.get('/products/export', protect, authorizePermissions('catalog:manage'), async (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
     try {
-        const product = await Product.findById(_id);
-        if (!product) {
-            return res.status(404).send();
-        }
-        res.status(200).send(product);
+        await exportProductsCsv(res);
     } catch (error) {
-        res.status(500).send(error);
+        // Headers are gone once streaming starts, so all that is left is to cut the download short
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            throw error;
+        }
+        console.error('Error exporting products:', error);
+        res.destroy(error);
     }
 });
 
+// Counts per category, brand, size, colour and price range for the storefront filter sidebar
+// Accepts the same filter parameters as GET /products
+router.get('/products/facets', validate({ query: catalogQuery }), async (req, res) => {
+    const query = await resolveCatalogQuery(req.query);
+    const facets = await getProductFacets(query);
+    res.status(200).send(facets);
+});
+
+// Load the product named by :id onto req.product (404 when it does not exist)
+const loadProduct = [validateObjectIds('id'), async (req, res, next) => {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+        throw new AppError(404, 'Product not found.');
+    }
+    req.product = product;
+    next();
+}];
+
+// Get a product by ID
+router.get('/products/:id', loadProduct, async (req, res) => {
+    res.status(200).send(req.product);
+});
+
 // Update a product by ID (consider how image updates would work here)
 // If you want to update the image, you'd need a separate route like PUT /products/:id/image
 // or make this PATCH route accept multipart/form-data with `upload.single('image')`
 // and handle conditional image upload/deletion.
-router.patch('/products/:id', async (req, res) => {
-    const _id = req.params.id;
-    const updates = Object.keys(req.body);
-    const allowedUpdates = ['name', 'color', 'quantity', 'size', 'price', 'imageUrl', 'imagePublicId'];
-    const isValidOperation = updates.every((update) => allowedUpdates.includes(update));
-
-    if (!isValidOperation) {
-        return res.status(400).send({ error: 'Invalid updates!' });
-    }
+router.patch('/products/:id', protect, authorizePermissions('catalog:manage'), validateProductUpdate, loadProduct, async (req, res) => {
+    // Load and save (rather than findByIdAndUpdate) so the variant stock total is recalculated
+    const { product } = req;
+    product.set(req.body);
+    product.$locals.stockContext = adminStockContext(req);
+    await saveProduct(product);
+    res.status(200).send(product);
+});
 
-    try {
-        const product = await Product.findByIdAndUpdate(_id, req.body, { new: true, runValidators: true });
-        if (!product) {
-            return res.status(404).send();
-        }
-        res.status(200).send(product);
-    } catch (error) {
-        res.status(400).send(error);
+// --- Variants (size/colour SKUs with their own stock) ---
+
+// Find a variant of req.product, or 404
+function findVariant(product, variantId) {
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+        throw new AppError(404, 'Variant not found');
     }
+    return variant;
+}
+
+// Add a variant to a product
+router.post('/products/:id/variants', protect, authorizePermissions('catalog:manage'), validateNewVariant, loadProduct, async (req, res) => {
+    const { product } = req;
+    product.variants.push(req.body);
+    product.$locals.stockContext = adminStockContext(req);
+    await saveProduct(product);
+    res.status(201).send(product);
 });
 
-// Delete a product by ID (and its associated image from Cloudinary)
-router.delete('/products/:id', async (req, res) => {
-    const _id = req.params.id;
-    try {
-        const product = await Product.findByIdAndDelete(_id);
-        if (!product) {
-            return res.status(404).send();
-        }
+// Update a single variant (e.g. restock it or change its price override)
+router.patch('/products/:id/variants/:variantId', protect, authorizePermissions('catalog:manage'), validateVariantUpdate, loadProduct, async (req, res) => {
+    const { product } = req;
+    findVariant(product, req.params.variantId).set(req.body);
+    product.$locals.stockContext = adminStockContext(req);
+    await saveProduct(product);
+    res.status(200).send(product);
+});
 
-        // OPTIONAL: Delete image from Cloudinary when product is deleted
-        if (product.imagePublicId) {
-            await cloudinary.uploader.destroy(product.imagePublicId);
-            console.log(`Deleted image from Cloudinary: ${product.imagePublicId}`);
-        }
+// Remove a variant from a product
+router.delete('/products/:id/variants/:variantId', protect, authorizePermissions('catalog:manage'), validateObjectIds('variantId'), loadProduct, async (req, res) => {
+    const { product } = req;
+    findVariant(product, req.params.variantId).deleteOne();
+    product.$locals.stockContext = adminStockContext(req);
+    await product.save();
+    res.status(200).send(product);
+});
 
-        res.status(200).send(product);
-    } catch (error) {
-        console.error('Error deleting product or image:', error);
-        res.status(500).send({ error: 'Failed to delete product or associated image.' });
+// --- Image gallery ---
+
+// Find an image in req.product's gallery, or 404
+function findImage(product, imageId) {
+  const image = product.images.id(imageId);
+  if (!image) {
+    throw new AppError(404, 'Image not found.');
+  }
+  return image;
+}
+
+// Add images to a product's gallery
+router.post('/products/:id/images', protect, authorizePermissions('catalog:manage'), upload.array('images', MAX_PRODUCT_IMAGES), validate({
+  body: { alt: { type: 'string' } }
+}), loadProduct, async (req, res) => {
+  const { product } = req;
+  const files = req.files || [];
+  if (files.length === 0) {
+    throw new AppError(400, 'No image files provided.');
+  }
+  if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+    throw new AppError(400, `A product can have at most ${MAX_PRODUCT_IMAGES} images.`);
+  }
+  const altTexts = parseAltTexts(req.body.alt, files.length);
+
+  const uploaded = await uploadImages(files, { folder: 'product-images' });
+  try {
+    uploaded.forEach((image, index) => {
+      product.images.push({ ...image, alt: altTexts[index], order: product.images.length });
+    });
+    await product.save();
+  } catch (error) {
+    await removeImages(uploaded.map((image) => image.publicId));
+    throw error;
+  }
+
+  res.status(201).send(product.images);
+});
+
+// Reorder a product's images
+// Body: { imageIds: [...] } listing every image id of the product in the new order
+router.put('/products/:id/images/order', protect, authorizePermissions('catalog:manage'), validate({
+  params: productIdParam,
+  body: { imageIds: { type: 'array', required: true, items: { type: 'objectId' } } }
+}), loadProduct, async (req, res) => {
+  const { product } = req;
+  const { imageIds } = req.body;
+  const currentIds = product.images.map((image) => image._id.toString());
+  const isPermutation = imageIds.length === currentIds.length &&
+    new Set(imageIds).size === currentIds.length &&
+    imageIds.every((id) => currentIds.includes(id));
+  if (!isPermutation) {
+    throw new AppError(400, 'imageIds must list every image of the product exactly once.');
+  }
+
+  imageIds.forEach((id, index) => {
+    product.images.id(id).order = index;
+  });
+  await product.save();
+  res.status(200).send(product.images);
+});
+
+// Update an image's alt text or make it the primary image
+// Body: { alt?: string, isPrimary?: true }
+router.patch('/products/:id/images/:imageId', protect, authorizePermissions('catalog:manage'), validate({
+  params: { ...productIdParam, imageId: { type: 'objectId', required: true } },
+  body: { alt: { type: 'string', maxLength: 300 }, isPrimary: { type: 'boolean' } }
+}, { strict: true }), loadProduct, async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    throw new AppError(400, 'Only alt and isPrimary can be updated.');
+  }
+  if (req.body.isPrimary === false) {
+    throw new AppError(400, 'To change the primary image, set isPrimary: true on the new one.');
+  }
+  const { product } = req;
+  const image = findImage(product, req.params.imageId);
+
+  if (req.body.alt !== undefined) {
+    image.alt = req.body.alt;
+  }
+  if (req.body.isPrimary) {
+    product.images.forEach((other) => {
+      other.isPrimary = other === image;
+    });
+  }
+  await product.save();
+  res.status(200).send(product.images);
+});
+
+// Remove an image from the gallery and from image storage
+router.delete('/products/:id/images/:imageId', protect, authorizePermissions('catalog:manage'), validateObjectIds('imageId'), loadProduct, async (req, res) => {
+  const { product } = req;
+  const image = findImage(product, req.params.imageId);
+
+  const { publicId } = image;
+  image.deleteOne();
+  await product.save();
+
+  // Delete the file only once the product no longer points at it
+  await removeImages([publicId]);
+  res.status(200).send(product.images);
+});
+
+// Delete a product by ID (and its images from image storage)
+router.delete('/products/:id', protect, authorizePermissions('catalog:manage'), validateObjectIds('id'), async (req, res) => {
+    const product = await Product.findByIdAndDelete(req.params.id);
+    if (!product) {
+        throw new AppError(404, 'Product not found.');
     }
+
+    // Products created before the gallery keep their only image in imagePublicId
+    await removeImages([...product.images.map((image) => image.publicId), product.imagePublicId]);
+
+    res.status(200).send(product);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
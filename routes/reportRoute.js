@@ -0,0 +1,100 @@
+// routes/reportRoute.js
+const express = require('express');
+const router = express.Router();
+
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const {
+    REPORT_INTERVALS,
+    parseDateRange,
+    getSalesSummary,
+    getRevenueSeries,
+    getTopProducts,
+    getTopCategories,
+    getSalesByCounty,
+    getPaymentMethodMix,
+    getCustomerMetrics
+} = require('../services/reportService');
+
+const MAX_TOP_LIMIT = 50;
+
+// Reports are for admins. Every endpoint takes `from` and `to` (ISO dates, default: the last 30 days).
+router.use(protect, authorizePermissions('reports:view'));
+
+const rangeQuery = { from: { type: 'date' }, to: { type: 'date' } };
+const validateRange = validate({ query: rangeQuery });
+const validateTopQuery = validate({
+    query: {
+        ...rangeQuery,
+        by: { type: 'string', enum: ['units', 'revenue'] },
+        limit: { type: 'integer', min: 1, max: MAX_TOP_LIMIT }
+    }
+});
+
+const topLimit = (raw) => (raw === undefined ? 10 : parseInt(raw, 10));
+
+// Run a report for the requested date range and send `{ from, to, ...result }`
+function report(build) {
+    return async (req, res) => {
+        const range = parseDateRange(req.query);
+        const result = await build(range, req.query);
+        res.status(200).json({ from: range.from, to: range.to, ...result });
+    };
+}
+
+// @desc    Headline numbers: orders, revenue and average order value of paid orders, unpaid orders, cancellation/return rates and customers
+// @route   GET /api/admin/reports/summary?from&to
+// @access  Private/Admin
+router.get('/summary', validateRange, report(async (range) => {
+    const [sales, customers] = await Promise.all([getSalesSummary(range), getCustomerMetrics(range)]);
+    return { ...sales, customers };
+}));
+
+// @desc    Revenue and order counts per period
+// @route   GET /api/admin/reports/revenue?interval=day|week|month&from&to
+// @access  Private/Admin
+router.get('/revenue', validate({ query: { ...rangeQuery, interval: { type: 'string', enum: REPORT_INTERVALS } } }), report(async (range, query) => {
+    const interval = query.interval || 'day';
+    return { interval, periods: await getRevenueSeries(range, interval) };
+}));
+
+// @desc    Best-selling products
+// @route   GET /api/admin/reports/top-products?by=units|revenue&limit=10&from&to
+// @access  Private/Admin
+router.get('/top-products', validateTopQuery, report(async (range, query) => {
+    const by = query.by || 'revenue';
+    return { by, products: await getTopProducts(range, { by, limit: topLimit(query.limit) }) };
+}));
+
+// @desc    Best-selling categories
+// @route   GET /api/admin/reports/top-categories?by=units|revenue&limit=10&from&to
+// @access  Private/Admin
+router.get('/top-categories', validateTopQuery, report(async (range, query) => {
+    const by = query.by || 'revenue';
+    return { by, categories: await getTopCategories(range, { by, limit: topLimit(query.limit) }) };
+}));
+
+// @desc    Orders and revenue per shipping county
+// @route   GET /api/admin/reports/sales-by-county?from&to
+// @access  Private/Admin
+router.get('/sales-by-county', validateRange, report(async (range) => ({ counties: await getSalesByCounty(range) })));
+
+// @desc    Orders and revenue per payment method
+// @route   GET /api/admin/reports/payment-methods?from&to
+// @access  Private/Admin
+router.get('/payment-methods', validateRange, report(async (range) => ({ paymentMethods: await getPaymentMethodMix(range) })));
+
+// @desc    New, returning and repeat customers
+// @route   GET /api/admin/reports/customers?from&to
+// @access  Private/Admin
+router.get('/customers', validateRange, report(async (range) => getCustomerMetrics(range)));
+
+// @desc    Cancellation and return rates
+// @route   GET /api/admin/reports/order-outcomes?from&to
+// @access  Private/Admin
+router.get('/order-outcomes', validateRange, report(async (range) => {
+    const { orders, cancelledOrders, cancellationRate, returnedOrders, returnRate } = await getSalesSummary(range);
+    return { orders, cancelledOrders, cancellationRate, returnedOrders, returnRate };
+}));
+
+module.exports = router;
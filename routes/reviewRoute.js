@@ -0,0 +1,169 @@
+// routes/reviewRoute.js
+const express = require('express');
+const router = express.Router();
+
+const Review = require('../models/ReviewModel');
+const Product = require('../models/ProductModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const upload = require('../middleware/upload');
+const { validate, validateObjectIds, paginationQuery } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { parsePagination } = require('../utils/productQuery');
+const {
+    MAX_REVIEW_PHOTOS,
+    createReview,
+    updateReview,
+    moderateReview,
+    deleteReview,
+    getRatingDistribution
+} = require('../services/reviewService');
+
+const REVIEW_SORT_OPTIONS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    rating_desc: { rating: -1, createdAt: -1 },
+    rating_asc: { rating: 1, createdAt: -1 }
+};
+
+const reviewFields = {
+    rating: { type: 'integer', min: 1, max: 5 },
+    title: { type: 'string', maxLength: 120 },
+    body: { type: 'string', maxLength: 5000 }
+};
+
+// Load :id into req.review
+const loadReview = [validateObjectIds('id'), async (req, res, next) => {
+    req.review = await Review.findById(req.params.id);
+    if (!req.review) {
+        throw new AppError(404, 'Review not found');
+    }
+    next();
+}];
+
+const isAuthor = (req) => req.review.user.toString() === req.user._id.toString();
+
+// @desc    Approved reviews of a product with its rating summary
+// @route   GET /api/products/:productId/reviews?sort=newest|oldest|rating_desc|rating_asc&rating=5&page&limit
+// @access  Public
+router.get('/products/:productId/reviews', validate({
+    params: { productId: { type: 'objectId', required: true } },
+    query: {
+        sort: { type: 'string', enum: Object.keys(REVIEW_SORT_OPTIONS) },
+        rating: { type: 'integer', min: 1, max: 5 },
+        ...paginationQuery
+    }
+}), async (req, res) => {
+    const sort = REVIEW_SORT_OPTIONS[req.query.sort || 'newest'];
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const product = await Product.findById(req.params.productId).select('ratingAverage ratingCount');
+    if (!product) {
+        throw new AppError(404, 'Product not found.');
+    }
+    const filter = { product: product._id, status: 'approved' };
+    if (req.query.rating) {
+        filter.rating = Number(req.query.rating);
+    }
+
+    const [reviews, total, distribution] = await Promise.all([
+        Review.find(filter)
+            .select('-moderation')
+            .populate('user', 'username fullname')
+            .sort(sort)
+            .skip(skip)
+            .limit(limit),
+        Review.countDocuments(filter),
+        getRatingDistribution(product._id)
+    ]);
+
+    res.status(200).json({
+        ratingAverage: product.ratingAverage,
+        ratingCount: product.ratingCount,
+        distribution,
+        reviews,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    });
+});
+
+// @desc    Review a product the customer has received (multipart: rating, title, body, photos[])
+// @route   POST /api/products/:productId/reviews
+// @access  Private (customer with a Delivered order containing the product)
+router.post('/products/:productId/reviews', protect, upload.array('photos', MAX_REVIEW_PHOTOS), validate({
+    params: { productId: { type: 'objectId', required: true } },
+    body: { ...reviewFields, rating: { ...reviewFields.rating, required: true } }
+}), async (req, res) => {
+    if (req.user.isStaff()) {
+        throw new AppError(403, 'Only customers can review products.');
+    }
+    const review = await createReview(req.user._id, req.params.productId, req.body, req.files || []);
+    res.status(201).json(review);
+});
+
+// @desc    List reviews for moderation, oldest first (?status=pending|approved|rejected, default pending)
+// @route   GET /api/reviews
+// @access  Private (reviews:moderate)
+router.get('/reviews', protect, authorizePermissions('reviews:moderate'), validate({
+    query: {
+        status: { type: 'string', enum: Review.REVIEW_STATUSES },
+        productId: { type: 'objectId' },
+        ...paginationQuery
+    }
+}), async (req, res) => {
+    const status = req.query.status || 'pending';
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { status };
+    if (req.query.productId) {
+        filter.product = req.query.productId;
+    }
+    const [reviews, total] = await Promise.all([
+        Review.find(filter)
+            .populate('user', 'username fullname email')
+            .populate('product', 'name imageUrl')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limit),
+        Review.countDocuments(filter)
+    ]);
+    res.status(200).json({ reviews, page, limit, total, totalPages: Math.ceil(total / limit) });
+});
+
+// @desc    Approve or reject a review; the product rating is recalculated
+// @route   PATCH /api/reviews/:id/moderation
+// @access  Private (reviews:moderate)
+// @body    { status: 'approved'|'rejected', note?: string }
+router.patch('/reviews/:id/moderation', protect, authorizePermissions('reviews:moderate'), validate({
+    body: {
+        status: { type: 'string', enum: ['approved', 'rejected'], required: true },
+        note: { type: 'string', maxLength: 1000 }
+    }
+}), loadReview, async (req, res) => {
+    const review = await moderateReview(req.review, { status: req.body.status, note: req.body.note, actor: req.user });
+    res.status(200).json(review);
+});
+
+// @desc    Edit your own review (rating, title, body); it goes back to moderation
+// @route   PATCH /api/reviews/:id
+// @access  Private (author)
+router.patch('/reviews/:id', protect, validate({ body: reviewFields }), loadReview, async (req, res) => {
+    if (!isAuthor(req)) {
+        throw new AppError(403, 'You can only edit your own reviews.');
+    }
+    const review = await updateReview(req.review, req.body);
+    res.status(200).json(review);
+});
+
+// @desc    Delete a review and its photos
+// @route   DELETE /api/reviews/:id
+// @access  Private (author or reviews:moderate)
+router.delete('/reviews/:id', protect, loadReview, async (req, res) => {
+    if (!req.user.hasPermission('reviews:moderate') && !isAuthor(req)) {
+        throw new AppError(403, 'You can only delete your own reviews.');
+    }
+    await deleteReview(req.review);
+    res.status(200).json({ message: 'Review deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+// routes/shippingRoute.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const ShippingZone = require('../models/ShippingZoneModel');
+const Product = require('../models/ProductModel');
+const { protect, authorizePermissions } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { calculateShipping, listPickupStations } = require('../services/shippingService');
+const { AppError } = require('../utils/errors');
+
+const zoneFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    counties: { type: 'array', items: { type: 'string', minLength: 1 } },
+    baseRate: { type: 'number', min: 0 },
+    tiers: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                minItems: { type: 'integer', min: 0 },
+                minWeightKg: { type: 'number', min: 0 },
+                surcharge: { type: 'number', min: 0, required: true }
+            }
+        }
+    },
+    freeShippingThreshold: { type: 'number', min: 0, nullable: true },
+    pickupStations: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1, required: true },
+                county: { type: 'string', minLength: 1, required: true },
+                address: { type: 'string' },
+                fee: { type: 'number', min: 0 },
+                isActive: { type: 'boolean' }
+            }
+        }
+    },
+    isActive: { type: 'boolean' }
+};
+const validateNewZone = validate({
+    body: {
+        ...zoneFields,
+        name: { ...zoneFields.name, required: true },
+        baseRate: { ...zoneFields.baseRate, required: true }
+    }
+}, { strict: true });
+const validateZoneUpdate = validate({ params: { id: { type: 'objectId', required: true } }, body: zoneFields }, { strict: true });
+
+// "productId:2,productId:variantId:1" -> [{ productId, variantId?, quantity }]
+function parseQuoteItems(raw) {
+    const invalid = (message) => new AppError(400, message, {
+        code: 'VALIDATION_ERROR',
+        details: [{ location: 'query', field: 'items', message }]
+    });
+    return String(raw).split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const parts = entry.split(':');
+        const [productId, variantId] = parts.length === 3 ? parts : [parts[0], null];
+        const quantity = parts.length > 1 ? Number(parts[parts.length - 1]) : 1;
+        if (!mongoose.Types.ObjectId.isValid(productId) || (variantId && !mongoose.Types.ObjectId.isValid(variantId))) {
+            throw invalid(`Invalid item '${entry}'.`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw invalid(`Quantity in '${entry}' must be a whole number of at least 1.`);
+        }
+        return { productId, variantId, quantity };
+    });
+}
+
+// @desc    Quote the shipping cost for a set of items to a county / pickup station
+// @route   GET /api/shipping/quote?county=Nairobi&pickupStation=CBD&items=productId:2,productId:variantId:1
+// @access  Public
+router.get('/quote', validate({
+    query: {
+        county: { type: 'string' },
+        pickupStation: { type: 'string' },
+        items: { type: 'string', required: true }
+    }
+}), async (req, res) => {
+    const { county, pickupStation, items } = req.query;
+    const requested = parseQuoteItems(items);
+    const products = await Product.find({ _id: { $in: requested.map((item) => item.productId) } });
+    const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    const lines = requested.map((item) => {
+        const product = productById.get(item.productId);
+        if (!product) {
+            throw new AppError(404, `Product with ID ${item.productId} not found.`);
+        }
+        const variant = item.variantId ? product.findVariant({ variantId: item.variantId }) : null;
+        return { quantity: item.quantity, weightKg: product.weightKg, price: product.priceFor(variant) };
+    });
+    const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+
+    const quote = await calculateShipping({ county, pickupStation, lines, subtotal });
+    res.json({ county, subtotal, ...quote });
+});
+
+// @desc    List active pickup stations, optionally for one county
+// @route   GET /api/shipping/pickup-stations?county=Nairobi
+// @access  Public
+router.get('/pickup-stations', validate({ query: { county: { type: 'string' } } }), async (req, res) => {
+    const stations = await listPickupStations(req.query.county);
+    res.json(stations);
+});
+
+// @desc    List shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+router.get('/zones', protect, authorizePermissions('shipping:manage'), async (req, res) => {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+    res.json(zones);
+});
+
+// @desc    Create a shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+router.post('/zones', protect, authorizePermissions('shipping:manage'), validateNewZone, async (req, res) => {
+    const zone = await ShippingZone.create(req.body);
+    res.status(201).json(zone);
+});
+
+// @desc    Update a shipping zone (rates, counties, tiers, pickup stations)
+// @route   PATCH /api/shipping/zones/:id
+// @access  Private/Admin
+router.patch('/zones/:id', protect, authorizePermissions('shipping:manage'), validateZoneUpdate, async (req, res) => {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+        throw new AppError(404, 'Shipping zone not found');
+    }
+    zone.set(req.body);
+    await zone.save();
+    res.json(zone);
+});
+
+// @desc    Delete a shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+router.delete('/zones/:id', protect, authorizePermissions('shipping:manage'), validateObjectIds('id'), async (req, res) => {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+        throw new AppError(404, 'Shipping zone not found');
+    }
+    res.json({ message: 'Shipping zone deleted successfully' });
+});
+
+module.exports = router;
@@ -3,125 +3,299 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/UserModel');
+const { protect, authorizePermissions, authorizeSelfOrAdmin } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { issueTokens, verifyRefreshToken, hashOneTimeToken } = require('../utils/tokens');
+const { assertPasswordStrength } = require('../utils/password');
+const { ROLES, ROLE_PERMISSIONS } = require('../utils/roles');
+const { sendPasswordResetEmail, sendEmailVerificationEmail } = require('../services/mail');
+const { CART_TOKEN_HEADER, mergeGuestCart } = require('../services/cartService');
 
-// Create a new user
-router.post('/users', async (req, res) => {
+// Fields that are only ever set by the server itself (suspension has its own admin endpoints)
+const INTERNAL_FIELDS = ['passwordChangedAt', 'passwordResetToken', 'passwordResetExpires', 'emailVerificationToken', 'emailVerificationExpires', 'status', 'suspension'];
+// Fields only staff who manage customers may change on an account
+const ADMIN_ONLY_FIELDS = ['emailVerified'];
+
+// --- Request shapes ---
+// The password policy itself is enforced by assertPasswordStrength so its rules stay configurable
+const userFields = {
+    username: { type: 'string', minLength: 1, maxLength: 50 },
+    fullname: { type: 'string', maxLength: 100 },
+    email: { type: 'email' },
+    phone: { type: 'string', maxLength: 20 },
+    county: { type: 'string', maxLength: 50 },
+    password: { type: 'string' },
+    role: { type: 'string', enum: ROLES },
+    emailVerified: { type: 'boolean' }
+};
+const validateNewUser = validate({
+    body: {
+        ...userFields,
+        username: { ...userFields.username, required: true },
+        email: { ...userFields.email, required: true },
+        password: { ...userFields.password, required: true }
+    }
+});
+const validateUserUpdate = validate({ body: userFields });
+const validateLogin = validate({
+    body: {
+        username: { type: 'string' },
+        email: { type: 'string' },
+        password: { type: 'string', required: true },
+        cartToken: { type: 'string' }
+    }
+});
+const tokenBody = (name) => validate({ body: { [name]: { type: 'string', required: true } } });
+
+// Remove fields the caller is not allowed to write from a create/update body.
+// `account` is the caller, or null for self-registration. Roles are only assigned by staff managers.
+function stripProtectedFields(body, account) {
+    const blocked = [...INTERNAL_FIELDS];
+    if (!account || !account.hasPermission('customers:manage')) {
+        blocked.push(...ADMIN_ONLY_FIELDS);
+    }
+    if (!account || !account.hasPermission('staff:manage')) {
+        blocked.push('role');
+    }
+    const cleaned = { ...body };
+    blocked.forEach((field) => delete cleaned[field]);
+    return cleaned;
+}
+
+// Staff accounts can only be changed by their owner or by staff managers
+async function guardStaffAccount(req, res, next) {
+    if (req.user._id.toString() === req.params.id || req.user.hasPermission('staff:manage')) {
+        return next();
+    }
+    const target = await User.findById(req.params.id).select('role');
+    if (target && target.isStaff()) {
+        throw new AppError(403, 'Only staff managers can change staff accounts.');
+    }
+    next();
+}
+
+// Generate a verification token for the user and email it; mail failures are logged, not fatal
+async function sendVerification(user) {
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
     try {
-        const { email, username, phone } = req.body; // Destructure all unique fields
+        await sendEmailVerificationEmail(user, token);
+    } catch (error) {
+        console.error('Failed to send verification email:', error);
+    }
+}
 
-        // Check if a user with the provided email already exists
-        const existingUserByEmail = await User.findOne({ email });
-        if (existingUserByEmail) {
-            return res.status(409).send({ error: 'User with this email already exists.' });
-        }
+// Create a new user
+router.post('/users', validateNewUser, async (req, res) => {
+    const { email, username, phone } = req.body; // Destructure all unique fields
 
-        // Check if a user with the provided username already exists
-        const existingUserByUsername = await User.findOne({ username });
-        if (existingUserByUsername) {
-            return res.status(409).send({ error: 'User with this username already exists.' });
-        }
+    // Enforce the password policy before anything is stored
+    assertPasswordStrength(req.body.password);
 
-        // Check if a user with the provided phone already exists
+    // Check if a user with the provided email already exists
+    const existingUserByEmail = await User.findOne({ email });
+    if (existingUserByEmail) {
+        throw new AppError(409, 'User with this email already exists.', { code: 'DUPLICATE_KEY' });
+    }
+
+    // Check if a user with the provided username already exists
+    const existingUserByUsername = await User.findOne({ username });
+    if (existingUserByUsername) {
+        throw new AppError(409, 'User with this username already exists.', { code: 'DUPLICATE_KEY' });
+    }
+
+    // Check if a user with the provided phone already exists
+    if (phone) {
         const existingUserByPhone = await User.findOne({ phone });
         if (existingUserByPhone) {
-            return res.status(409).send({ error: 'User with this phone number already exists.' });
+            throw new AppError(409, 'User with this phone number already exists.', { code: 'DUPLICATE_KEY' });
         }
-
-        const user = new User(req.body);
-        await user.save();
-        res.status(201).send(user);
-    } catch (error) {
-        // This catches Mongoose unique constraint errors (code 11000)
-        // as a fallback, providing a more generic but still informative message
-        // if the `findOne` checks above were somehow bypassed or raced.
-        if (error.code === 11000) {
-            const field = Object.keys(error.keyValue)[0]; // Get the field that caused the unique error
-            return res.status(409).send({ error: `${field} already exists.` });
-        }
-        // Handle other potential validation errors or unexpected issues
-        res.status(400).send(error);
     }
+
+    // Only admins may hand out roles; self-registration always creates a regular, unverified user.
+    // A unique-index race with the checks above surfaces as a 409 from the error handler.
+    const user = new User(stripProtectedFields(req.body, null));
+    await user.save();
+    await sendVerification(user);
+    res.status(201).send(user);
 });
 
 // Get all users
-router.get('/users', async (req, res) => {
-    try {
-        const users = await User.find();
-        res.status(200).send(users);
-    } catch (error) {
-        res.status(500)
-        .send({ error: 'Failed to fetch users' });
-    }
+router.get('/users', protect, authorizePermissions('customers:read'), async (req, res) => {
+    const users = await User.find();
+    res.status(200).send(users);
 });
 
 // Get a user by ID
-router.get('/users/:id', async (req, res) => {
-    try {
-        const user = await User.findById(req.params.id);
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send(user);
-    } catch (error) {
-        res.status(500).send({ error: 'Failed to fetch user' });
+router.get('/users/:id', protect, authorizeSelfOrAdmin('id'), validateObjectIds('id'), async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        throw new AppError(404, 'User not found');
     }
+    res.status(200).send(user);
 });
 
 //get user by email 
-router.get('/users/email/:email', async (req, res) => {
-    try {
-        const user = await User.findOne({ email: req.params.email });
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send(user);
-    } catch (error) {
-        res.status(500).send({ error: 'Failed to fetch user by email' });
+router.get('/users/email/:email', protect, authorizePermissions('customers:read'), validate({
+    params: { email: { type: 'email', required: true } }
+}), async (req, res) => {
+    const user = await User.findOne({ email: req.params.email });
+    if (!user) {
+        throw new AppError(404, 'User not found');
     }
+    res.status(200).send(user);
 });
 
 // Update a user by ID
-router.put('/users/:id', async (req, res) => {
-    try {
-        const user = await User.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send(user);
-    } catch (error) {
-        res.status(400).send({ error: 'Failed to update user' });
+router.put('/users/:id', protect, authorizeSelfOrAdmin('id'), validateObjectIds('id'), validateUserUpdate, guardStaffAccount, async (req, res) => {
+    // Prevent users from promoting or verifying themselves
+    const updates = stripProtectedFields(req.body, req.user);
+    if (updates.password !== undefined) {
+        assertPasswordStrength(updates.password);
+    }
+    const current = await User.findById(req.params.id).select('email');
+    if (!current) {
+        throw new AppError(404, 'User not found');
+    }
+    // A new address has to be verified again, unless staff set emailVerified themselves
+    const emailChanged = updates.email !== undefined && updates.email !== current.email;
+    if (emailChanged && updates.emailVerified === undefined) {
+        updates.emailVerified = false;
+    }
+    // A new password is hashed and ends the account's existing sessions (see utils/password.js)
+    const user = await User.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!user) {
+        throw new AppError(404, 'User not found');
+    }
+    if (emailChanged && !user.emailVerified) {
+        await sendVerification(user);
     }
+    res.status(200).send(user);
 });
 
 // Delete a user by ID
-router.delete('/users/:id', async (req, res) => {
-    try {
-        const user = await User.findByIdAndDelete(req.params.id);
-        if (!user) {
-            return res.status(404).send({ error: 'User not found' });
-        }
-        res.status(200).send({ message: 'User deleted successfully' });
-    } catch (error) {
-        res.status(500).send({ error: 'Failed to delete user' });
+router.delete('/users/:id', protect, authorizeSelfOrAdmin('id'), validateObjectIds('id'), guardStaffAccount, async (req, res) => {
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+        throw new AppError(404, 'User not found');
     }
+    res.status(200).send({ message: 'User deleted successfully' });
 });
 
 // Login with username or email and password use jwt token
-router.post('/login', async (req, res) => {
+router.post('/login', validateLogin, async (req, res) => {
     const { username, email, password } = req.body;
-    try {
-        const user = await User.findOne({
-            $or: [{ username }, { email }]
+    if (!username && !email) {
+        throw new AppError(400, 'Username or email is required.', {
+            code: 'VALIDATION_ERROR',
+            details: [{ location: 'body', field: 'username', message: 'is required when email is not given' }]
         });
-        if (!user || user.password !== password) {
-            return res.status(401).send({ error: 'Invalid credentials' });
-        }
-        // Here you would typically generate a JWT token and send it back
-        res.status(200).send({ message: 'Login successful', user });
+    }
+    const user = await User.findOne({
+        $or: [{ username }, { email }]
+    });
+    // comparePassword also upgrades legacy plaintext passwords to a hash
+    if (!user || !(await user.comparePassword(password))) {
+        throw new AppError(401, 'Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+    if (user.isSuspended()) {
+        throw new AppError(403, 'Your account has been suspended.', { code: 'ACCOUNT_SUSPENDED' });
+    }
+    const tokens = issueTokens(user);
+
+    // Bring along anything the shopper put in a guest cart before logging in
+    let cartMerge = null;
+    try {
+        cartMerge = await mergeGuestCart(req.body.cartToken || req.get(CART_TOKEN_HEADER), user._id);
+    } catch (mergeError) {
+        console.error('Error merging guest cart:', mergeError);
+    }
+
+    res.status(200).send({ message: 'Login successful', user, ...tokens, cartMerge });
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh-token', tokenBody('refreshToken'), async (req, res) => {
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(req.body.refreshToken);
     } catch (error) {
-        res.status(500).send({ error: 'Login failed' });
+        throw new AppError(401, 'Invalid refresh token');
+    }
+    const user = await User.findById(decoded.id);
+    if (!user || user.isSuspended() || (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime())) {
+        throw new AppError(401, 'Invalid refresh token');
+    }
+    res.status(200).send(issueTokens(user));
+});
+
+// Request a password reset link. Always answers the same way so emails cannot be enumerated.
+router.post('/forgot-password', validate({ body: { email: { type: 'email', required: true } } }), async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+        const token = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+        // A mail failure must not answer differently from an unknown address
+        try {
+            await sendPasswordResetEmail(user, token);
+        } catch (error) {
+            console.error('Failed to send password reset email:', error);
+        }
+    }
+    res.status(200).send({ message: 'If an account exists for that email, a reset link has been sent.' });
+});
+
+// Set a new password using the token from the reset email. Tokens are single-use.
+router.post('/reset-password', validate({
+    body: { token: { type: 'string', required: true }, password: { type: 'string', required: true } }
+}), async (req, res) => {
+    const { token, password } = req.body;
+    assertPasswordStrength(password);
+    const user = await User.findOne({
+        passwordResetToken: hashOneTimeToken(token),
+        passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) {
+        throw new AppError(400, 'Reset token is invalid or has expired', { code: 'INVALID_TOKEN' });
     }
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save(); // also sets passwordChangedAt, ending every existing session (see utils/password.js)
+    res.status(200).send({ message: 'Password has been reset. You can now log in.' });
+});
+
+// Confirm ownership of the email address using the token from the verification email
+router.post('/verify-email', tokenBody('token'), async (req, res) => {
+    const user = await User.findOne({
+        emailVerificationToken: hashOneTimeToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() }
+    });
+    if (!user) {
+        throw new AppError(400, 'Verification token is invalid or has expired', { code: 'INVALID_TOKEN' });
+    }
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    res.status(200).send({ message: 'Email verified successfully', user });
+});
+
+// Send a fresh verification email to the logged in user
+router.post('/verify-email/resend', protect, async (req, res) => {
+    if (req.user.emailVerified) {
+        throw new AppError(400, 'Email is already verified', { code: 'ALREADY_VERIFIED' });
+    }
+    const user = await User.findById(req.user._id);
+    await sendVerification(user);
+    res.status(200).send({ message: 'Verification email sent' });
+});
+
+// Get the currently logged in user, with the permissions their role grants
+router.get('/me', protect, async (req, res) => {
+    res.status(200).send({ ...req.user.toJSON(), permissions: ROLE_PERMISSIONS[req.user.role] });
 });
 
 // Export the router
-module.exports = router;
\ No newline at end of file
+module.exports = router;
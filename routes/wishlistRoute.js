@@ -0,0 +1,113 @@
+// routes/wishlistRoute.js
+const express = require('express');
+const router = express.Router();
+const Wishlist = require('../models/WishlistModel');
+const { protect, authorizeSelfOrAdmin } = require('../middleware/authMiddleware');
+const { validate, validateObjectIds } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { CART_PRODUCT_FIELDS } = require('../services/cartService');
+const {
+    WISHLIST_PRODUCT_FIELDS,
+    addWishlistItem,
+    moveWishlistItemToCart
+} = require('../services/wishlistService');
+
+// Every wishlist endpoint is for the owner (or an admin)
+router.use('/:userId', protect, authorizeSelfOrAdmin('userId'), validateObjectIds('userId'));
+
+/**
+ * @desc Get a user's wishlist with product details
+ * @route GET /api/wishlists/:userId
+ * @access Private (owner or admin)
+ */
+router.get('/:userId', async (req, res) => {
+    const wishlist = await Wishlist.findOne({ user: req.params.userId })
+        .populate('items.productId', WISHLIST_PRODUCT_FIELDS);
+    res.status(200).json(wishlist || { user: req.params.userId, items: [] });
+});
+
+/**
+ * @desc Save a product to the wishlist; saving it again only updates notifyWhenInStock
+ * @route POST /api/wishlists/:userId/items
+ * @access Private (owner or admin)
+ * @body { productId: string, variantId?: string, sku?: string, notifyWhenInStock?: boolean }
+ *       notifyWhenInStock is only kept for items that are currently out of stock
+ */
+router.post('/:userId/items', validate({
+    body: {
+        productId: { type: 'objectId', required: true },
+        variantId: { type: 'objectId' },
+        sku: { type: 'string' },
+        notifyWhenInStock: { type: 'boolean' }
+    }
+}), async (req, res) => {
+    const { productId, variantId, sku, notifyWhenInStock } = req.body;
+    const wishlist = await addWishlistItem(req.params.userId, { productId, variantId, sku, notifyWhenInStock });
+    await wishlist.populate('items.productId', WISHLIST_PRODUCT_FIELDS);
+    res.status(200).json(wishlist);
+});
+
+/**
+ * @desc Turn the back-in-stock email for a wishlist item on or off
+ * @route PATCH /api/wishlists/:userId/items/:itemId
+ * @access Private (owner or admin)
+ * @body { notifyWhenInStock: boolean }
+ */
+router.patch('/:userId/items/:itemId', validate({
+    params: { itemId: { type: 'objectId', required: true } },
+    body: { notifyWhenInStock: { type: 'boolean', required: true } }
+}), async (req, res) => {
+    const wishlist = await Wishlist.findOne({ user: req.params.userId });
+    const item = wishlist && wishlist.items.id(req.params.itemId);
+    if (!item) {
+        throw new AppError(404, 'Wishlist item not found.');
+    }
+    const updated = await addWishlistItem(req.params.userId, {
+        productId: item.productId,
+        variantId: item.variantId,
+        notifyWhenInStock: req.body.notifyWhenInStock
+    });
+    await updated.populate('items.productId', WISHLIST_PRODUCT_FIELDS);
+    res.status(200).json(updated);
+});
+
+/**
+ * @desc Remove an item from the wishlist
+ * @route DELETE /api/wishlists/:userId/items/:itemId
+ * @access Private (owner or admin)
+ */
+router.delete('/:userId/items/:itemId', validateObjectIds('itemId'), async (req, res) => {
+    const wishlist = await Wishlist.findOneAndUpdate(
+        { user: req.params.userId, 'items._id': req.params.itemId },
+        { $pull: { items: { _id: req.params.itemId } } },
+        { new: true }
+    ).populate('items.productId', WISHLIST_PRODUCT_FIELDS);
+    if (!wishlist) {
+        throw new AppError(404, 'Wishlist item not found.');
+    }
+    res.status(200).json(wishlist);
+});
+
+/**
+ * @desc Move a wishlist item into the user's cart, with the same stock checks as POST /api/carts/:userId/add
+ * @route POST /api/wishlists/:userId/items/:itemId/move-to-cart
+ * @access Private (owner or admin)
+ * @body { quantity?: number (default 1), variantId?: string, sku?: string }
+ *       variantId/sku is needed when the item was saved without a size/colour
+ */
+router.post('/:userId/items/:itemId/move-to-cart', validate({
+    params: { itemId: { type: 'objectId', required: true } },
+    body: {
+        quantity: { type: 'integer', min: 1 },
+        variantId: { type: 'objectId' },
+        sku: { type: 'string' }
+    }
+}), async (req, res) => {
+    const { quantity = 1, variantId, sku } = req.body;
+    const { cart, wishlist } = await moveWishlistItemToCart(req.params.userId, req.params.itemId, { quantity, variantId, sku });
+    await cart.populate('products.productId', CART_PRODUCT_FIELDS);
+    await wishlist.populate('items.productId', WISHLIST_PRODUCT_FIELDS);
+    res.status(200).json({ cart, wishlist });
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// scripts/createSuperAdmin.js
+// Create the first super admin of a fresh install, which then creates every other staff
+// account through POST /api/admin/users. Run with:
+//   SUPER_ADMIN_PASSWORD='...' npm run create:super-admin -- --username owner --email owner@example.com
+// The password is read from the environment so it does not end up in shell history.
+// Refuses to run when a super admin already exists (existing shops: `npm run migrate:admins`).
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const { validatePasswordStrength } = require('../utils/password');
+
+// `--name value` from the command line
+function argument(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function main() {
+    const username = argument('username');
+    const email = argument('email');
+    const password = process.env.SUPER_ADMIN_PASSWORD;
+    if (!username || !email || !password) {
+        console.error('Usage: SUPER_ADMIN_PASSWORD=... npm run create:super-admin -- --username <name> --email <address>');
+        process.exitCode = 1;
+        return;
+    }
+    const passwordProblems = validatePasswordStrength(password);
+    if (passwordProblems.length > 0) {
+        console.error(passwordProblems.join('\n'));
+        process.exitCode = 1;
+        return;
+    }
+
+    await mongoose.connect(process.env.dbURI);
+    try {
+        if (await User.exists({ role: 'super_admin' })) {
+            console.error('A super admin already exists; create further staff accounts through the API.');
+            process.exitCode = 1;
+            return;
+        }
+        const user = await User.create({ username, email, password, role: 'super_admin', emailVerified: true });
+        console.log(`Created super admin ${user._id} (${user.username})`);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error('Creating the super admin failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,84 @@
+// scripts/migrateAdmins.js
+// One-off migration of the legacy `admins` collection into `users`.
+// Run with `npm run migrate:admins` (add `-- --dry-run` to only report what would change).
+//
+// Each admin becomes a super_admin User with the same _id, so tokens issued before the
+// migration keep working. Admins whose email or username is already taken by another
+// user are reported and skipped; resolve those by hand and run the script again.
+// The old non-partial `phone_1` index is replaced so staff accounts without a phone fit.
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const Admin = require('../models/AdminModel');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function replaceLegacyPhoneIndex() {
+    const indexes = await User.collection.indexes();
+    const legacy = indexes.find((index) => index.name === 'phone_1' && !index.partialFilterExpression);
+    if (!legacy) {
+        return;
+    }
+    console.log(`${dryRun ? 'Would replace' : 'Replacing'} the legacy phone_1 index`);
+    if (!dryRun) {
+        await User.collection.dropIndex('phone_1');
+        await User.syncIndexes();
+    }
+}
+
+async function migrateAdmins() {
+    const summary = { migrated: 0, alreadyMigrated: 0, conflicts: 0 };
+    const admins = await Admin.find().lean();
+
+    for (const admin of admins) {
+        if (await User.exists({ _id: admin._id })) {
+            summary.alreadyMigrated += 1;
+            continue;
+        }
+        const conflict = await User.findOne({ $or: [{ email: admin.email }, { username: admin.username }] });
+        if (conflict) {
+            summary.conflicts += 1;
+            console.warn(`Skipping admin ${admin._id} (${admin.username}): email or username is used by user ${conflict._id}`);
+            continue;
+        }
+
+        console.log(`${dryRun ? 'Would migrate' : 'Migrating'} admin ${admin._id} (${admin.username})`);
+        if (!dryRun) {
+            // Inserted directly so the already-hashed password is stored as is
+            await User.collection.insertOne({
+                _id: admin._id,
+                username: admin.username,
+                email: admin.email,
+                password: admin.password,
+                role: 'super_admin',
+                status: 'active',
+                emailVerified: true,
+                createdAt: admin.createdAt || new Date()
+            });
+        }
+        summary.migrated += 1;
+    }
+    return summary;
+}
+
+async function main() {
+    await mongoose.connect(process.env.dbURI);
+    try {
+        await replaceLegacyPhoneIndex();
+        const summary = await migrateAdmins();
+        console.log(`${dryRun ? '[dry run] ' : ''}Migrated: ${summary.migrated}, already migrated: ${summary.alreadyMigrated}, conflicts: ${summary.conflicts}`);
+        if (summary.conflicts > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error('Admin migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+// scripts/migrateCartIndexes.js
+// One-off migration for databases created before guest carts.
+// Run with `npm run migrate:carts` (add `-- --dry-run` to only report what would change).
+//
+// Those databases have a plain unique `user_1` index on carts. Every guest cart has no user,
+// so the second guest cart fails with E11000, and the partial index the Cart model declares
+// under the same name cannot be built. The legacy index is dropped and the model's indexes synced.
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Cart = require('../models/CartModel');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function replaceLegacyUserIndex() {
+    const indexes = await Cart.collection.indexes().catch((error) => {
+        // A database without carts has nothing to migrate
+        if (error.codeName === 'NamespaceNotFound') return [];
+        throw error;
+    });
+    const legacy = indexes.find((index) => index.name === 'user_1' && !index.partialFilterExpression);
+    if (!legacy) {
+        console.log('No legacy user_1 cart index found');
+    } else {
+        console.log(`${dryRun ? 'Would drop' : 'Dropping'} the legacy user_1 cart index`);
+        if (!dryRun) {
+            await Cart.collection.dropIndex('user_1');
+        }
+    }
+    if (!dryRun) {
+        await Cart.syncIndexes();
+        console.log('Cart indexes are in sync with the model');
+    }
+}
+
+async function main() {
+    await mongoose.connect(process.env.dbURI);
+    try {
+        await replaceLegacyUserIndex();
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error('Cart index migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+// scripts/mpesaSandbox.js
+// Local stand-in for the Daraja API so the M-Pesa flow can run without Safaricom.
+// Start it with `npm run mpesa:sandbox`, then set MPESA_BASE_URL=http://localhost:8089.
+// Every STK push is answered immediately and the callback is posted to CallBackURL shortly after.
+// Phone numbers ending in 0 simulate a customer cancelling the prompt (ResultCode 1032).
+
+const crypto = require('crypto');
+const express = require('express');
+
+const CALLBACK_DELAY_MS = parseInt(process.env.MPESA_SANDBOX_CALLBACK_DELAY_MS, 10) || 2000;
+
+function createMpesaSandbox({ callbackDelayMs = CALLBACK_DELAY_MS } = {}) {
+    const app = express();
+    app.use(express.json());
+
+    app.get('/oauth/v1/generate', (req, res) => {
+        if (!(req.headers.authorization || '').startsWith('Basic ')) {
+            return res.status(401).json({ errorMessage: 'Invalid Authentication passed' });
+        }
+        res.json({ access_token: crypto.randomBytes(16).toString('hex'), expires_in: '3599' });
+    });
+
+    app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+        if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+            return res.status(401).json({ errorMessage: 'Invalid Access Token' });
+        }
+        const { Amount, PhoneNumber, CallBackURL } = req.body;
+        if (!Amount || !PhoneNumber || !CallBackURL) {
+            return res.status(400).json({ errorMessage: 'Bad Request - Invalid request body' });
+        }
+
+        const merchantRequestId = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+        const checkoutRequestId = `ws_CO_${Date.now()}${crypto.randomBytes(3).toString('hex')}`;
+        const cancelled = String(PhoneNumber).endsWith('0');
+
+        const stkCallback = cancelled
+            ? {
+                MerchantRequestID: merchantRequestId,
+                CheckoutRequestID: checkoutRequestId,
+                ResultCode: 1032,
+                ResultDesc: 'Request cancelled by user'
+            }
+            : {
+                MerchantRequestID: merchantRequestId,
+                CheckoutRequestID: checkoutRequestId,
+                ResultCode: 0,
+                ResultDesc: 'The service request is processed successfully.',
+                CallbackMetadata: {
+                    Item: [
+                        { Name: 'Amount', Value: Amount },
+                        { Name: 'MpesaReceiptNumber', Value: crypto.randomBytes(5).toString('hex').toUpperCase() },
+                        { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/[-T:]/g, '').slice(0, 14)) },
+                        { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+                    ]
+                }
+            };
+
+        setTimeout(() => {
+            fetch(CallBackURL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ Body: { stkCallback } })
+            }).catch((error) => console.error('Sandbox failed to deliver callback:', error.message));
+        }, callbackDelayMs);
+
+        res.json({
+            MerchantRequestID: merchantRequestId,
+            CheckoutRequestID: checkoutRequestId,
+            ResponseCode: '0',
+            ResponseDescription: 'Success. Request accepted for processing',
+            CustomerMessage: 'Success. Request accepted for processing'
+        });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.MPESA_SANDBOX_PORT || 8089;
+    createMpesaSandbox().listen(port, () => {
+        console.log(`M-Pesa sandbox listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMpesaSandbox };
@@ -0,0 +1,280 @@
+// services/cartService.js
+const mongoose = require('mongoose');
+const Cart = require('../models/CartModel');
+const Product = require('../models/ProductModel');
+const { createOneTimeToken, hashOneTimeToken } = require('../utils/tokens');
+const { AppError } = require('../utils/errors');
+
+// Guests send their cart token in this header
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+// Fields of a product shown with each cart line
+const CART_PRODUCT_FIELDS = 'name price imageUrl quantity size color variants';
+
+// Days an untouched guest cart is kept
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 30;
+
+const guestCartExpiry = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Query matching the guest cart for a raw cart token
+function guestCartFilter(cartToken) {
+    return { guestTokenHash: hashOneTimeToken(cartToken) };
+}
+
+// Resolve which variant a cart line refers to. Products sold in variants require one;
+// `sku` may be given instead of `variantId`. Throws an AppError on bad input.
+function resolveVariant(product, { variantId, sku }) {
+    if (!product.hasVariants()) {
+        if (variantId || sku) {
+            throw new AppError(400, `Product '${product.name}' has no variants.`);
+        }
+        return null;
+    }
+    if (!variantId && !sku) {
+        throw new AppError(400, `Please choose a size/colour for '${product.name}'.`);
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+        throw new AppError(400, `Invalid Variant ID format for ${variantId}.`);
+    }
+    const variant = product.findVariant({ variantId, sku });
+    if (!variant) {
+        throw new AppError(404, `Variant ${variantId || sku} not found for product '${product.name}'.`);
+    }
+    return variant;
+}
+
+/**
+ * Add `quantity` of a product (and variant) to a cart, or raise the quantity of its existing line.
+ * The combined quantity is checked against current stock and the line is priced at today's price.
+ * Throws an AppError on bad input or insufficient stock.
+ * @param {Object} cartFilter query for the cart, e.g. `{ user: userId }`; the cart is created if missing
+ * @param {{ productId: string, variantId?: string, sku?: string, quantity: number }} item
+ * @returns {Promise<Object>} the updated cart (unpopulated)
+ */
+async function addItemToCart(cartFilter, item) {
+    const { productId, variantId, sku, quantity } = item;
+
+    // 1. Strict validation
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        throw new AppError(400, 'Valid Product ID is required.');
+    }
+    if (typeof quantity !== 'number' || quantity < 1) {
+        throw new AppError(400, 'Quantity must be a positive number (at least 1).');
+    }
+
+    // 2. Find the product (and variant) to get its price and check stock
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new AppError(404, 'Product not found.');
+    }
+    const variant = resolveVariant(product, { variantId, sku });
+    const lineVariantId = variant ? variant._id : null;
+
+    // 3. Find the cart to get the current quantity, if any
+    const cart = await Cart.findOne(cartFilter);
+    let newQuantity = quantity;
+
+    if (cart) {
+        const existingItem = cart.products.find(p => p.productId.toString() === productId
+            && String(p.variantId || '') === String(lineVariantId || ''));
+        if (existingItem) {
+            newQuantity += existingItem.quantity;
+        }
+    }
+    
+    // 4. Check for sufficient stock based on the new total quantity
+    const available = product.stockFor(variant);
+    if (available < newQuantity) {
+        const variantLabel = variant ? ` (${variant.sku})` : '';
+        throw new AppError(400, `Insufficient stock for ${product.name}${variantLabel}. Available: ${available}, Requested: ${newQuantity}.`, { code: 'INSUFFICIENT_STOCK' });
+    }
+    
+    // 5. Use findOneAndUpdate with $set and $push/arrayFilters to handle all cases
+    // The core logic is here to prevent duplicate carts.
+    const priceAtTimeOfAddition = product.priceFor(variant);
+
+    // Try to find the cart and update the quantity of an existing line (same product and variant)
+    let updatedCart = await Cart.findOneAndUpdate(
+        { ...cartFilter, products: { $elemMatch: { productId, variantId: lineVariantId } } },
+        { $inc: { 'products.$.quantity': quantity }, $set: { 'products.$.priceAtTimeOfAddition': priceAtTimeOfAddition } },
+        { new: true, runValidators: true }
+    );
+
+    if (!updatedCart) {
+        // If the line wasn't found in the cart (or the cart didn't exist),
+        // then we push a new line to the products array.
+        updatedCart = await Cart.findOneAndUpdate(
+            cartFilter,
+            { $push: { products: { productId, variantId: lineVariantId, quantity, priceAtTimeOfAddition } } },
+            { new: true, upsert: true, runValidators: true } // upsert: true creates the cart if it doesn't exist
+        );
+    }
+
+    return updatedCart;
+}
+
+/**
+ * Start an anonymous cart. The raw token is returned once and never stored.
+ * @returns {Promise<{ cartToken: string, cart: Object }>}
+ */
+async function createGuestCart() {
+    const { token, hashedToken } = createOneTimeToken();
+    const cart = await Cart.create({ guestTokenHash: hashedToken, products: [], expiresAt: guestCartExpiry() });
+    return { cartToken: token, cart };
+}
+
+/**
+ * Find the guest cart for a token and push back its expiry, since the guest is still shopping.
+ * @returns {Promise<Object|null>}
+ */
+async function touchGuestCart(cartToken) {
+    if (!cartToken) {
+        return null;
+    }
+    return Cart.findOneAndUpdate(
+        guestCartFilter(cartToken),
+        { $set: { expiresAt: guestCartExpiry() } },
+        { new: true }
+    );
+}
+
+/**
+ * Move a guest cart into the user's cart after login, then delete the guest cart.
+ * Lines for the same product and variant are added together; every merged line is checked
+ * against current stock and price, so quantities may be lowered and unavailable lines dropped.
+ * The guest's coupon is kept if the user's cart has none.
+ * @param {string} cartToken
+ * @param {string} userId
+ * @returns {Promise<{ merged: number, adjusted: Array, removed: Array }|null>} null when there was no guest cart
+ */
+async function mergeGuestCart(cartToken, userId) {
+    if (!cartToken) {
+        return null;
+    }
+    const guestCart = await Cart.findOne(guestCartFilter(cartToken));
+    if (!guestCart) {
+        return null;
+    }
+
+    const userCart = await Cart.findOne({ user: userId }) || new Cart({ user: userId, products: [] });
+    const sameLine = (a, b) => a.productId.toString() === b.productId.toString()
+        && String(a.variantId || '') === String(b.variantId || '');
+
+    // Combine the two carts line by line
+    const combined = userCart.products.map((line) => ({
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity
+    }));
+    guestCart.products.forEach((line) => {
+        const existing = combined.find((entry) => sameLine(entry, line));
+        if (existing) {
+            existing.quantity += line.quantity;
+        } else {
+            combined.push({ productId: line.productId, variantId: line.variantId, quantity: line.quantity });
+        }
+    });
+
+    const products = await Product.find({ _id: { $in: combined.map((line) => line.productId) } });
+    const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    const adjusted = [];
+    const removed = [];
+    const lines = [];
+    combined.forEach((line) => {
+        const product = productById.get(line.productId.toString());
+        const variant = product && line.variantId ? product.findVariant({ variantId: line.variantId }) : null;
+        if (!product || (line.variantId && !variant) || (!line.variantId && product.hasVariants())) {
+            removed.push({ productId: line.productId, variantId: line.variantId, reason: 'not_found' });
+            return;
+        }
+        const available = product.stockFor(variant);
+        if (available < 1) {
+            removed.push({ productId: line.productId, variantId: line.variantId, name: product.name, reason: 'out_of_stock' });
+            return;
+        }
+        if (line.quantity > available) {
+            adjusted.push({ productId: line.productId, variantId: line.variantId, name: product.name, requested: line.quantity, available });
+        }
+        lines.push({
+            productId: line.productId,
+            variantId: line.variantId || null,
+            quantity: Math.min(line.quantity, available),
+            priceAtTimeOfAddition: product.priceFor(variant)
+        });
+    });
+
+    userCart.products = lines;
+    if (!userCart.couponCode && guestCart.couponCode) {
+        userCart.couponCode = guestCart.couponCode;
+    }
+    await userCart.save();
+    await guestCart.deleteOne();
+
+    return { merged: guestCart.products.length, adjusted, removed };
+}
+
+/**
+ * Re-price a cart from live Product data. Each line says whether its price changed since it was
+ * added and whether there is still enough stock; lines whose product or variant is gone are
+ * flagged `unavailable` and left out of the subtotal.
+ * @param {Object} cart Cart document (unpopulated)
+ * @returns {Promise<Object>} { lines, itemCount, subtotal, couponCode, hasPriceChanges, hasStockIssues }
+ */
+async function buildCartSummary(cart) {
+    const cartLines = cart ? cart.products : [];
+    const products = await Product.find({ _id: { $in: cartLines.map((line) => line.productId) } });
+    const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    const lines = cartLines.map((line) => {
+        const product = productById.get(line.productId.toString());
+        const variant = product && line.variantId ? product.findVariant({ variantId: line.variantId }) : null;
+        const base = {
+            productId: line.productId,
+            variantId: line.variantId,
+            quantity: line.quantity,
+            priceAtTimeOfAddition: line.priceAtTimeOfAddition
+        };
+        if (!product || (line.variantId && !variant)) {
+            return { ...base, unavailable: true, priceChanged: false, insufficientStock: true, available: 0, lineSubtotal: 0 };
+        }
+
+        const unitPrice = product.priceFor(variant);
+        const available = product.stockFor(variant);
+        return {
+            ...base,
+            name: product.name,
+            imageUrl: product.imageUrl,
+            sku: variant ? variant.sku : undefined,
+            size: variant ? variant.size : product.size,
+            color: variant ? variant.color : product.color,
+            unitPrice,
+            lineSubtotal: unitPrice * line.quantity,
+            available,
+            unavailable: false,
+            priceChanged: Math.abs(unitPrice - line.priceAtTimeOfAddition) > 0.001,
+            insufficientStock: available < line.quantity
+        };
+    });
+
+    return {
+        lines,
+        itemCount: lines.reduce((total, line) => total + (line.unavailable ? 0 : line.quantity), 0),
+        subtotal: lines.reduce((total, line) => total + line.lineSubtotal, 0),
+        couponCode: cart ? cart.couponCode : undefined,
+        hasPriceChanges: lines.some((line) => line.priceChanged),
+        hasStockIssues: lines.some((line) => line.insufficientStock)
+    };
+}
+
+module.exports = {
+    CART_TOKEN_HEADER,
+    CART_PRODUCT_FIELDS,
+    guestCartFilter,
+    createGuestCart,
+    touchGuestCart,
+    resolveVariant,
+    addItemToCart,
+    mergeGuestCart,
+    buildCartSummary
+};
@@ -0,0 +1,128 @@
+// services/catalogService.js
+const Product = require('../models/ProductModel');
+const Category = require('../models/CategoryModel');
+const { buildProductFilter } = require('../utils/productQuery');
+
+// Price bucket boundaries (KES) for the price facet; the last bucket is open-ended
+const PRICE_BOUNDARIES = (process.env.PRICE_FACET_BOUNDARIES || '0,1000,2500,5000,10000,20000')
+    .split(',')
+    .map(Number)
+    .filter((value) => !Number.isNaN(value))
+    .sort((a, b) => a - b);
+
+/**
+ * Resolve `category` slugs in the query into category ids (with all subcategories) so
+ * buildProductFilter can match products by categoryId.
+ * @returns {Promise<Object>} a copy of the query, with `categoryIds` when a category filter is present
+ */
+async function resolveCatalogQuery(query) {
+    if (!query.category) {
+        return { ...query };
+    }
+    const slugs = String(query.category).split(',').map((slug) => slug.trim()).filter(Boolean);
+    const categoryIds = await Category.findSubtreeIds(slugs);
+    return { ...query, categoryIds };
+}
+
+// Count each distinct value of a product field, also looking inside variants
+function variantValueFacet(match, field) {
+    return [
+        { $match: match },
+        {
+            $project: {
+                values: {
+                    $setUnion: [
+                        { $cond: [{ $ifNull: [`$${field}`, false] }, [`$${field}`], []] },
+                        { $ifNull: [`$variants.${field}`, []] }
+                    ]
+                }
+            }
+        },
+        { $unwind: '$values' },
+        { $match: { values: { $nin: [null, ''] } } },
+        { $group: { _id: '$values', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+    ];
+}
+
+/**
+ * Product counts per category, brand, size, colour and price bucket for the current filter set.
+ * Each facet ignores its own filter so the storefront can still offer the other values
+ * (e.g. with brand=Bata selected, every brand is still counted against the other filters).
+ * @param {Object} query a query already passed through resolveCatalogQuery
+ */
+async function getProductFacets(query) {
+    // $text has to be the first stage, so the search term is applied to every facet up front
+    const pipeline = [];
+    if (query.q) {
+        pipeline.push({ $match: { $text: { $search: String(query.q) } } });
+    }
+
+    const matchWithout = (...params) => buildProductFilter(query, { exclude: ['q', ...params] });
+
+    pipeline.push({
+        $facet: {
+            total: [{ $match: matchWithout() }, { $count: 'count' }],
+            categories: [
+                { $match: matchWithout('category') },
+                { $match: { category: { $nin: [null, ''] } } },
+                { $group: { _id: { categoryId: '$categoryId', name: '$category' }, count: { $sum: 1 } } },
+                { $sort: { count: -1, '_id.name': 1 } }
+            ],
+            brands: [
+                { $match: matchWithout('brand') },
+                { $match: { brand: { $nin: [null, ''] } } },
+                { $group: { _id: '$brand', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } }
+            ],
+            sizes: variantValueFacet(matchWithout('size'), 'size'),
+            colors: variantValueFacet(matchWithout('color'), 'color'),
+            prices: [
+                { $match: matchWithout('minPrice', 'maxPrice') },
+                {
+                    $bucket: {
+                        groupBy: '$price',
+                        boundaries: PRICE_BOUNDARIES,
+                        default: 'above',
+                        output: { count: { $sum: 1 } }
+                    }
+                }
+            ]
+        }
+    });
+
+    const [result] = await Product.aggregate(pipeline);
+
+    // Attach slugs and parents so the storefront can link categories and nest them
+    const categoryIds = result.categories.map((entry) => entry._id.categoryId).filter(Boolean);
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('slug parent');
+    const categoryById = new Map(categories.map((category) => [category._id.toString(), category]));
+
+    const lastBoundary = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+
+    return {
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        categories: result.categories.map(({ _id, count }) => {
+            const category = _id.categoryId && categoryById.get(_id.categoryId.toString());
+            return {
+                categoryId: _id.categoryId || null,
+                name: _id.name,
+                slug: category ? category.slug : null,
+                parent: category ? category.parent : null,
+                count
+            };
+        }),
+        brands: result.brands.map(({ _id, count }) => ({ value: _id, count })),
+        sizes: result.sizes.map(({ _id, count }) => ({ value: _id, count })),
+        colors: result.colors.map(({ _id, count }) => ({ value: _id, count })),
+        prices: result.prices.map(({ _id, count }) => {
+            if (_id === 'above') {
+                return { min: lastBoundary, max: null, count };
+            }
+            const index = PRICE_BOUNDARIES.indexOf(_id);
+            return { min: _id, max: PRICE_BOUNDARIES[index + 1], count };
+        })
+    };
+}
+
+module.exports = { resolveCatalogQuery, getProductFacets };
@@ -0,0 +1,173 @@
+// services/couponService.js
+const Coupon = require('../models/CouponModel');
+const Category = require('../models/CategoryModel');
+const Order = require('../models/OdersModel');
+const Product = require('../models/ProductModel');
+const { AppError } = require('../utils/errors');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Look a coupon up by code. Throws an AppError when there is no such code.
+ * @param {string} code
+ * @param {ClientSession} [session]
+ */
+async function findCoupon(code, session) {
+    const coupon = await Coupon.findOne({ code: Coupon.normalizeCode(code) }).session(session || null);
+    if (!coupon) {
+        throw new AppError(404, `Coupon '${code}' does not exist.`);
+    }
+    return coupon;
+}
+
+// Ids of the coupon's categories and all of their subcategories
+async function restrictedCategoryIds(coupon, session) {
+    if (coupon.categoryIds.length === 0) {
+        return [];
+    }
+    const categories = await Category.find({
+        $or: [{ _id: { $in: coupon.categoryIds } }, { ancestors: { $in: coupon.categoryIds } }]
+    }).select('_id').session(session || null);
+    return categories.map((category) => category._id.toString());
+}
+
+// Orders of the same customer: by account, or for guests by the email or phone they order with
+function redemptionFilter(userId, guest) {
+    if (userId) {
+        return { userId };
+    }
+    const contacts = [];
+    if (guest && guest.email) contacts.push({ 'shippingInfo.email': String(guest.email).trim().toLowerCase() });
+    if (guest && guest.phone) contacts.push({ 'shippingInfo.phone': String(guest.phone).trim() });
+    return contacts.length > 0 ? { $or: contacts } : null;
+}
+
+/**
+ * Work out what a coupon takes off an order, or throw an AppError saying why it cannot be used.
+ * @param {Object} coupon Coupon document
+ * @param {Object} context
+ * @param {Array<{ productId, categoryId?, price: number, quantity: number }>} context.lines priced at current prices
+ * @param {number} [context.shippingCost]
+ * @param {string} [context.userId] checked against usageLimitPerUser
+ * @param {{ email?: string, phone?: string }} [context.guest] shippingInfo of a guest order; guests are held
+ *   to usageLimitPerUser by the email and phone they order with. Without a userId or guest the
+ *   per-customer limit is not checked (a guest cart before checkout), so orders must always pass one.
+ * @param {ClientSession} [context.session]
+ * @returns {Promise<{ couponId, code, type, description, amount: number }>}
+ */
+async function evaluateCoupon(coupon, { lines, shippingCost = 0, userId, guest, session, now = new Date() }) {
+    if (!coupon.isActive) {
+        throw new AppError(400, `Coupon ${coupon.code} is no longer active.`);
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+        throw new AppError(400, `Coupon ${coupon.code} is not valid yet.`);
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+        throw new AppError(400, `Coupon ${coupon.code} has expired.`);
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        throw new AppError(400, `Coupon ${coupon.code} has been fully redeemed.`);
+    }
+
+    const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+    if (subtotal < coupon.minimumSpend) {
+        throw new AppError(400, `Coupon ${coupon.code} needs a minimum spend of KES ${coupon.minimumSpend}.`);
+    }
+
+    const customerFilter = redemptionFilter(userId, guest);
+    if (customerFilter && coupon.usageLimitPerUser) {
+        // Cancelled orders give the redemption back
+        const used = await Order.countDocuments({
+            ...customerFilter,
+            'discount.couponId': coupon._id,
+            orderStatus: { $ne: 'Cancelled' }
+        }).session(session || null);
+        if (used >= coupon.usageLimitPerUser) {
+            throw new AppError(400, `You have already used coupon ${coupon.code}.`);
+        }
+    }
+
+    let eligibleLines = lines;
+    if (coupon.hasRestrictions()) {
+        const productIds = coupon.productIds.map((id) => id.toString());
+        const categoryIds = await restrictedCategoryIds(coupon, session);
+        eligibleLines = lines.filter((line) => productIds.includes(String(line.productId))
+            || (line.categoryId && categoryIds.includes(String(line.categoryId))));
+        if (eligibleLines.length === 0) {
+            throw new AppError(400, `Coupon ${coupon.code} does not apply to any item in your cart.`);
+        }
+    }
+    const eligibleSubtotal = eligibleLines.reduce((total, line) => total + line.price * line.quantity, 0);
+
+    let amount = 0;
+    if (coupon.type === 'percentage') {
+        amount = eligibleSubtotal * coupon.value / 100;
+        if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+            amount = Math.min(amount, coupon.maxDiscount);
+        }
+    } else if (coupon.type === 'fixed') {
+        amount = Math.min(coupon.value, eligibleSubtotal);
+    } else if (coupon.type === 'free_shipping') {
+        amount = shippingCost;
+    }
+
+    return {
+        couponId: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description,
+        amount: roundMoney(amount)
+    };
+}
+
+/**
+ * Count one redemption. The conditional update keeps two concurrent orders from
+ * redeeming the last use of a limited coupon.
+ */
+async function redeemCoupon(coupon, session) {
+    const filter = coupon.usageLimit
+        ? { _id: coupon._id, usedCount: { $lt: coupon.usageLimit } }
+        : { _id: coupon._id };
+    const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true, session });
+    if (!updated) {
+        throw new AppError(409, `Coupon ${coupon.code} has been fully redeemed.`);
+    }
+    return updated;
+}
+
+// Give back the redemption of a cancelled order
+async function releaseCoupon(couponId, session) {
+    await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+}
+
+/**
+ * Price the lines of a Cart at current Product prices, in the shape evaluateCoupon expects.
+ * Lines whose product no longer exists are left out.
+ */
+async function priceCartLines(cart) {
+    const products = await Product.find({ _id: { $in: cart.products.map((line) => line.productId) } });
+    const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    return cart.products.flatMap((line) => {
+        const product = productById.get(line.productId.toString());
+        if (!product) {
+            return [];
+        }
+        const variant = line.variantId ? product.findVariant({ variantId: line.variantId }) : null;
+        return [{
+            productId: product._id,
+            categoryId: product.categoryId,
+            price: product.priceFor(variant),
+            quantity: line.quantity,
+            weightKg: product.weightKg
+        }];
+    });
+}
+
+module.exports = {
+    findCoupon,
+    evaluateCoupon,
+    redeemCoupon,
+    releaseCoupon,
+    priceCartLines
+};
@@ -0,0 +1,271 @@
+// services/inventoryService.js
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const StockMovement = require('../models/StockMovementModel');
+const { runInTransaction } = require('../utils/transaction');
+const { notifyBackInStock } = require('./wishlistService');
+const { AppError } = require('../utils/errors');
+
+// Threshold for products without their own lowStockThreshold
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5;
+
+// Types an admin can record by hand; sales and returns come from orders
+const MANUAL_MOVEMENT_TYPES = ['restock', 'adjustment'];
+
+const roundRate = (value) => Math.round(value * 100) / 100;
+
+// Who made a change, in the shape stored on StockMovement (and Order.statusHistory)
+function toActor(actor, role) {
+    return { id: actor ? actor._id : undefined, role: role || (actor ? 'admin' : 'system') };
+}
+
+/**
+ * Stock counters of a product: one per variant, or a single `product` entry when it has none.
+ * @returns {Map<string, { variantId?, sku?, quantity: number }>}
+ */
+function stockSnapshot(product) {
+    const snapshot = new Map();
+    if (!product) {
+        return snapshot;
+    }
+    if (product.variants.length > 0) {
+        product.variants.forEach((variant) => {
+            snapshot.set(variant._id.toString(), { variantId: variant._id, sku: variant.sku, quantity: variant.quantity });
+        });
+    } else {
+        snapshot.set('product', { quantity: product.quantity });
+    }
+    return snapshot;
+}
+
+/**
+ * Record a StockMovement for every counter that differs between `before` (a stockSnapshot)
+ * and the saved product. Called by the Product post-save hook.
+ * @param {Map} before
+ * @param {Object} product the saved Product document
+ * @param {{ type?, reason?, actor?, role?, session? }} [context] defaults to a system adjustment
+ */
+async function recordStockChanges(before, product, { type, reason, actor, role, session } = {}) {
+    const after = stockSnapshot(product);
+    const keys = new Set([...before.keys(), ...after.keys()]);
+    const movements = [];
+    keys.forEach((key) => {
+        const old = before.get(key);
+        const current = after.get(key);
+        const quantity = (current ? current.quantity : 0) - (old ? old.quantity : 0);
+        if (quantity === 0) {
+            return;
+        }
+        const counter = current || old;
+        movements.push({
+            product: product._id,
+            variantId: counter.variantId,
+            sku: counter.sku,
+            type: type || (before.size === 0 && quantity > 0 ? 'restock' : 'adjustment'),
+            quantity,
+            quantityAfter: current ? current.quantity : 0,
+            reason: reason || (before.size === 0 ? 'Initial stock' : current ? 'Product updated' : 'Variant removed'),
+            actor: toActor(actor, role)
+        });
+    });
+    if (movements.length > 0) {
+        await StockMovement.insertMany(movements, { session });
+    }
+}
+
+/**
+ * Record the stock an order took (`sale`) or gave back (`return`), one movement per line.
+ * @param {Object} order Order document
+ * @param {'sale'|'return'} type
+ * @param {Object} options
+ * @param {Array<number>} [options.quantitiesAfter] stock after each line, in line order, when known
+ */
+async function recordOrderMovements(order, type, { quantitiesAfter = [], reason, actor, role, session } = {}) {
+    const movements = order.products.map((line, index) => ({
+        product: line.productId,
+        variantId: line.variantId,
+        sku: line.skuAtTimeOfOrder,
+        type,
+        quantity: type === 'sale' ? -line.quantity : line.quantity,
+        quantityAfter: quantitiesAfter[index],
+        reason,
+        actor: toActor(actor, role),
+        order: order._id
+    }));
+    await StockMovement.insertMany(movements, { session });
+}
+
+/**
+ * Restock or manually adjust one stock counter. The change is a conditional `$inc`, so stock
+ * never goes below zero even with concurrent orders, and is recorded in the same transaction.
+ * Throws an AppError on bad input.
+ * @param {string} productId
+ * @param {Object} change
+ * @param {'restock'|'adjustment'} change.type
+ * @param {number} change.quantity signed change; restocks must be positive
+ * @param {string} [change.variantId] or `sku`; required for products sold in variants
+ * @param {string} [change.reason] required for adjustments
+ * @returns {Promise<{ product: Object, movement: Object }>}
+ */
+async function adjustStock(productId, { type, quantity, variantId, sku, reason, actor }) {
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+        throw new AppError(400, `type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}.`);
+    }
+    if (!Number.isInteger(quantity) || quantity === 0) {
+        throw new AppError(400, 'quantity must be a whole number other than 0.');
+    }
+    if (type === 'restock' && quantity < 0) {
+        throw new AppError(400, 'A restock must add stock; use an adjustment to remove it.');
+    }
+    if (type === 'adjustment' && !(reason && String(reason).trim())) {
+        throw new AppError(400, 'A reason is required for stock adjustments.');
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+        throw new AppError(400, `Invalid Variant ID format for ${variantId}.`);
+    }
+
+    const result = await runInTransaction(async (session) => {
+        const current = await Product.findById(productId).session(session);
+        if (!current) {
+            throw new AppError(404, 'Product not found.');
+        }
+        const variant = current.hasVariants() ? current.findVariant({ variantId, sku }) : null;
+        if (current.hasVariants() && !variant) {
+            throw variantId || sku
+                ? new AppError(404, `Variant ${variantId || sku} not found for product '${current.name}'.`)
+                : new AppError(400, `Product '${current.name}' is sold in variants; choose one by variantId or sku.`);
+        }
+
+        // Removing stock only matches while enough is left
+        const enough = quantity < 0 ? { $gte: -quantity } : { $gte: 0 };
+        const { filter, update } = variant
+            ? {
+                filter: { _id: current._id, variants: { $elemMatch: { _id: variant._id, quantity: enough } } },
+                update: { $inc: { 'variants.$.quantity': quantity, quantity } }
+            }
+            : {
+                filter: { _id: current._id, quantity: enough, 'variants.0': { $exists: false } },
+                update: { $inc: { quantity } }
+            };
+        const product = await Product.findOneAndUpdate(filter, update, { new: true, session });
+        if (!product) {
+            throw new AppError(409, `Only ${current.stockFor(variant)} in stock; cannot remove ${-quantity}.`);
+        }
+        const updatedVariant = variant ? product.variants.id(variant._id) : null;
+
+        const [movement] = await StockMovement.create([{
+            product: product._id,
+            variantId: updatedVariant ? updatedVariant._id : undefined,
+            sku: updatedVariant ? updatedVariant.sku : undefined,
+            type,
+            quantity,
+            quantityAfter: product.stockFor(updatedVariant),
+            reason,
+            actor: toActor(actor, 'admin')
+        }], { session });
+        return { product, movement };
+    });
+
+    // findOneAndUpdate skips the Product save hooks, so waiting wishlists are told here
+    if (quantity > 0) {
+        notifyBackInStock(result.product._id).catch((error) => {
+            console.error(`Failed to send back-in-stock notifications for product ${result.product._id}:`, error);
+        });
+    }
+    return result;
+}
+
+/**
+ * Products with a stock counter at or below its threshold, with sales over the last `days`
+ * days, so restocking can be prioritised. `daysOfStockLeft` is null when nothing sold.
+ * @param {{ days?: number }} [options]
+ */
+async function getLowStockReport({ days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const products = await Product.aggregate([
+        { $addFields: { threshold: { $ifNull: ['$lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] } } },
+        {
+            $addFields: {
+                lowVariants: {
+                    $filter: { input: '$variants', as: 'variant', cond: { $lte: ['$$variant.quantity', '$threshold'] } }
+                }
+            }
+        },
+        {
+            $match: {
+                $or: [
+                    { 'lowVariants.0': { $exists: true } },
+                    { $expr: { $and: [{ $eq: [{ $size: '$variants' }, 0] }, { $lte: ['$quantity', '$threshold'] }] } }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: StockMovement.collection.name,
+                let: { productId: '$_id' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $eq: ['$product', '$$productId'] },
+                            type: { $in: ['sale', 'return'] },
+                            createdAt: { $gte: since }
+                        }
+                    },
+                    { $group: { _id: '$variantId', sold: { $sum: { $multiply: ['$quantity', -1] } } } }
+                ],
+                as: 'sales'
+            }
+        },
+        { $project: { name: 1, imageUrl: 1, quantity: 1, threshold: 1, lowVariants: { _id: 1, sku: 1, size: 1, color: 1, quantity: 1 }, sales: 1 } }
+    ]);
+
+    const rate = (sold) => roundRate(Math.max(sold, 0) / days);
+    const daysLeft = (stock, sold) => (sold > 0 ? roundRate(stock / rate(sold)) : null);
+
+    return products
+        .map((product) => {
+            const soldBy = new Map(product.sales.map((entry) => [String(entry._id), entry.sold]));
+            const unitsSold = product.sales.reduce((total, entry) => total + entry.sold, 0);
+            return {
+                productId: product._id,
+                name: product.name,
+                imageUrl: product.imageUrl,
+                quantity: product.quantity,
+                threshold: product.threshold,
+                unitsSold: Math.max(unitsSold, 0),
+                dailySalesRate: rate(unitsSold),
+                daysOfStockLeft: daysLeft(product.quantity, unitsSold),
+                lowVariants: product.lowVariants.map((variant) => {
+                    const sold = soldBy.get(String(variant._id)) || 0;
+                    return {
+                        variantId: variant._id,
+                        sku: variant.sku,
+                        size: variant.size,
+                        color: variant.color,
+                        quantity: variant.quantity,
+                        unitsSold: Math.max(sold, 0),
+                        dailySalesRate: rate(sold),
+                        daysOfStockLeft: daysLeft(variant.quantity, sold)
+                    };
+                })
+            };
+        })
+        .sort(byUrgency);
+}
+
+// Most urgent first: out of stock, then fewest days of stock left, then lowest stock
+function byUrgency(a, b) {
+    const outOfStock = (entry) => (entry.quantity === 0 ? 0 : 1);
+    const daysLeft = (entry) => (entry.daysOfStockLeft === null ? Infinity : entry.daysOfStockLeft);
+    return outOfStock(a) - outOfStock(b) || daysLeft(a) - daysLeft(b) || a.quantity - b.quantity;
+}
+
+module.exports = {
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    MANUAL_MOVEMENT_TYPES,
+    stockSnapshot,
+    recordStockChanges,
+    recordOrderMovements,
+    adjustStock,
+    getLowStockReport
+};
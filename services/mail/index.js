@@ -0,0 +1,85 @@
+// services/mail/index.js
+const { createOutboxTransport } = require('./outboxTransport');
+
+// A transport is any object with `async send({ from, to, subject, text, html })`.
+// The outbox transport is used unless another one is registered with setMailTransport,
+// e.g. an SMTP or provider-API transport created at startup.
+let transport = null;
+
+function getMailTransport() {
+    if (!transport) {
+        transport = createOutboxTransport();
+    }
+    return transport;
+}
+
+function setMailTransport(newTransport) {
+    if (!newTransport || typeof newTransport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message).');
+    }
+    transport = newTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    const from = process.env.MAIL_FROM || 'Leather Walk <no-reply@leatherwalk.local>';
+    return getMailTransport().send({ from, to, subject, text, html });
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Every value interpolated into an HTML body goes through this; names and product
+// details are entered by customers and staff
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+// Links in emails point at the storefront
+function appUrl(pathname) {
+    const baseUrl = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${baseUrl}${pathname}`;
+}
+
+// Token links are opened by the storefront, which calls the API with the token
+function buildAppLink(pathname, token) {
+    return `${appUrl(pathname)}?token=${encodeURIComponent(token)}`;
+}
+
+async function sendPasswordResetEmail(user, token) {
+    const link = buildAppLink('/reset-password', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Leather Walk password',
+        text: `Hi ${user.fullname || user.username},\n\nUse the link below to choose a new password. It can only be used once and expires soon.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.fullname || user.username)},</p><p>Use the link below to choose a new password. It can only be used once and expires soon.</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you did not ask for this, you can ignore this email.</p>`
+    });
+}
+
+async function sendEmailVerificationEmail(user, token) {
+    const link = buildAppLink('/verify-email', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your Leather Walk email address',
+        text: `Hi ${user.fullname || user.username},\n\nPlease confirm your email address by opening the link below.\n\n${link}`,
+        html: `<p>Hi ${escapeHtml(user.fullname || user.username)},</p><p>Please confirm your email address by opening the link below.</p><p><a href="${escapeHtml(link)}">Verify email</a></p>`
+    });
+}
+
+async function sendBackInStockEmail(user, product, variant) {
+    const link = appUrl(`/products/${product._id}`);
+    const label = variant ? `${product.name} (${[variant.size, variant.color].filter(Boolean).join(', ') || variant.sku})` : product.name;
+    return sendMail({
+        to: user.email,
+        subject: `${product.name} is back in stock`,
+        text: `Hi ${user.fullname || user.username},\n\n${label} from your wishlist is available again.\n\n${link}`,
+        html: `<p>Hi ${escapeHtml(user.fullname || user.username)},</p><p>${escapeHtml(label)} from your wishlist is available again.</p><p><a href="${escapeHtml(link)}">View product</a></p>`
+    });
+}
+
+module.exports = {
+    getMailTransport,
+    setMailTransport,
+    sendMail,
+    sendPasswordResetEmail,
+    sendEmailVerificationEmail,
+    sendBackInStockEmail
+};
@@ -0,0 +1,26 @@
+// services/mail/outboxTransport.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Default mail transport: instead of talking to an SMTP server it writes every
+ * message as a JSON file into a local outbox directory, so flows that send mail
+ * can be exercised (and the links inside them followed) during development and tests.
+ * @param {{ dir?: string }} [options]
+ */
+function createOutboxTransport({ dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox') } = {}) {
+    return {
+        name: 'outbox',
+        dir,
+        async send(message) {
+            await fs.mkdir(dir, { recursive: true });
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const file = path.join(dir, `${id}.json`);
+            await fs.writeFile(file, JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2));
+            return { id, file };
+        }
+    };
+}
+
+module.exports = { createOutboxTransport };
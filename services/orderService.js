@@ -0,0 +1,344 @@
+// services/orderService.js
+const mongoose = require('mongoose');
+const Order = require('../models/OdersModel');
+const Product = require('../models/ProductModel');
+const Cart = require('../models/CartModel');
+const { runInTransaction } = require('../utils/transaction');
+const { recordRefund } = require('./paymentService');
+const { findCoupon, evaluateCoupon, redeemCoupon, releaseCoupon } = require('./couponService');
+const { calculateShipping } = require('./shippingService');
+const { guestCartFilter } = require('./cartService');
+const { notifyBackInStock } = require('./wishlistService');
+const { recordOrderMovements } = require('./inventoryService');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Validate the shape of requested order lines before touching the database.
+ * Lines for products sold in variants identify the variant by `variantId` or `sku`.
+ * Throws an AppError like the cart helpers do.
+ */
+function validateOrderItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new AppError(400, 'No order items');
+    }
+    for (const item of items) {
+        if (!item || !mongoose.Types.ObjectId.isValid(item.productId)) {
+            throw new AppError(400, `Invalid Product ID format for ${item && item.productId}.`);
+        }
+        if (item.variantId && !mongoose.Types.ObjectId.isValid(item.variantId)) {
+            throw new AppError(400, `Invalid Variant ID format for ${item.variantId}.`);
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+            throw new AppError(400, `Quantity for product ID ${item.productId} must be a whole number of at least 1.`);
+        }
+    }
+}
+
+// Build the conditional update that takes `item.quantity` off the right stock counter.
+// Variant lines decrement the variant and the product total together.
+function buildStockDecrement(item) {
+    if (item.variantId || item.sku) {
+        const variantMatch = item.variantId ? { _id: item.variantId } : { sku: item.sku };
+        return {
+            filter: { _id: item.productId, variants: { $elemMatch: { ...variantMatch, quantity: { $gte: item.quantity } } } },
+            update: { $inc: { 'variants.$.quantity': -item.quantity, quantity: -item.quantity } }
+        };
+    }
+    // Products sold in variants can't be ordered without choosing one
+    return {
+        filter: { _id: item.productId, quantity: { $gte: item.quantity }, 'variants.0': { $exists: false } },
+        update: { $inc: { quantity: -item.quantity } }
+    };
+}
+
+// Explain why a line could not be reserved
+function describeUnavailable(item, product) {
+    const line = { productId: item.productId, variantId: item.variantId, sku: item.sku, requested: item.quantity };
+    if (!product) {
+        return { ...line, available: 0, reason: 'not_found' };
+    }
+    if (!item.variantId && !item.sku) {
+        return product.hasVariants()
+            ? { ...line, name: product.name, available: product.quantity, reason: 'variant_required' }
+            : { ...line, name: product.name, available: product.quantity, reason: 'insufficient_stock' };
+    }
+    const variant = product.findVariant(item);
+    if (!variant) {
+        return { ...line, name: product.name, available: 0, reason: 'variant_not_found' };
+    }
+    return { ...line, name: product.name, sku: variant.sku, available: variant.quantity, reason: 'insufficient_stock' };
+}
+
+/**
+ * Reserve stock for every line inside `session`. Each line is decremented with a conditional
+ * update (`quantity >= requested`, per variant where the product has them) so two concurrent
+ * orders can never oversell. All lines are attempted so that every unavailable line can be
+ * reported at once; the caller aborts the transaction if any failed, which puts back the
+ * lines that did succeed.
+ * @returns {Promise<{ reserved: Array, unavailable: Array }>}
+ */
+async function reserveStock(items, session) {
+    const reserved = [];
+    const unavailable = [];
+
+    for (const item of items) {
+        const { filter, update } = buildStockDecrement(item);
+        const product = await Product.findOneAndUpdate(filter, update, { new: true, session });
+
+        if (product) {
+            reserved.push({ item, product, variant: product.findVariant(item) });
+            continue;
+        }
+
+        // Work out why the conditional update did not match
+        const current = await Product.findById(item.productId).session(session);
+        unavailable.push(describeUnavailable(item, current));
+    }
+
+    return { reserved, unavailable };
+}
+
+/**
+ * Reserve stock for every line and create the Order document using an existing session.
+ * Shipping is priced from the customer's county and pickup station. A `couponCode` is
+ * re-validated against the final prices and redeemed in the same transaction.
+ * Throws an ITEMS_UNAVAILABLE AppError listing the unavailable lines in `details`.
+ */
+async function createOrderInSession({ userId, items, shippingInfo, paymentMethod, mpesaNumber, couponCode }, session) {
+    const { reserved, unavailable } = await reserveStock(items, session);
+    if (unavailable.length > 0) {
+        throw new AppError(400, 'Some items in your order are unavailable.', {
+            code: 'ITEMS_UNAVAILABLE',
+            details: unavailable
+        });
+    }
+
+    let calculatedSubtotal = 0;
+    const orderProducts = reserved.map(({ item, product, variant }) => {
+        const price = product.priceFor(variant);
+        calculatedSubtotal += price * item.quantity;
+        // Historical snapshot of the product (and variant) at the time of order
+        return {
+            productId: product._id,
+            variantId: variant ? variant._id : undefined,
+            quantity: item.quantity,
+            priceAtTimeOfOrder: price,
+            nameAtTimeOfOrder: product.name,
+            imageUrlAtTimeOfOrder: product.imageUrl,
+            sizeAtTimeOfOrder: (variant ? variant.size : item.size) || 'N/A',
+            colorAtTimeOfOrder: (variant ? variant.color : item.color) || 'N/A',
+            skuAtTimeOfOrder: variant ? variant.sku : undefined
+        };
+    });
+
+    const shipping = await calculateShipping({
+        county: shippingInfo && shippingInfo.county,
+        pickupStation: shippingInfo && shippingInfo.pickupStation,
+        lines: reserved.map(({ item, product }) => ({ quantity: item.quantity, weightKg: product.weightKg })),
+        subtotal: calculatedSubtotal,
+        requireStation: true,
+        session
+    });
+    const shippingCost = shipping.cost;
+
+    let discount;
+    if (couponCode) {
+        const coupon = await findCoupon(couponCode, session);
+        discount = await evaluateCoupon(coupon, {
+            lines: reserved.map(({ item, product, variant }) => ({
+                productId: product._id,
+                categoryId: product.categoryId,
+                price: product.priceFor(variant),
+                quantity: item.quantity
+            })),
+            shippingCost,
+            userId,
+            guest: userId ? undefined : { email: shippingInfo && shippingInfo.email, phone: shippingInfo && shippingInfo.phone },
+            session
+        });
+        await redeemCoupon(coupon, session);
+    }
+    const discountAmount = discount ? discount.amount : 0;
+
+    const [order] = await Order.create([{
+        userId,
+        products: orderProducts,
+        shippingInfo,
+        paymentMethod,
+        mpesaNumber: paymentMethod === 'mpesa' ? mpesaNumber : null,
+        subtotalAmount: calculatedSubtotal,
+        shippingCost,
+        shippingZone: shipping.zone,
+        discount,
+        totalAmount: Math.max(0, calculatedSubtotal + shippingCost - discountAmount),
+        paymentStatus: 'Pending',
+        orderStatus: 'Pending'
+    }], { session });
+
+    await recordOrderMovements(order, 'sale', {
+        quantitiesAfter: reserved.map(({ product, variant }) => product.stockFor(variant)),
+        actor: userId ? { _id: userId } : undefined,
+        role: 'customer',
+        session
+    });
+
+    return order;
+}
+
+/**
+ * Place an order atomically: reserve stock for every line and create the Order document in a
+ * single transaction. Nothing is written unless every line can be fulfilled.
+ * @param {Object} input
+ * @param {string} input.userId
+ * @param {Array<{ productId: string, variantId?: string, sku?: string, quantity: number, size?: string, color?: string }>} input.items
+ * @param {Object} input.shippingInfo `county` and `pickupStation` determine the shipping cost
+ * @param {string} input.paymentMethod
+ * @param {string} [input.mpesaNumber]
+ * @param {string} [input.couponCode]
+ * @returns {Promise<Object>} the created order
+ */
+async function placeOrder(input) {
+    validateOrderItems(input.items);
+    return runInTransaction((session) => createOrderInSession(input, session));
+}
+
+/**
+ * Turn the user's stored Cart (or a guest's, by `cartToken`) into an order and empty the Cart,
+ * all in one transaction. Guest orders have no userId and need `shippingInfo.email`.
+ * Lines are charged at the current Product price; lines whose price differs from
+ * `priceAtTimeOfAddition` are returned in `priceChanges` so the client can tell the shopper.
+ * The coupon applied to the cart is used unless `couponCode` is given.
+ * @param {Object} input same as placeOrder, minus `items`, plus `cartToken` for guests
+ * @returns {Promise<{ order: Object, priceChanges: Array }>}
+ */
+async function checkoutCart({ userId, cartToken, couponCode, ...orderDetails }) {
+    return runInTransaction(async (session) => {
+        const cartFilter = userId ? { user: userId } : guestCartFilter(cartToken);
+        const cart = await Cart.findOne(cartFilter).session(session);
+        if (!cart || cart.products.length === 0) {
+            throw new AppError(400, 'Your cart is empty.');
+        }
+
+        const items = cart.products.map((line) => ({
+            productId: line.productId.toString(),
+            variantId: line.variantId ? line.variantId.toString() : undefined,
+            quantity: line.quantity
+        }));
+        validateOrderItems(items);
+
+        const order = await createOrderInSession({
+            userId,
+            items,
+            couponCode: couponCode || cart.couponCode,
+            ...orderDetails
+        }, session);
+
+        // Lines map 1:1 and in order from the cart to the order
+        const priceChanges = [];
+        cart.products.forEach((line, index) => {
+            const ordered = order.products[index];
+            if (Math.abs(ordered.priceAtTimeOfOrder - line.priceAtTimeOfAddition) > 0.001) {
+                priceChanges.push({
+                    productId: ordered.productId,
+                    name: ordered.nameAtTimeOfOrder,
+                    priceAtTimeOfAddition: line.priceAtTimeOfAddition,
+                    currentPrice: ordered.priceAtTimeOfOrder
+                });
+            }
+        });
+
+        cart.products = [];
+        cart.couponCode = undefined;
+        await cart.save({ session });
+
+        return { order, priceChanges };
+    });
+}
+
+// Moving into one of these statuses puts the order's quantities back on the shelf
+const STOCK_RESTORING_STATUSES = ['Cancelled', 'Returned'];
+
+// Put every line's quantity back on its Product (and variant, if it still exists)
+// and record it in the stock ledger
+async function restoreStock(order, { actor, role, note }, session) {
+    const quantitiesAfter = [];
+    for (const line of order.products) {
+        if (line.variantId) {
+            const product = await Product.findOneAndUpdate(
+                { _id: line.productId, 'variants._id': line.variantId },
+                { $inc: { 'variants.$.quantity': line.quantity, quantity: line.quantity } },
+                { new: true, session }
+            );
+            if (product) {
+                quantitiesAfter.push(product.variants.id(line.variantId).quantity);
+                continue;
+            }
+        }
+        const product = await Product.findOneAndUpdate(
+            { _id: line.productId },
+            { $inc: { quantity: line.quantity } },
+            { new: true, session }
+        );
+        quantitiesAfter.push(product ? product.quantity : undefined);
+    }
+    await recordOrderMovements(order, 'return', {
+        quantitiesAfter,
+        reason: note || `Order ${order.orderStatus.toLowerCase()}`,
+        actor,
+        role,
+        session
+    });
+}
+
+/**
+ * Change an order's status inside a transaction. Cancelling or returning an order restores
+ * Product stock for every line and, if money was collected, marks the payment Refunded.
+ * @param {string} orderId
+ * @param {string} nextStatus
+ * @param {Object} [options]
+ * @param {Object} [options.actor] the account making the change
+ * @param {string} [options.role] 'customer' | 'admin' | 'system'
+ * @param {string} [options.note] shown on the order timeline
+ * @param {Object} [options.updates] extra fields to set on the order in the same save
+ * @returns {Promise<Object>} the updated order
+ */
+async function changeOrderStatus(orderId, nextStatus, { actor, role, note, updates } = {}) {
+    const updatedOrder = await runInTransaction(async (session) => {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new AppError(404, 'Order not found');
+        }
+
+        if (updates) {
+            order.set(updates);
+        }
+        order.transitionTo(nextStatus, { actor, role, note });
+
+        if (STOCK_RESTORING_STATUSES.includes(nextStatus)) {
+            await restoreStock(order, { actor, role, note }, session);
+            if (nextStatus === 'Cancelled') {
+                order.cancelledAt = new Date();
+                if (order.discount && order.discount.couponId) {
+                    await releaseCoupon(order.discount.couponId, session);
+                }
+            }
+            if (order.paymentStatus === 'Paid') {
+                await recordRefund(order, { actor, note: `Automatic refund: order ${nextStatus.toLowerCase()}`, session });
+            }
+        }
+
+        await order.save({ session });
+        return order;
+    });
+
+    // Restored stock bypasses the Product save hooks, so wishlists are told here, after the commit
+    if (STOCK_RESTORING_STATUSES.includes(nextStatus)) {
+        const productIds = [...new Set(updatedOrder.products.map((line) => line.productId.toString()))];
+        Promise.all(productIds.map((productId) => notifyBackInStock(productId))).catch((error) => {
+            console.error(`Failed to send back-in-stock notifications for order ${updatedOrder._id}:`, error);
+        });
+    }
+    return updatedOrder;
+}
+
+module.exports = { placeOrder, checkoutCart, changeOrderStatus, validateOrderItems, buildStockDecrement, reserveStock };
@@ -0,0 +1,323 @@
+// services/paymentService.js
+const Order = require('../models/OdersModel');
+const Payment = require('../models/PaymentModel');
+const mpesa = require('./payments/mpesa');
+const { runInTransaction } = require('../utils/transaction');
+const { AppError } = require('../utils/errors');
+
+// Orders that can no longer be paid; money collected for them is refunded
+const CLOSED_ORDER_STATUSES = ['Cancelled', 'Returned'];
+
+// Differences smaller than this are rounding (M-Pesa charges whole shillings)
+const AMOUNT_TOLERANCE = 1;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sum the successful ledger entries for an order.
+ * @returns {Promise<{ paid: number, refunded: number, net: number }>}
+ */
+async function getCollectedAmounts(orderId, session = null) {
+    const entries = await Payment.find({ orderId, status: 'Success' }).select('type amount').session(session);
+    let paid = 0;
+    let refunded = 0;
+    entries.forEach((entry) => {
+        if (entry.type === 'refund') {
+            refunded += entry.amount;
+        } else {
+            paid += entry.amount;
+        }
+    });
+    return { paid: roundAmount(paid), refunded: roundAmount(refunded), net: roundAmount(paid - refunded) };
+}
+
+// Ledger provider for entries recorded by an admin rather than a gateway
+function manualProviderFor(order) {
+    return order.paymentMethod === 'cod' ? 'cod' : 'manual';
+}
+
+/**
+ * Send an M-Pesa STK push for the order's total and record the attempt as a Payment.
+ * A failed push is recorded too, then rethrown so the caller can report it.
+ * @param {Object} order
+ * @param {string} [phone] defaults to the order's mpesaNumber
+ * @returns {Promise<Object>} the pending Payment
+ */
+async function startMpesaPayment(order, phone = order.mpesaNumber) {
+    if (order.paymentStatus === 'Paid') {
+        throw new AppError(409, 'This order has already been paid.');
+    }
+    if (CLOSED_ORDER_STATUSES.includes(order.orderStatus)) {
+        throw new AppError(409, `A ${order.orderStatus.toLowerCase()} order cannot be paid.`, { code: 'ORDER_CLOSED' });
+    }
+
+    try {
+        const push = await mpesa.initiateStkPush({
+            phone,
+            amount: order.totalAmount,
+            accountReference: order._id.toString().slice(-12),
+            description: 'Leather Walk'
+        });
+
+        return await Payment.create({
+            orderId: order._id,
+            provider: 'mpesa',
+            amount: Math.ceil(order.totalAmount),
+            phone: mpesa.normalizePhone(phone),
+            merchantRequestId: push.merchantRequestId,
+            checkoutRequestId: push.checkoutRequestId,
+            resultDesc: push.customerMessage,
+            rawResponse: push.raw
+        });
+    } catch (error) {
+        await Payment.create({
+            orderId: order._id,
+            provider: 'mpesa',
+            amount: Math.ceil(order.totalAmount),
+            phone: mpesa.normalizePhone(phone) || String(phone || ''),
+            status: 'Failed',
+            resultDesc: error.message
+        });
+        throw error;
+    }
+}
+
+/**
+ * Apply an STK callback from Daraja: settle the matching Payment and the order's paymentStatus.
+ * Safe to call repeatedly with the same payload: only the first callback for a
+ * CheckoutRequestID changes anything, later ones are counted as duplicates.
+ * @returns {Promise<{ payment: Object, order: Object|null, duplicate: boolean }|null>} null when no payment matches
+ */
+async function handleMpesaCallback(payload) {
+    const result = mpesa.parseStkCallback(payload);
+    if (!result) {
+        throw new AppError(400, 'Malformed M-Pesa callback.');
+    }
+
+    const succeeded = result.resultCode === 0;
+    const settlement = {
+        status: succeeded ? 'Success' : 'Failed',
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc,
+        rawCallback: payload
+    };
+    if (succeeded) {
+        settlement.receiptNumber = result.receiptNumber;
+        settlement.providerReference = result.receiptNumber;
+        // Record what was actually paid rather than what was requested
+        if (result.amount !== undefined) {
+            settlement.amount = Number(result.amount);
+        }
+    }
+
+    // Only a still-pending payment can be settled, which makes concurrent duplicates harmless
+    const payment = await Payment.findOneAndUpdate(
+        { checkoutRequestId: result.checkoutRequestId, status: 'Pending' },
+        { $set: settlement },
+        { new: true }
+    );
+
+    if (!payment) {
+        const existing = await Payment.findOneAndUpdate(
+            { checkoutRequestId: result.checkoutRequestId },
+            { $inc: { duplicateCallbacks: 1 } },
+            { new: true }
+        );
+        return existing ? { payment: existing, order: null, duplicate: true } : null;
+    }
+
+    // A failed attempt never overrides an order that another attempt already paid,
+    // and a cancelled or returned order is never marked Paid
+    const orderUpdate = succeeded
+        ? { paymentStatus: 'Paid', transactionId: result.receiptNumber }
+        : { paymentStatus: 'Failed' };
+    let order = await Order.findOneAndUpdate(
+        { _id: payment.orderId, paymentStatus: { $nin: ['Paid', 'Refunded'] }, orderStatus: { $nin: CLOSED_ORDER_STATUSES } },
+        { $set: orderUpdate },
+        { new: true }
+    );
+    if (!order && succeeded) {
+        order = await refundLatePayment(payment);
+    }
+
+    return { payment, order, duplicate: false };
+}
+
+/**
+ * The customer paid after the order was cancelled or returned (e.g. they confirmed an STK
+ * push that was still on their phone). The payment stays in the ledger and is refunded the
+ * same way cancelling a paid order refunds it.
+ * @returns {Promise<Object|null>} the refunded order, or null when the order is still open
+ */
+async function refundLatePayment(payment) {
+    return runInTransaction(async (session) => {
+        const order = await Order.findById(payment.orderId).session(session);
+        if (!order || !CLOSED_ORDER_STATUSES.includes(order.orderStatus)) {
+            return null;
+        }
+        await recordRefund(order, {
+            note: `Automatic refund: M-Pesa payment ${payment.receiptNumber || payment._id} arrived after the order was ${order.orderStatus.toLowerCase()}`,
+            session
+        });
+        await order.save({ session });
+        return order;
+    });
+}
+
+/**
+ * Record a refund of everything collected for the order and mark it Refunded.
+ * Modifies `order` but does not save it, so it can join the caller's transaction.
+ */
+async function recordRefund(order, { actor, note, session = null } = {}) {
+    const { net } = await getCollectedAmounts(order._id, session);
+    if (net > 0) {
+        await Payment.create([{
+            orderId: order._id,
+            type: 'refund',
+            provider: manualProviderFor(order),
+            amount: net,
+            status: 'Success',
+            recordedBy: actor ? actor._id : undefined,
+            note
+        }], { session });
+    }
+    order.paymentStatus = 'Refunded';
+    order.refundedAt = new Date();
+    return order;
+}
+
+/**
+ * Set an order's paymentStatus by hand (e.g. cash on delivery collected) and keep the
+ * ledger consistent: marking Paid records the outstanding amount as a payment,
+ * marking Refunded records a refund of everything collected.
+ * @param {string} orderId
+ * @param {'Pending'|'Paid'|'Failed'|'Refunded'} paymentStatus
+ * @param {{ actor?: Object, reference?: string, note?: string }} [options]
+ */
+async function setPaymentStatusManually(orderId, paymentStatus, { actor, reference, note } = {}) {
+    return runInTransaction(async (session) => {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+            throw new AppError(404, 'Order not found');
+        }
+        if (order.paymentStatus === paymentStatus) {
+            return order;
+        }
+
+        if (paymentStatus === 'Paid') {
+            const { net } = await getCollectedAmounts(order._id, session);
+            const outstanding = roundAmount(order.totalAmount - net);
+            if (outstanding > 0) {
+                await Payment.create([{
+                    orderId: order._id,
+                    provider: manualProviderFor(order),
+                    amount: outstanding,
+                    status: 'Success',
+                    providerReference: reference,
+                    recordedBy: actor ? actor._id : undefined,
+                    note
+                }], { session });
+            }
+            order.paymentStatus = 'Paid';
+            if (reference) {
+                order.transactionId = reference;
+            }
+        } else if (paymentStatus === 'Refunded') {
+            await recordRefund(order, { actor, note, session });
+        } else {
+            order.paymentStatus = paymentStatus;
+        }
+
+        await order.save({ session });
+        return order;
+    });
+}
+
+/**
+ * List orders whose paymentStatus disagrees with the ledger.
+ * Issues reported:
+ *  - paid_but_underfunded: Paid, but successful payments don't cover the total
+ *  - collected_but_not_marked_paid: Pending/Failed, but money was collected
+ *  - refunded_but_money_held: Refunded, but collected money was not refunded
+ *  - overpaid: more collected than the order total (e.g. the customer paid twice)
+ * @param {{ from?: Date, to?: Date }} [range] filters on order createdAt
+ */
+async function getReconciliationReport({ from, to } = {}) {
+    const match = {};
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = from;
+        if (to) match.createdAt.$lte = to;
+    }
+
+    const sumLedger = (type) => ({
+        $sum: {
+            $map: {
+                input: {
+                    $filter: {
+                        input: '$payments',
+                        cond: { $and: [{ $eq: ['$$this.status', 'Success'] }, { $eq: [{ $ifNull: ['$$this.type', 'payment'] }, type] }] }
+                    }
+                },
+                in: '$$this.amount'
+            }
+        }
+    });
+
+    return Order.aggregate([
+        { $match: match },
+        { $lookup: { from: Payment.collection.name, localField: '_id', foreignField: 'orderId', as: 'payments' } },
+        {
+            $project: {
+                userId: 1,
+                paymentMethod: 1,
+                paymentStatus: 1,
+                orderStatus: 1,
+                totalAmount: 1,
+                createdAt: 1,
+                transactionCount: { $size: '$payments' },
+                paidAmount: sumLedger('payment'),
+                refundedAmount: sumLedger('refund')
+            }
+        },
+        { $addFields: { netCollected: { $subtract: ['$paidAmount', '$refundedAmount'] } } },
+        {
+            $addFields: {
+                issue: {
+                    $switch: {
+                        branches: [
+                            {
+                                case: { $and: [{ $eq: ['$paymentStatus', 'Paid'] }, { $lt: ['$netCollected', { $subtract: ['$totalAmount', AMOUNT_TOLERANCE] }] }] },
+                                then: 'paid_but_underfunded'
+                            },
+                            {
+                                case: { $and: [{ $in: ['$paymentStatus', ['Pending', 'Failed']] }, { $gt: ['$netCollected', 0] }] },
+                                then: 'collected_but_not_marked_paid'
+                            },
+                            {
+                                case: { $and: [{ $eq: ['$paymentStatus', 'Refunded'] }, { $gt: ['$netCollected', 0] }] },
+                                then: 'refunded_but_money_held'
+                            },
+                            {
+                                case: { $gt: ['$netCollected', { $add: ['$totalAmount', AMOUNT_TOLERANCE] }] },
+                                then: 'overpaid'
+                            }
+                        ],
+                        default: null
+                    }
+                }
+            }
+        },
+        { $match: { issue: { $ne: null } } },
+        { $sort: { createdAt: -1 } }
+    ]);
+}
+
+module.exports = {
+    getCollectedAmounts,
+    startMpesaPayment,
+    handleMpesaCallback,
+    recordRefund,
+    setPaymentStatusManually,
+    getReconciliationReport
+};
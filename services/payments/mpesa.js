@@ -0,0 +1,191 @@
+// services/payments/mpesa.js
+// Minimal Daraja (Safaricom M-Pesa) client: OAuth token, STK push and callback parsing.
+// MPESA_BASE_URL points at Safaricom's sandbox by default; set it to the local sandbox
+// (scripts/mpesaSandbox.js) to run the whole flow offline.
+// Callbacks are only accepted with the MPESA_CALLBACK_TOKEN we put in the callback URL;
+// MPESA_ALLOW_UNSIGNED_CALLBACKS=true drops that check, for local sandbox runs only.
+
+const crypto = require('crypto');
+const { AppError } = require('../../utils/errors');
+
+function getConfig() {
+    return {
+        baseUrl: (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/$/, ''),
+        consumerKey: process.env.MPESA_CONSUMER_KEY,
+        consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+        shortcode: process.env.MPESA_SHORTCODE || '174379',
+        passkey: process.env.MPESA_PASSKEY,
+        callbackUrl: process.env.MPESA_CALLBACK_URL,
+        callbackToken: process.env.MPESA_CALLBACK_TOKEN,
+        allowUnsignedCallbacks: process.env.MPESA_ALLOW_UNSIGNED_CALLBACKS === 'true'
+    };
+}
+
+// Cached OAuth token, refreshed a minute before Daraja says it expires
+let cachedToken = null;
+
+async function getAccessToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+        return cachedToken.value;
+    }
+
+    const { baseUrl, consumerKey, consumerSecret } = getConfig();
+    if (!consumerKey || !consumerSecret) {
+        throw new Error('MPESA_CONSUMER_KEY and MPESA_CONSUMER_SECRET must be set.');
+    }
+
+    const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+    const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+        headers: { Authorization: `Basic ${credentials}` }
+    });
+    if (!response.ok) {
+        throw new Error(`M-Pesa OAuth request failed with status ${response.status}.`);
+    }
+
+    const data = await response.json();
+    const expiresInMs = (parseInt(data.expires_in, 10) || 3599) * 1000;
+    cachedToken = { value: data.access_token, expiresAt: Date.now() + expiresInMs - 60 * 1000 };
+    return cachedToken.value;
+}
+
+// Daraja wants yyyyMMddHHmmss in East Africa Time
+function getTimestamp(date = new Date()) {
+    const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+    return eat.toISOString().replace(/[-T:]/g, '').slice(0, 14);
+}
+
+/**
+ * Normalise a Kenyan phone number to the 2547XXXXXXXX / 2541XXXXXXXX form Daraja expects.
+ * @returns {string|null} null when the number is not a valid Safaricom-style MSISDN
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    let normalized = digits;
+    if (digits.startsWith('0')) {
+        normalized = `254${digits.slice(1)}`;
+    } else if (/^[71]\d{8}$/.test(digits)) {
+        normalized = `254${digits}`;
+    }
+    return /^254[71]\d{8}$/.test(normalized) ? normalized : null;
+}
+
+function buildCallbackUrl() {
+    const { callbackUrl, callbackToken } = getConfig();
+    if (!callbackUrl) {
+        throw new Error('MPESA_CALLBACK_URL must be set.');
+    }
+    if (!callbackToken) {
+        return callbackUrl;
+    }
+    const separator = callbackUrl.includes('?') ? '&' : '?';
+    return `${callbackUrl}${separator}token=${encodeURIComponent(callbackToken)}`;
+}
+
+/**
+ * Send an STK push (Lipa Na M-Pesa Online) prompt to the customer's phone.
+ * @param {{ phone: string, amount: number, accountReference: string, description?: string }} params
+ * @returns {Promise<{ merchantRequestId: string, checkoutRequestId: string, responseCode: string, responseDescription: string, customerMessage: string, raw: Object }>}
+ */
+async function initiateStkPush({ phone, amount, accountReference, description = 'Leather Walk order' }) {
+    const msisdn = normalizePhone(phone);
+    if (!msisdn) {
+        throw new AppError(400, `Invalid M-Pesa phone number '${phone}'.`);
+    }
+
+    const { baseUrl, shortcode, passkey } = getConfig();
+    if (!passkey) {
+        throw new Error('MPESA_PASSKEY must be set.');
+    }
+
+    const timestamp = getTimestamp();
+    const password = Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64');
+    const token = await getAccessToken();
+
+    const response = await fetch(`${baseUrl}/mpesa/stkpush/v1/processrequest`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            BusinessShortCode: shortcode,
+            Password: password,
+            Timestamp: timestamp,
+            TransactionType: 'CustomerPayBillOnline',
+            Amount: Math.ceil(amount), // M-Pesa only accepts whole shillings
+            PartyA: msisdn,
+            PartyB: shortcode,
+            PhoneNumber: msisdn,
+            CallBackURL: buildCallbackUrl(),
+            AccountReference: String(accountReference).slice(0, 12),
+            TransactionDesc: description.slice(0, 13)
+        })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.ResponseCode !== '0') {
+        const reason = data.errorMessage || data.ResponseDescription || `status ${response.status}`;
+        throw new Error(`M-Pesa STK push failed: ${reason}`);
+    }
+
+    return {
+        merchantRequestId: data.MerchantRequestID,
+        checkoutRequestId: data.CheckoutRequestID,
+        responseCode: data.ResponseCode,
+        responseDescription: data.ResponseDescription,
+        customerMessage: data.CustomerMessage,
+        raw: data
+    };
+}
+
+/**
+ * Flatten the `Body.stkCallback` payload Daraja posts to our callback URL.
+ * @returns {Object|null} null when the payload is not an STK callback
+ */
+function parseStkCallback(payload) {
+    const callback = payload && payload.Body && payload.Body.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) {
+        return null;
+    }
+
+    // Successful callbacks carry Amount, MpesaReceiptNumber, TransactionDate and PhoneNumber
+    const metadata = {};
+    const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+    items.forEach(({ Name, Value }) => {
+        metadata[Name] = Value;
+    });
+
+    return {
+        merchantRequestId: callback.MerchantRequestID,
+        checkoutRequestId: callback.CheckoutRequestID,
+        resultCode: Number(callback.ResultCode),
+        resultDesc: callback.ResultDesc,
+        amount: metadata.Amount,
+        receiptNumber: metadata.MpesaReceiptNumber,
+        transactionDate: metadata.TransactionDate,
+        phoneNumber: metadata.PhoneNumber
+    };
+}
+
+// Only the callback URL we handed to Daraja carries the shared token. Without a configured
+// token every callback is refused, unless unsigned callbacks were explicitly allowed.
+function isValidCallbackToken(token) {
+    const { callbackToken, allowUnsignedCallbacks } = getConfig();
+    if (!callbackToken) {
+        return allowUnsignedCallbacks;
+    }
+    if (typeof token !== 'string') {
+        return false;
+    }
+    // Hashing first gives timingSafeEqual the equal-length buffers it needs
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(callbackToken));
+}
+
+module.exports = {
+    getAccessToken,
+    initiateStkPush,
+    parseStkCallback,
+    normalizePhone,
+    isValidCallbackToken
+};
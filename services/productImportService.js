@@ -0,0 +1,253 @@
+// services/productImportService.js
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Product = require('../models/ProductModel');
+const { parseCsv, toCsvRow, neutralizeFormula, restoreFormulaText } = require('../utils/csv');
+const { AppError } = require('../utils/errors');
+
+// One row per variant (or per product when it has no variants). Product-level columns
+// (name, description, brand, category, price, imageUrl) repeat on every row of the product.
+const PRODUCT_COLUMNS = ['sku', 'name', 'description', 'brand', 'category', 'price', 'variantPrice', 'size', 'color', 'quantity', 'imageUrl'];
+
+const PRODUCT_FIELDS = ['name', 'description', 'brand', 'category', 'price', 'imageUrl'];
+const NUMBER_FIELDS = ['price', 'variantPrice', 'quantity'];
+
+/**
+ * Read an uploaded import file (CSV, or a JSON array of objects with the same keys as the CSV columns).
+ * @param {{ buffer: Buffer, mimetype: string, originalname: string }} file multer file
+ * @returns {{ rows: Array<Object>, rowNumbers: number[] }} raw rows, and the number each is reported
+ *   under: the CSV line it starts on, or its 1-based position in the JSON array
+ */
+function readImportFile(file) {
+    const text = file.buffer.toString('utf8');
+    const isJson = file.mimetype === 'application/json' || /\.json$/i.test(file.originalname || '');
+    if (isJson) {
+        let rows;
+        try {
+            rows = JSON.parse(text);
+        } catch (error) {
+            throw new AppError(400, `Invalid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(rows)) {
+            throw new AppError(400, 'A JSON import must be an array of products.');
+        }
+        return { rows, rowNumbers: rows.map((row, index) => index + 1) };
+    }
+
+    const { headers, rows, lines } = parseCsv(text);
+    const unknown = headers.filter((header) => !PRODUCT_COLUMNS.includes(header));
+    if (unknown.length > 0) {
+        throw new AppError(400, `Unknown CSV columns: ${unknown.join(', ')}. Expected: ${PRODUCT_COLUMNS.join(', ')}.`);
+    }
+    return { rows, rowNumbers: lines };
+}
+
+// Trim strings, drop empty cells and convert number columns; returns { values, errors }
+function normalizeRow(raw) {
+    const values = {};
+    const errors = [];
+    PRODUCT_COLUMNS.forEach((column) => {
+        const value = raw[column];
+        if (value === undefined || value === null || String(value).trim() === '') return;
+        if (NUMBER_FIELDS.includes(column)) {
+            const number = Number(value);
+            if (Number.isNaN(number) || number < 0) {
+                errors.push(`${column} must be a non-negative number.`);
+                return;
+            }
+            values[column] = number;
+        } else {
+            // Text the export protected against formula injection is read back as it was
+            values[column] = restoreFormulaText(String(value).trim());
+        }
+    });
+    if (!values.sku && !values.name) {
+        errors.push('Each row needs a sku or a name.');
+    }
+    return { values, errors };
+}
+
+function describeValidationError(error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+        return Object.values(error.errors).map((err) => err.message);
+    }
+    return [error.message || String(error)];
+}
+
+/**
+ * Import products, upserting by SKU: a row whose sku already exists updates that variant and its product;
+ * otherwise the row is added as a variant of the product with the same name (created if needed).
+ * Rows without a sku update or create a product without variants, matched by name.
+ *
+ * Malformed rows are skipped. Each product is validated against ProductModel once all of its rows
+ * are applied; an invalid product is not saved and every one of its rows reports why.
+ * With `dryRun` nothing is written.
+ * @param {Array<Object>} rawRows rows from readImportFile
+ * @param {{ dryRun?: boolean, actor?: Object, rowNumbers?: number[] }} [options] `actor` is recorded on
+ *   the stock movements; `rowNumbers` are the numbers rows are reported under (see readImportFile),
+ *   by default their 1-based position
+ */
+async function importProducts(rawRows, { dryRun = false, actor, rowNumbers } = {}) {
+    const entries = new Map(); // product key -> { product, isNew, rows: [report rows] }
+    const productKeyBySku = new Map();
+    const productKeyByName = new Map();
+    const report = [];
+
+    for (const [index, raw] of rawRows.entries()) {
+        const { values, errors } = normalizeRow(raw || {});
+        const reportRow = { row: rowNumbers ? rowNumbers[index] : index + 1, sku: values.sku || null, name: values.name || null, status: 'pending', errors };
+        report.push(reportRow);
+        if (errors.length > 0) {
+            reportRow.status = 'error';
+            continue;
+        }
+
+        if (values.sku && productKeyBySku.has(values.sku)) {
+            reportRow.status = 'error';
+            reportRow.errors.push(`sku ${values.sku} appears more than once in the file.`);
+            continue;
+        }
+
+        // Find the product this row belongs to: by SKU first, then by name
+        let key;
+        if (values.sku) {
+            const existing = await Product.findOne({ 'variants.sku': values.sku });
+            if (existing) {
+                key = existing._id.toString();
+                if (!entries.has(key)) entries.set(key, { product: existing, isNew: false, rows: [] });
+            }
+        }
+        if (!key && values.name) {
+            key = productKeyByName.get(values.name);
+            if (!key) {
+                const existing = await Product.findOne({ name: values.name });
+                if (existing) {
+                    key = existing._id.toString();
+                    if (!entries.has(key)) entries.set(key, { product: existing, isNew: false, rows: [] });
+                }
+            }
+        }
+        if (!key) {
+            if (!values.name) {
+                reportRow.status = 'error';
+                reportRow.errors.push(`No product has sku ${values.sku}; a name is needed to create one.`);
+                continue;
+            }
+            const product = new Product({ quantity: 0 });
+            key = product._id.toString();
+            entries.set(key, { product, isNew: true, rows: [] });
+        }
+
+        const entry = entries.get(key);
+        const { product } = entry;
+        entry.rows.push(reportRow);
+        productKeyByName.set(values.name || product.name, key);
+        if (values.sku) productKeyBySku.set(values.sku, key);
+
+        PRODUCT_FIELDS.forEach((field) => {
+            if (values[field] !== undefined) product[field] = values[field];
+        });
+
+        if (values.sku) {
+            const variantFields = {
+                size: values.size,
+                color: values.color,
+                price: values.variantPrice,
+                quantity: values.quantity
+            };
+            const variant = product.findVariant({ sku: values.sku });
+            if (variant) {
+                Object.entries(variantFields).forEach(([field, value]) => {
+                    if (value !== undefined) variant[field] = value;
+                });
+            } else {
+                product.variants.push({ sku: values.sku, ...variantFields });
+            }
+            // Same as the pre-save hook, so `quantity` validates during a dry run too
+            product.quantity = product.variants.reduce((total, item) => total + item.quantity, 0);
+        } else {
+            ['size', 'color', 'quantity'].forEach((field) => {
+                if (values[field] !== undefined) product[field] = values[field];
+            });
+        }
+    }
+
+    // Validate (and save) each product once all its rows are applied
+    for (const entry of entries.values()) {
+        try {
+            await entry.product.validate();
+            if (!dryRun) {
+                entry.product.$locals.stockContext = { actor, role: 'admin', reason: 'Product import' };
+                await entry.product.save();
+            }
+            entry.rows.forEach((row) => {
+                row.status = entry.isNew ? 'created' : 'updated';
+            });
+        } catch (error) {
+            const messages = error.code === 11000
+                ? ['A SKU in this product is already used by another product.']
+                : describeValidationError(error);
+            entry.rows.forEach((row) => {
+                row.status = 'error';
+                row.errors.push(...messages);
+            });
+        }
+    }
+
+    const count = (status) => report.filter((row) => row.status === status).length;
+    return {
+        dryRun,
+        totalRows: report.length,
+        created: count('created'),
+        updated: count('updated'),
+        failed: count('error'),
+        rows: report
+    };
+}
+
+/**
+ * Stream the whole catalogue to `res` as CSV in the import format, one product at a time.
+ * Text that a spreadsheet would run as a formula is neutralised (see utils/csv.js).
+ * @param {import('express').Response} res
+ */
+async function exportProductsCsv(res) {
+    const write = async (chunk) => {
+        if (!res.write(chunk)) {
+            await once(res, 'drain');
+        }
+    };
+
+    await write(toCsvRow(PRODUCT_COLUMNS));
+    const cursor = Product.find().sort({ _id: 1 }).lean().cursor();
+    for await (const product of cursor) {
+        const base = {
+            name: product.name,
+            description: product.description,
+            brand: product.brand,
+            category: product.category,
+            price: product.price,
+            imageUrl: product.imageUrl
+        };
+        const rows = product.variants && product.variants.length > 0
+            ? product.variants.map((variant) => ({
+                ...base,
+                sku: variant.sku,
+                variantPrice: variant.price,
+                size: variant.size,
+                color: variant.color,
+                quantity: variant.quantity
+            }))
+            : [{ ...base, size: product.size, color: product.color, quantity: product.quantity }];
+        for (const row of rows) {
+            await write(toCsvRow(PRODUCT_COLUMNS.map((column) => neutralizeFormula(row[column]))));
+        }
+    }
+    res.end();
+}
+
+module.exports = {
+    PRODUCT_COLUMNS,
+    readImportFile,
+    importProducts,
+    exportProductsCsv
+};
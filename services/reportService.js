@@ -0,0 +1,314 @@
+// services/reportService.js
+// Admin analytics built on Order aggregations. Every report covers orders created in
+// [from, to]. Revenue counts sold orders: paid, and not cancelled or returned. It is the
+// amount charged (totalAmount, after discounts and with shipping). Orders still waiting for
+// their money (cash on delivery not yet collected, failed M-Pesa attempts) are left out and
+// reported separately by the summary as unpaid.
+const Order = require('../models/OdersModel');
+const Product = require('../models/ProductModel');
+const Category = require('../models/CategoryModel');
+const { AppError } = require('../utils/errors');
+
+// Days are cut at midnight in the shop's timezone
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Africa/Nairobi';
+const DEFAULT_RANGE_DAYS = 30;
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+const NOT_SOLD_STATUSES = ['Cancelled', 'Returned'];
+const UNPAID_STATUSES = ['Pending', 'Failed'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+const PLAIN_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far `timeZone` is ahead of UTC at `date`, in milliseconds
+function timezoneOffsetMs(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+    const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Midnight at the start of the calendar day `YYYY-MM-DD` in `timeZone`
+function startOfDay(day, timeZone) {
+    const utcMidnight = Date.parse(`${day}T00:00:00Z`);
+    if (Number.isNaN(utcMidnight)) return new Date(NaN);
+    const guess = utcMidnight - timezoneOffsetMs(new Date(utcMidnight), timeZone);
+    // Measured again at the guess, in case the offset changes that night (daylight saving)
+    return new Date(utcMidnight - timezoneOffsetMs(new Date(guess), timeZone));
+}
+
+function parseBoundary(value, name, { endOfDay = false } = {}) {
+    const plain = PLAIN_DATE.test(String(value));
+    const date = plain ? startOfDay(value, REPORT_TIMEZONE) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new AppError(400, `${name} must be a valid date.`);
+    }
+    if (plain && endOfDay) {
+        const nextDay = new Date(Date.parse(`${value}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+        return new Date(startOfDay(nextDay, REPORT_TIMEZONE).getTime() - 1);
+    }
+    return date;
+}
+
+/**
+ * Parse the `from`/`to` query parameters. Plain dates (YYYY-MM-DD) are days in REPORT_TIMEZONE,
+ * the same days the revenue series is cut into: `from` starts at its midnight and `to` includes
+ * that whole day. Defaults to the last 30 days. Throws an AppError on invalid dates.
+ * @returns {{ from: Date, to: Date }}
+ */
+function parseDateRange({ from, to } = {}) {
+    const end = to ? parseBoundary(to, 'to', { endOfDay: true }) : new Date();
+    const start = from ? parseBoundary(from, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (start > end) {
+        throw new AppError(400, 'from must be before to.');
+    }
+    return { from: start, to: end };
+}
+
+const inRange = ({ from, to }) => ({ createdAt: { $gte: from, $lte: to } });
+const soldInRange = (range) => ({ ...inRange(range), paymentStatus: 'Paid', orderStatus: { $nin: NOT_SOLD_STATUSES } });
+
+// The same tests as soldInRange, as aggregation expressions for a $group over every order
+const isOpen = { $not: [{ $in: ['$orderStatus', NOT_SOLD_STATUSES] }] };
+const isSold = { $and: [isOpen, { $eq: ['$paymentStatus', 'Paid'] }] };
+const isUnpaid = { $and: [isOpen, { $in: ['$paymentStatus', UNPAID_STATUSES] }] };
+
+/**
+ * Order count, revenue, average order value, discounts and shipping collected, plus
+ * cancellation and return rates. The return rate is measured against orders that were delivered.
+ * `unpaidOrders`/`unpaidAmount` are the open orders not paid yet, which revenue does not include.
+ */
+async function getSalesSummary(range) {
+    const [totals] = await Order.aggregate([
+        { $match: inRange(range) },
+        {
+            $group: {
+                _id: null,
+                orders: { $sum: 1 },
+                cancelled: { $sum: { $cond: [{ $eq: ['$orderStatus', 'Cancelled'] }, 1, 0] } },
+                returned: { $sum: { $cond: [{ $eq: ['$orderStatus', 'Returned'] }, 1, 0] } },
+                delivered: { $sum: { $cond: [{ $in: ['$orderStatus', ['Delivered', 'Returned']] }, 1, 0] } },
+                soldOrders: { $sum: { $cond: [isSold, 1, 0] } },
+                revenue: { $sum: { $cond: [isSold, '$totalAmount', 0] } },
+                discounts: { $sum: { $cond: [isSold, { $ifNull: ['$discount.amount', 0] }, 0] } },
+                shipping: { $sum: { $cond: [isSold, '$shippingCost', 0] } },
+                unpaidOrders: { $sum: { $cond: [isUnpaid, 1, 0] } },
+                unpaidAmount: { $sum: { $cond: [isUnpaid, '$totalAmount', 0] } }
+            }
+        }
+    ]);
+    const stats = totals || {
+        orders: 0, cancelled: 0, returned: 0, delivered: 0, soldOrders: 0, revenue: 0, discounts: 0, shipping: 0, unpaidOrders: 0, unpaidAmount: 0
+    };
+
+    return {
+        orders: stats.orders,
+        soldOrders: stats.soldOrders,
+        revenue: roundMoney(stats.revenue),
+        averageOrderValue: stats.soldOrders > 0 ? roundMoney(stats.revenue / stats.soldOrders) : 0,
+        discounts: roundMoney(stats.discounts),
+        shipping: roundMoney(stats.shipping),
+        unpaidOrders: stats.unpaidOrders,
+        unpaidAmount: roundMoney(stats.unpaidAmount),
+        cancelledOrders: stats.cancelled,
+        cancellationRate: ratio(stats.cancelled, stats.orders),
+        returnedOrders: stats.returned,
+        returnRate: ratio(stats.returned, stats.delivered)
+    };
+}
+
+/**
+ * Revenue, order count and average order value per day, week (starting Monday) or month.
+ * Periods without orders are left out.
+ */
+async function getRevenueSeries(range, interval = 'day') {
+    if (!REPORT_INTERVALS.includes(interval)) {
+        throw new AppError(400, `interval must be one of: ${REPORT_INTERVALS.join(', ')}.`);
+    }
+    const periods = await Order.aggregate([
+        { $match: soldInRange(range) },
+        {
+            $group: {
+                _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: REPORT_TIMEZONE, startOfWeek: 'monday' } },
+                orders: { $sum: 1 },
+                revenue: { $sum: '$totalAmount' }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+    return periods.map((period) => ({
+        period: period._id,
+        orders: period.orders,
+        revenue: roundMoney(period.revenue),
+        averageOrderValue: roundMoney(period.revenue / period.orders)
+    }));
+}
+
+// Sort key for the top-N reports
+function parseRankBy(by = 'revenue') {
+    if (!['units', 'revenue'].includes(by)) {
+        throw new AppError(400, "by must be 'units' or 'revenue'.");
+    }
+    return by;
+}
+
+// Order lines sold in range, one document per line with its revenue (before order-level discounts)
+function soldLinesPipeline(range) {
+    return [
+        { $match: soldInRange(range) },
+        { $unwind: '$products' },
+        {
+            $project: {
+                productId: '$products.productId',
+                name: '$products.nameAtTimeOfOrder',
+                units: '$products.quantity',
+                revenue: { $multiply: ['$products.quantity', '$products.priceAtTimeOfOrder'] }
+            }
+        }
+    ];
+}
+
+/**
+ * Best-selling products by units or revenue. Revenue here is line revenue before discounts.
+ */
+async function getTopProducts(range, { by, limit = 10 } = {}) {
+    const rankBy = parseRankBy(by);
+    const products = await Order.aggregate([
+        ...soldLinesPipeline(range),
+        {
+            $group: {
+                _id: '$productId',
+                name: { $last: '$name' },
+                units: { $sum: '$units' },
+                revenue: { $sum: '$revenue' }
+            }
+        },
+        { $sort: { [rankBy]: -1, _id: 1 } },
+        { $limit: limit }
+    ]);
+    return products.map((product) => ({
+        productId: product._id,
+        name: product.name,
+        units: product.units,
+        revenue: roundMoney(product.revenue)
+    }));
+}
+
+/**
+ * Best-selling categories by units or revenue, using each product's current category.
+ * Products without a category (or since deleted) are grouped as 'Uncategorised'.
+ */
+async function getTopCategories(range, { by, limit = 10 } = {}) {
+    const rankBy = parseRankBy(by);
+    const categories = await Order.aggregate([
+        ...soldLinesPipeline(range),
+        { $lookup: { from: Product.collection.name, localField: 'productId', foreignField: '_id', as: 'product' } },
+        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+        {
+            $group: {
+                _id: { categoryId: '$product.categoryId', category: '$product.category' },
+                units: { $sum: '$units' },
+                revenue: { $sum: '$revenue' }
+            }
+        },
+        { $sort: { [rankBy]: -1 } },
+        { $limit: limit },
+        { $lookup: { from: Category.collection.name, localField: '_id.categoryId', foreignField: '_id', as: 'category' } }
+    ]);
+    return categories.map((entry) => ({
+        categoryId: entry._id.categoryId || null,
+        name: (entry.category[0] && entry.category[0].name) || entry._id.category || 'Uncategorised',
+        slug: entry.category[0] ? entry.category[0].slug : undefined,
+        units: entry.units,
+        revenue: roundMoney(entry.revenue)
+    }));
+}
+
+// Count and revenue of sold orders grouped by `field`, largest revenue first
+async function groupSoldOrders(range, field) {
+    const groups = await Order.aggregate([
+        { $match: soldInRange(range) },
+        { $group: { _id: `$${field}`, orders: { $sum: 1 }, revenue: { $sum: '$totalAmount' } } },
+        { $sort: { revenue: -1, _id: 1 } }
+    ]);
+    const totalOrders = groups.reduce((total, group) => total + group.orders, 0);
+    return groups.map((group) => ({
+        key: group._id,
+        orders: group.orders,
+        revenue: roundMoney(group.revenue),
+        share: ratio(group.orders, totalOrders)
+    }));
+}
+
+async function getSalesByCounty(range) {
+    const counties = await groupSoldOrders(range, 'shippingInfo.county');
+    return counties.map(({ key, ...rest }) => ({ county: key, ...rest }));
+}
+
+// `share` is each payment method's fraction of the orders
+async function getPaymentMethodMix(range) {
+    const methods = await groupSoldOrders(range, 'paymentMethod');
+    return methods.map(({ key, ...rest }) => ({ paymentMethod: key, ...rest }));
+}
+
+/**
+ * Customers who ordered in the range: how many were new (first order ever in the range),
+ * and the repeat-customer rate (share with two or more orders up to the end of the range).
+ * Guests are counted by their email address. Cancelled orders are ignored.
+ */
+async function getCustomerMetrics(range) {
+    const [stats] = await Order.aggregate([
+        { $match: { createdAt: { $lte: range.to }, orderStatus: { $ne: 'Cancelled' } } },
+        {
+            $group: {
+                _id: { $ifNull: ['$userId', '$shippingInfo.email'] },
+                isGuest: { $first: { $eq: [{ $ifNull: ['$userId', null] }, null] } },
+                firstOrderAt: { $min: '$createdAt' },
+                totalOrders: { $sum: 1 },
+                ordersInRange: { $sum: { $cond: [{ $gte: ['$createdAt', range.from] }, 1, 0] } }
+            }
+        },
+        { $match: { ordersInRange: { $gt: 0 } } },
+        {
+            $group: {
+                _id: null,
+                customers: { $sum: 1 },
+                guestCustomers: { $sum: { $cond: ['$isGuest', 1, 0] } },
+                newCustomers: { $sum: { $cond: [{ $gte: ['$firstOrderAt', range.from] }, 1, 0] } },
+                repeatCustomers: { $sum: { $cond: [{ $gte: ['$totalOrders', 2] }, 1, 0] } }
+            }
+        }
+    ]);
+    const totals = stats || { customers: 0, guestCustomers: 0, newCustomers: 0, repeatCustomers: 0 };
+    return {
+        customers: totals.customers,
+        guestCustomers: totals.guestCustomers,
+        newCustomers: totals.newCustomers,
+        returningCustomers: totals.customers - totals.newCustomers,
+        repeatCustomers: totals.repeatCustomers,
+        repeatCustomerRate: ratio(totals.repeatCustomers, totals.customers)
+    };
+}
+
+module.exports = {
+    REPORT_INTERVALS,
+    parseDateRange,
+    getSalesSummary,
+    getRevenueSeries,
+    getTopProducts,
+    getTopCategories,
+    getSalesByCounty,
+    getPaymentMethodMix,
+    getCustomerMetrics
+};
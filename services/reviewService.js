@@ -0,0 +1,149 @@
+// services/reviewService.js
+const mongoose = require('mongoose');
+const Review = require('../models/ReviewModel');
+const Order = require('../models/OdersModel');
+const Product = require('../models/ProductModel');
+const { uploadImages, removeImages } = require('./storage');
+const { AppError } = require('../utils/errors');
+
+const MAX_REVIEW_PHOTOS = parseInt(process.env.REVIEW_MAX_PHOTOS, 10) || 5;
+
+// Review fields the author may set; status and moderation are for admins
+const REVIEW_FIELDS = ['rating', 'title', 'body'];
+
+// Multipart forms send every field as a string
+function parseReviewFields(input) {
+    const fields = {};
+    REVIEW_FIELDS.forEach((field) => {
+        if (input[field] !== undefined) {
+            fields[field] = field === 'rating' ? Number(input[field]) : input[field];
+        }
+    });
+    return fields;
+}
+
+/**
+ * The most recent delivered order of `userId` containing the product, or null.
+ * Only these customers may review the product.
+ */
+async function findVerifiedPurchase(userId, productId) {
+    return Order.findOne({
+        userId,
+        orderStatus: 'Delivered',
+        'products.productId': productId
+    }).sort({ deliveredAt: -1 }).select('_id deliveredAt');
+}
+
+/**
+ * Create a review for a product the user has received. Photos are uploaded to image storage
+ * and removed again if the review cannot be saved. The review waits for moderation.
+ * Throws an AppError when the user may not review the product.
+ * @param {string} userId
+ * @param {string} productId
+ * @param {{ rating, title?, body? }} input
+ * @param {Array} [files] multer image files
+ */
+async function createReview(userId, productId, input, files = []) {
+    if (files.length > MAX_REVIEW_PHOTOS) {
+        throw new AppError(400, `A review can have at most ${MAX_REVIEW_PHOTOS} photos.`);
+    }
+    const product = await Product.findById(productId).select('_id');
+    if (!product) {
+        throw new AppError(404, 'Product not found.');
+    }
+    const order = await findVerifiedPurchase(userId, productId);
+    if (!order) {
+        throw new AppError(403, 'Only customers who have received this product can review it.');
+    }
+    if (await Review.exists({ product: productId, user: userId })) {
+        throw new AppError(409, 'You have already reviewed this product.');
+    }
+
+    const review = new Review({ ...parseReviewFields(input), product: productId, user: userId, order: order._id });
+    // Validate before uploading so a bad rating never leaves photos behind
+    await review.validate();
+
+    let photos = [];
+    try {
+        photos = files.length > 0 ? await uploadImages(files, { folder: 'review-photos' }) : [];
+        review.photos = photos;
+        await review.save();
+    } catch (error) {
+        await removeImages(photos.map((photo) => photo.publicId));
+        if (error.code === 11000) {
+            throw new AppError(409, 'You have already reviewed this product.');
+        }
+        throw error;
+    }
+    return review;
+}
+
+/**
+ * Let the author change their review. It goes back to moderation, so an approved review
+ * stops counting towards the product rating until it is approved again.
+ */
+async function updateReview(review, input) {
+    const wasApproved = review.status === 'approved';
+    review.set(parseReviewFields(input));
+    review.status = 'pending';
+    review.moderation = undefined;
+    await review.save();
+    if (wasApproved) {
+        await Review.refreshProductRating(review.product);
+    }
+    return review;
+}
+
+/**
+ * Approve or reject a review and refresh the product rating.
+ * @param {Object} review Review document
+ * @param {{ status: 'approved'|'rejected', note?: string, actor?: Object }} decision
+ */
+async function moderateReview(review, { status, note, actor }) {
+    if (!['approved', 'rejected'].includes(status)) {
+        throw new AppError(400, "status must be 'approved' or 'rejected'.");
+    }
+    review.status = status;
+    review.moderation = {
+        moderatedBy: actor ? actor._id : undefined,
+        moderatedAt: new Date(),
+        note
+    };
+    await review.save();
+    await Review.refreshProductRating(review.product);
+    return review;
+}
+
+// Delete a review with its photos and take it out of the product rating
+async function deleteReview(review) {
+    await review.deleteOne();
+    await removeImages(review.photos.map((photo) => photo.publicId));
+    if (review.status === 'approved') {
+        await Review.refreshProductRating(review.product);
+    }
+}
+
+/**
+ * Approved-review counts per star for a product, e.g. `{ 5: 12, 4: 3, 3: 0, 2: 1, 1: 0 }`.
+ */
+async function getRatingDistribution(productId) {
+    const counts = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    counts.forEach((entry) => {
+        distribution[entry._id] = entry.count;
+    });
+    return distribution;
+}
+
+module.exports = {
+    MAX_REVIEW_PHOTOS,
+    findVerifiedPurchase,
+    createReview,
+    updateReview,
+    moderateReview,
+    deleteReview,
+    getRatingDistribution
+};
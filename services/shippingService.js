@@ -0,0 +1,118 @@
+// services/shippingService.js
+const ShippingZone = require('../models/ShippingZoneModel');
+const { AppError } = require('../utils/errors');
+
+// Weight assumed for products without weightKg
+const DEFAULT_ITEM_WEIGHT_KG = Number(process.env.DEFAULT_ITEM_WEIGHT_KG) || 1;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Optional numbers from the environment; unset means "not configured"
+function envAmount(name) {
+    const value = process.env[name];
+    return value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value);
+}
+
+/**
+ * Shipping cost for an order, computed from the configured zones (never from the client).
+ * Counties without a zone are refused unless SHIPPING_DEFAULT_RATE is set, in which case
+ * that flat rate is charged and any pickup station name is accepted.
+ * Throws an AppError when the county or pickup station is not served.
+ * @param {Object} input
+ * @param {string} input.county
+ * @param {string} [input.pickupStation] required when `requireStation` is set
+ * @param {Array<{ quantity: number, weightKg?: number }>} input.lines
+ * @param {number} input.subtotal
+ * @param {boolean} [input.requireStation]
+ * @param {ClientSession} [input.session]
+ * @returns {Promise<{ cost: number, zone: string|null, pickupStation: Object|null, itemCount: number, weightKg: number, breakdown: Object }>}
+ */
+async function calculateShipping({ county, pickupStation, lines, subtotal, requireStation = false, session }) {
+    if (!county || !String(county).trim()) {
+        throw new AppError(400, 'A county is required to calculate shipping.');
+    }
+
+    const itemCount = lines.reduce((total, line) => total + line.quantity, 0);
+    const weightKg = roundMoney(lines.reduce((total, line) => {
+        const weight = typeof line.weightKg === 'number' ? line.weightKg : DEFAULT_ITEM_WEIGHT_KG;
+        return total + weight * line.quantity;
+    }, 0));
+
+    const zone = await ShippingZone.findForCounty(county).session(session || null);
+    if (!zone) {
+        const defaultRate = envAmount('SHIPPING_DEFAULT_RATE');
+        if (defaultRate === null) {
+            throw new AppError(400, `We do not deliver to ${county} yet.`);
+        }
+        if (requireStation && !pickupStation) {
+            throw new AppError(400, 'Please choose a pickup station.');
+        }
+        return {
+            cost: defaultRate,
+            zone: null,
+            pickupStation: pickupStation ? { name: pickupStation, county } : null,
+            itemCount,
+            weightKg,
+            breakdown: { baseRate: defaultRate, tierSurcharge: 0, stationFee: 0, freeShipping: false }
+        };
+    }
+
+    let station = null;
+    if (pickupStation) {
+        station = zone.findPickupStation(pickupStation, county);
+        if (!station) {
+            throw new AppError(400, `'${pickupStation}' is not a pickup station in ${county}.`);
+        }
+    } else if (requireStation) {
+        throw new AppError(400, 'Please choose a pickup station.');
+    }
+
+    const tierSurcharge = zone.tiers.reduce((highest, tier) => {
+        const reached = (tier.minItems !== undefined && tier.minItems !== null && itemCount >= tier.minItems)
+            || (tier.minWeightKg !== undefined && tier.minWeightKg !== null && weightKg >= tier.minWeightKg);
+        return reached ? Math.max(highest, tier.surcharge) : highest;
+    }, 0);
+    const stationFee = station ? station.fee : 0;
+
+    const threshold = zone.freeShippingThreshold !== undefined && zone.freeShippingThreshold !== null
+        ? zone.freeShippingThreshold
+        : envAmount('FREE_SHIPPING_THRESHOLD');
+    const freeShipping = threshold !== null && subtotal >= threshold;
+
+    return {
+        cost: freeShipping ? 0 : roundMoney(zone.baseRate + tierSurcharge + stationFee),
+        zone: zone.name,
+        pickupStation: station ? { name: station.name, county: station.county, address: station.address } : null,
+        itemCount,
+        weightKg,
+        breakdown: {
+            baseRate: zone.baseRate,
+            tierSurcharge,
+            stationFee,
+            freeShipping,
+            freeShippingThreshold: threshold
+        }
+    };
+}
+
+/**
+ * Active pickup stations, optionally only those in `county`, sorted by county then name.
+ */
+async function listPickupStations(county) {
+    const zones = await ShippingZone.find({ isActive: true });
+    const wanted = county ? String(county).trim().toLowerCase() : null;
+
+    return zones
+        .flatMap((zone) => zone.pickupStations
+            .filter((station) => station.isActive && (!wanted || station.county.toLowerCase() === wanted))
+            .map((station) => ({
+                id: station._id,
+                name: station.name,
+                county: station.county,
+                address: station.address,
+                zone: zone.name
+            })))
+        .sort((a, b) => a.county.localeCompare(b.county) || a.name.localeCompare(b.name));
+}
+
+module.exports = { calculateShipping, listPickupStations };
@@ -0,0 +1,24 @@
+// services/storage/cloudinaryStorage.js
+const cloudinary = require('cloudinary').v2;
+
+/**
+ * Image storage backed by Cloudinary. Expects cloudinary.config() to have been
+ * called at startup (see index.js).
+ */
+function createCloudinaryStorage() {
+    return {
+        name: 'cloudinary',
+        async upload(file, { folder = 'product-images' } = {}) {
+            const result = await cloudinary.uploader.upload(
+                `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
+                { folder }
+            );
+            return { url: result.secure_url, publicId: result.public_id };
+        },
+        async remove(publicId) {
+            await cloudinary.uploader.destroy(publicId);
+        }
+    };
+}
+
+module.exports = { createCloudinaryStorage };
@@ -0,0 +1,56 @@
+// services/storage/index.js
+const { createCloudinaryStorage } = require('./cloudinaryStorage');
+const { createLocalDiskStorage } = require('./localDiskStorage');
+
+// A storage is any object with `async upload(file, { folder })` returning `{ url, publicId }`
+// and `async remove(publicId)`. `file` is a multer file (buffer + mimetype).
+// IMAGE_STORAGE=local selects the local-disk storage; Cloudinary is the default.
+let storage = null;
+
+function getImageStorage() {
+    if (!storage) {
+        storage = process.env.IMAGE_STORAGE === 'local' ? createLocalDiskStorage() : createCloudinaryStorage();
+    }
+    return storage;
+}
+
+function setImageStorage(newStorage) {
+    if (!newStorage || typeof newStorage.upload !== 'function' || typeof newStorage.remove !== 'function') {
+        throw new Error('Image storage must implement upload(file, options) and remove(publicId).');
+    }
+    storage = newStorage;
+}
+
+/**
+ * Upload several files. If any upload fails the ones that succeeded are removed again,
+ * so a half-finished request never leaves orphans behind.
+ * @returns {Promise<Array<{ url: string, publicId: string }>>} in the same order as `files`
+ */
+async function uploadImages(files, options) {
+    const results = await Promise.allSettled(files.map((file) => getImageStorage().upload(file, options)));
+    const failed = results.find((result) => result.status === 'rejected');
+    if (failed) {
+        const uploaded = results.filter((result) => result.status === 'fulfilled').map((result) => result.value.publicId);
+        await removeImages(uploaded);
+        throw failed.reason;
+    }
+    return results.map((result) => result.value);
+}
+
+// Best-effort delete; failures are logged, not thrown, because the database is already consistent
+async function removeImages(publicIds) {
+    const ids = publicIds.filter(Boolean);
+    const results = await Promise.allSettled(ids.map((publicId) => getImageStorage().remove(publicId)));
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Failed to delete stored image ${ids[index]}:`, result.reason);
+        }
+    });
+}
+
+module.exports = {
+    getImageStorage,
+    setImageStorage,
+    uploadImages,
+    removeImages
+};
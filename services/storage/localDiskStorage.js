@@ -0,0 +1,48 @@
+// services/storage/localDiskStorage.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+};
+
+/**
+ * Image storage that writes uploads to a local directory, for working offline
+ * and for tests. app.js serves the directory at /uploads when this storage is selected.
+ * @param {{ dir?: string, baseUrl?: string }} [options]
+ */
+function createLocalDiskStorage({
+    dir = process.env.IMAGE_STORAGE_DIR || path.join(process.cwd(), 'uploads'),
+    baseUrl = process.env.IMAGE_PUBLIC_BASE_URL || '/uploads'
+} = {}) {
+    // publicIds come back from the database, so never let one point outside `dir`
+    const resolve = (publicId) => {
+        const file = path.resolve(dir, publicId);
+        if (!file.startsWith(path.resolve(dir) + path.sep)) {
+            throw new Error(`Invalid image id: ${publicId}`);
+        }
+        return file;
+    };
+
+    return {
+        name: 'local',
+        dir,
+        async upload(file, { folder = 'product-images' } = {}) {
+            const id = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+            const publicId = `${folder}/${id}${EXTENSIONS[file.mimetype] || ''}`;
+            const target = resolve(publicId);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, file.buffer);
+            return { url: `${baseUrl.replace(/\/$/, '')}/${publicId}`, publicId };
+        },
+        async remove(publicId) {
+            await fs.rm(resolve(publicId), { force: true });
+        }
+    };
+}
+
+module.exports = { createLocalDiskStorage };
@@ -0,0 +1,113 @@
+// services/wishlistService.js
+const Wishlist = require('../models/WishlistModel');
+const Product = require('../models/ProductModel');
+const { resolveVariant, addItemToCart } = require('./cartService');
+const { sendBackInStockEmail } = require('./mail');
+const { AppError } = require('../utils/errors');
+
+// Fields of a product shown with each wishlist item
+const WISHLIST_PRODUCT_FIELDS = 'name price imageUrl quantity size color variants';
+
+/**
+ * Save a product (and optionally a variant) to the user's wishlist; saving it again is a no-op.
+ * `notifyWhenInStock` is only kept when the item is currently out of stock.
+ * Throws an AppError on bad input.
+ * @param {string} userId
+ * @param {{ productId: string, variantId?: string, sku?: string, notifyWhenInStock?: boolean }} item
+ * @returns {Promise<Object>} the wishlist
+ */
+async function addWishlistItem(userId, { productId, variantId, sku, notifyWhenInStock }) {
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new AppError(404, 'Product not found.');
+    }
+    // Unlike the cart, the size/colour may be picked later
+    const variant = variantId || sku ? resolveVariant(product, { variantId, sku }) : null;
+    const lineVariantId = variant ? variant._id : null;
+
+    const wishlist = await Wishlist.findOne({ user: userId }) || new Wishlist({ user: userId, items: [] });
+    let item = wishlist.findItem(product._id, lineVariantId);
+    if (!item) {
+        wishlist.items.push({ productId: product._id, variantId: lineVariantId });
+        item = wishlist.items[wishlist.items.length - 1];
+    }
+    if (notifyWhenInStock !== undefined) {
+        item.notifyWhenInStock = Boolean(notifyWhenInStock) && product.stockFor(variant) < 1;
+    }
+    await wishlist.save();
+    return wishlist;
+}
+
+/**
+ * Move a wishlist item into the user's cart with the same stock checks as adding to the cart,
+ * then take it off the wishlist. Throws an AppError when it cannot be added.
+ * @returns {Promise<{ cart: Object, wishlist: Object }>}
+ */
+async function moveWishlistItemToCart(userId, itemId, { variantId, sku, quantity = 1 } = {}) {
+    const wishlist = await Wishlist.findOne({ user: userId });
+    const item = wishlist && wishlist.items.id(itemId);
+    if (!item) {
+        throw new AppError(404, 'Wishlist item not found.');
+    }
+
+    // An item saved without a size/colour needs one now
+    const cart = await addItemToCart({ user: userId }, {
+        productId: item.productId.toString(),
+        variantId: item.variantId ? item.variantId.toString() : variantId,
+        sku: item.variantId ? undefined : sku,
+        quantity
+    });
+
+    item.deleteOne();
+    await wishlist.save();
+    return { cart, wishlist };
+}
+
+/**
+ * Email everyone waiting on a product that is back in stock, once per wishlist item.
+ * Items whose variant is still sold out keep waiting. Failed emails are logged and retried on the next restock.
+ * @param {string} productId
+ * @returns {Promise<number>} number of notifications sent
+ */
+async function notifyBackInStock(productId) {
+    const product = await Product.findById(productId);
+    if (!product || product.quantity < 1) {
+        return 0;
+    }
+
+    const wishlists = await Wishlist.find({
+        items: { $elemMatch: { productId: product._id, notifyWhenInStock: true } }
+    }).populate('user', 'email fullname username');
+
+    let sent = 0;
+    for (const wishlist of wishlists) {
+        const waiting = wishlist.items.filter((item) => item.notifyWhenInStock
+            && item.productId.toString() === product._id.toString());
+        for (const item of waiting) {
+            const variant = item.variantId ? product.findVariant({ variantId: item.variantId }) : null;
+            if ((item.variantId && !variant) || product.stockFor(variant) < 1 || !wishlist.user) {
+                continue;
+            }
+            try {
+                await sendBackInStockEmail(wishlist.user, product, variant);
+            } catch (error) {
+                console.error(`Failed to send back-in-stock email for wishlist ${wishlist._id}:`, error);
+                continue;
+            }
+            item.notifyWhenInStock = false;
+            item.notifiedAt = new Date();
+            sent += 1;
+        }
+        if (wishlist.isModified()) {
+            await wishlist.save();
+        }
+    }
+    return sent;
+}
+
+module.exports = {
+    WISHLIST_PRODUCT_FIELDS,
+    addWishlistItem,
+    moveWishlistItemToCart,
+    notifyBackInStock
+};
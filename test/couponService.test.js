@@ -0,0 +1,123 @@
+// test/couponService.test.js
+// evaluateCoupon without a database: the Order and Category queries it makes are mocked.
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Coupon = require('../models/CouponModel');
+const Category = require('../models/CategoryModel');
+const Order = require('../models/OdersModel');
+const { evaluateCoupon } = require('../services/couponService');
+
+const id = () => new mongoose.Types.ObjectId();
+const newCoupon = (fields) => new Coupon({ code: 'SAVE', ...fields });
+
+// A belt (1000 x 2) and a bag (5000 x 1): subtotal 7000
+const belt = { productId: id(), categoryId: id(), price: 1000, quantity: 2 };
+const bag = { productId: id(), categoryId: id(), price: 5000, quantity: 1 };
+const lines = [belt, bag];
+
+// Replace Order.countDocuments(...).session(...) and record the filter it was given
+function mockRedemptions(count) {
+    const calls = [];
+    mock.method(Order, 'countDocuments', (filter) => {
+        calls.push(filter);
+        return { session: async () => count };
+    });
+    return calls;
+}
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a percentage coupon takes its share of the subtotal, capped by maxDiscount', async () => {
+    const uncapped = await evaluateCoupon(newCoupon({ type: 'percentage', value: 12.5 }), { lines });
+    assert.equal(uncapped.amount, 875);
+    assert.equal(uncapped.code, 'SAVE');
+
+    const capped = await evaluateCoupon(newCoupon({ type: 'percentage', value: 50, maxDiscount: 2000 }), { lines });
+    assert.equal(capped.amount, 2000);
+});
+
+test('amounts are rounded to cents', async () => {
+    const discount = await evaluateCoupon(newCoupon({ type: 'percentage', value: 33 }), {
+        lines: [{ productId: id(), price: 99.99, quantity: 1 }]
+    });
+    assert.equal(discount.amount, 33);
+});
+
+test('a fixed coupon never takes off more than the eligible items cost', async () => {
+    assert.equal((await evaluateCoupon(newCoupon({ type: 'fixed', value: 500 }), { lines })).amount, 500);
+    assert.equal((await evaluateCoupon(newCoupon({ type: 'fixed', value: 9000 }), { lines })).amount, 7000);
+});
+
+test('a free shipping coupon takes off the shipping cost', async () => {
+    const coupon = newCoupon({ type: 'free_shipping' });
+    assert.equal((await evaluateCoupon(coupon, { lines, shippingCost: 350 })).amount, 350);
+    assert.equal((await evaluateCoupon(coupon, { lines })).amount, 0);
+});
+
+test('a restricted coupon only discounts matching products and categories', async () => {
+    mock.method(Category, 'find', () => ({
+        select: () => ({ session: async () => [{ _id: bag.categoryId }] })
+    }));
+
+    const byProduct = newCoupon({ type: 'percentage', value: 10, productIds: [belt.productId] });
+    assert.equal((await evaluateCoupon(byProduct, { lines })).amount, 200);
+
+    const byCategory = newCoupon({ type: 'fixed', value: 9000, categoryIds: [bag.categoryId] });
+    assert.equal((await evaluateCoupon(byCategory, { lines })).amount, 5000);
+
+    const noMatch = newCoupon({ type: 'fixed', value: 100, productIds: [id()] });
+    await assert.rejects(evaluateCoupon(noMatch, { lines }), { status: 400, message: /does not apply/ });
+});
+
+test('inactive, not yet valid, expired and used up coupons are refused', async () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    const cases = [
+        [{ isActive: false }, /no longer active/],
+        [{ startsAt: new Date('2026-07-01T00:00:00Z') }, /not valid yet/],
+        [{ expiresAt: now }, /has expired/],
+        [{ usageLimit: 5, usedCount: 5 }, /fully redeemed/],
+        [{ minimumSpend: 7001 }, /minimum spend of KES 7001/]
+    ];
+    for (const [fields, message] of cases) {
+        const coupon = newCoupon({ type: 'fixed', value: 100, ...fields });
+        await assert.rejects(evaluateCoupon(coupon, { lines, now }), { status: 400, message });
+    }
+});
+
+test('usageLimitPerUser counts the non-cancelled orders of a signed-in customer', async () => {
+    const userId = id();
+    const coupon = newCoupon({ type: 'fixed', value: 100, usageLimitPerUser: 2 });
+
+    const calls = mockRedemptions(1);
+    assert.equal((await evaluateCoupon(coupon, { lines, userId })).amount, 100);
+    assert.deepEqual(calls[0], { userId, 'discount.couponId': coupon._id, orderStatus: { $ne: 'Cancelled' } });
+
+    mock.restoreAll();
+    mockRedemptions(2);
+    await assert.rejects(evaluateCoupon(coupon, { lines, userId }), { status: 400, message: /already used/ });
+});
+
+test('usageLimitPerUser counts guest orders by shipping email or phone', async () => {
+    const coupon = newCoupon({ type: 'fixed', value: 100, usageLimitPerUser: 1 });
+    const calls = mockRedemptions(1);
+
+    await assert.rejects(
+        evaluateCoupon(coupon, { lines, guest: { email: ' Shopper@Example.com ', phone: '0712345678' } }),
+        { status: 400, message: /already used/ }
+    );
+    assert.deepEqual(calls[0].$or, [
+        { 'shippingInfo.email': 'shopper@example.com' },
+        { 'shippingInfo.phone': '0712345678' }
+    ]);
+});
+
+test('without a customer the per-customer limit is left to checkout', async () => {
+    const calls = mockRedemptions(5);
+    const coupon = newCoupon({ type: 'fixed', value: 100, usageLimitPerUser: 1 });
+    assert.equal((await evaluateCoupon(coupon, { lines })).amount, 100);
+    assert.equal(calls.length, 0);
+});
@@ -0,0 +1,85 @@
+// test/csv.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, toCsvRow, neutralizeFormula, restoreFormulaText } = require('../utils/csv');
+const { AppError } = require('../utils/errors');
+const { readImportFile } = require('../services/productImportService');
+
+test('parseCsv keys rows by the trimmed header row', () => {
+    const { headers, rows } = parseCsv(' sku ,name\nA1,Belt\nA2,Wallet\n');
+    assert.deepEqual(headers, ['sku', 'name']);
+    assert.deepEqual(rows, [{ sku: 'A1', name: 'Belt' }, { sku: 'A2', name: 'Wallet' }]);
+});
+
+test('parseCsv handles quoted fields, escaped quotes, CRLF and a byte order mark', () => {
+    const text = '\ufeffsku,description\r\nA1,"Brown, ""full grain""\r\nleather"\r\n';
+    const { headers, rows } = parseCsv(text);
+    assert.deepEqual(headers, ['sku', 'description']);
+    assert.deepEqual(rows, [{ sku: 'A1', description: 'Brown, "full grain"\r\nleather' }]);
+});
+
+test('parseCsv skips blank lines, fills missing cells and accepts a last line without a newline', () => {
+    const { rows, lines } = parseCsv('sku,name,color\n\nA1,Belt\n,,\nA2,Wallet,Black');
+    assert.deepEqual(rows, [
+        { sku: 'A1', name: 'Belt', color: '' },
+        { sku: 'A2', name: 'Wallet', color: 'Black' }
+    ]);
+    assert.deepEqual(lines, [3, 5]);
+});
+
+test('parseCsv reports the line each row starts on, counting lines inside quoted fields', () => {
+    const text = 'sku,description\r\n\r\nA1,"Soft\r\nbrown\nleather"\r\nA2,Plain\rA3,"x\ry"\nA4,Last';
+    const { rows, lines } = parseCsv(text);
+    assert.deepEqual(rows.map((row) => row.sku), ['A1', 'A2', 'A3', 'A4']);
+    assert.deepEqual(lines, [3, 6, 7, 9]);
+});
+
+test('parseCsv returns no headers for empty input and rejects an unterminated quote', () => {
+    assert.deepEqual(parseCsv(''), { headers: [], rows: [], lines: [] });
+    assert.throws(() => parseCsv('sku,name\nA1,"Belt\n'), (error) => {
+        assert.ok(error instanceof AppError);
+        assert.equal(error.status, 400);
+        assert.match(error.message, /line 2/);
+        return true;
+    });
+});
+
+test('toCsvRow quotes only values that need it and writes empty cells for null', () => {
+    assert.equal(toCsvRow(['A1', 'Belt, brown', 'say "hi"', 12.5, null, undefined]),
+        'A1,"Belt, brown","say ""hi""",12.5,,\r\n');
+});
+
+test('toCsvRow output parses back to the same values', () => {
+    const values = ['A1', 'Line one\nline two', '"quoted"', 'a,b'];
+    const { rows } = parseCsv(toCsvRow(['a', 'b', 'c', 'd']) + toCsvRow(values));
+    assert.deepEqual(Object.values(rows[0]), values);
+});
+
+test('neutralizeFormula prefixes text a spreadsheet would run, and restoreFormulaText undoes it', () => {
+    ['=SUM(A1:A2)', '+1', '-1', '@cmd', '\tx'].forEach((value) => {
+        assert.equal(neutralizeFormula(value), `'${value}`);
+        assert.equal(restoreFormulaText(neutralizeFormula(value)), value);
+    });
+    assert.equal(neutralizeFormula('Belt'), 'Belt');
+    assert.equal(neutralizeFormula(-1), -1);
+    assert.equal(neutralizeFormula(null), null);
+    assert.equal(restoreFormulaText("'Belt"), "'Belt");
+});
+
+test('readImportFile numbers CSV rows by line and JSON rows by position', () => {
+    const csv = readImportFile({ buffer: Buffer.from('sku,name\n\nA1,"Belt\nbrown"\nA2,Bag\n'), mimetype: 'text/csv', originalname: 'p.csv' });
+    assert.deepEqual(csv, { rows: [{ sku: 'A1', name: 'Belt\nbrown' }, { sku: 'A2', name: 'Bag' }], rowNumbers: [3, 5] });
+
+    const json = readImportFile({
+        buffer: Buffer.from('[{"sku":"A1","name":"Belt"}]'),
+        mimetype: 'application/json',
+        originalname: 'p.json'
+    });
+    assert.deepEqual(json, { rows: [{ sku: 'A1', name: 'Belt' }], rowNumbers: [1] });
+});
+
+test('readImportFile rejects unknown CSV columns', () => {
+    const file = { buffer: Buffer.from('sku,colour\nA1,Red\n'), mimetype: 'text/csv', originalname: 'p.csv' };
+    assert.throws(() => readImportFile(file), /Unknown CSV columns: colour/);
+});
@@ -0,0 +1,165 @@
+// test/mpesa.test.js
+// The Daraja client against the local sandbox (scripts/mpesaSandbox.js), reached through
+// MPESA_BASE_URL, plus the callback parsing and token check that decide whether a payment counts.
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { once } = require('node:events');
+
+const mpesa = require('../services/payments/mpesa');
+const { createMpesaSandbox } = require('../scripts/mpesaSandbox');
+
+const ENV_NAMES = [
+    'MPESA_BASE_URL', 'MPESA_CONSUMER_KEY', 'MPESA_CONSUMER_SECRET', 'MPESA_PASSKEY',
+    'MPESA_CALLBACK_URL', 'MPESA_CALLBACK_TOKEN', 'MPESA_ALLOW_UNSIGNED_CALLBACKS'
+];
+const savedEnv = {};
+
+let sandbox;
+let sandboxUrl;
+let callbackServer;
+let callbackUrl;
+let callbacks; // requests the sandbox posted to our callback URL, as { url, body }
+let callbackArrived;
+
+const listen = async (server) => {
+    server.listen(0);
+    await once(server, 'listening');
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+const successCallback = (checkoutRequestId) => ({
+    Body: {
+        stkCallback: {
+            MerchantRequestID: '29115-34620561-1',
+            CheckoutRequestID: checkoutRequestId,
+            ResultCode: 0,
+            ResultDesc: 'The service request is processed successfully.',
+            CallbackMetadata: {
+                Item: [
+                    { Name: 'Amount', Value: 1500 },
+                    { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+                    { Name: 'Balance' },
+                    { Name: 'TransactionDate', Value: 20261019102115 },
+                    { Name: 'PhoneNumber', Value: 254712345678 }
+                ]
+            }
+        }
+    }
+});
+
+before(async () => {
+    sandbox = http.createServer(createMpesaSandbox({ callbackDelayMs: 10 }));
+    callbackServer = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            callbacks.push({ url: req.url, body: JSON.parse(data) });
+            res.end('{}');
+            callbackArrived();
+        });
+    });
+    sandboxUrl = await listen(sandbox);
+    callbackUrl = `${await listen(callbackServer)}/api/payments/mpesa/callback`;
+});
+
+after(() => {
+    sandbox.close();
+    callbackServer.close();
+});
+
+beforeEach(() => {
+    ENV_NAMES.forEach((name) => {
+        savedEnv[name] = process.env[name];
+        delete process.env[name];
+    });
+    callbacks = [];
+});
+
+afterEach(() => {
+    ENV_NAMES.forEach((name) => {
+        if (savedEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = savedEnv[name];
+    });
+});
+
+test('an STK push goes to MPESA_BASE_URL and the callback comes back to the tokened URL', async () => {
+    Object.assign(process.env, {
+        MPESA_BASE_URL: sandboxUrl,
+        MPESA_CONSUMER_KEY: 'key',
+        MPESA_CONSUMER_SECRET: 'secret',
+        MPESA_PASSKEY: 'passkey',
+        MPESA_CALLBACK_URL: callbackUrl,
+        MPESA_CALLBACK_TOKEN: 's3cret token'
+    });
+    const arrived = new Promise((resolve) => {
+        callbackArrived = resolve;
+    });
+
+    const push = await mpesa.initiateStkPush({ phone: '0712 345 678', amount: 1499.5, accountReference: 'order-1234567890' });
+    assert.match(push.checkoutRequestId, /^ws_CO_/);
+    assert.equal(push.responseCode, '0');
+
+    await arrived;
+    const [{ url, body }] = callbacks;
+    assert.equal(new URL(url, 'http://localhost').searchParams.get('token'), 's3cret token');
+    const result = mpesa.parseStkCallback(body);
+    assert.equal(result.checkoutRequestId, push.checkoutRequestId);
+    assert.equal(result.resultCode, 0);
+    assert.equal(result.amount, 1500, 'M-Pesa is asked for whole shillings, rounded up');
+    assert.match(result.receiptNumber, /^[0-9A-F]{10}$/);
+});
+
+test('an STK push with a number that is not a Safaricom MSISDN is refused before calling Daraja', async () => {
+    await assert.rejects(mpesa.initiateStkPush({ phone: '12345', amount: 10, accountReference: 'x' }), { status: 400 });
+});
+
+test('normalizePhone accepts the usual Kenyan formats', () => {
+    ['0712345678', '712345678', '+254 712 345 678', '254112345678'].forEach((phone) => {
+        assert.match(mpesa.normalizePhone(phone), /^254[71]\d{8}$/, phone);
+    });
+    assert.equal(mpesa.normalizePhone('0812345678'), null);
+    assert.equal(mpesa.normalizePhone(undefined), null);
+});
+
+test('parseStkCallback flattens the metadata of a successful callback', () => {
+    assert.deepEqual(mpesa.parseStkCallback(successCallback('ws_CO_1')), {
+        merchantRequestId: '29115-34620561-1',
+        checkoutRequestId: 'ws_CO_1',
+        resultCode: 0,
+        resultDesc: 'The service request is processed successfully.',
+        amount: 1500,
+        receiptNumber: 'NLJ7RT61SV',
+        transactionDate: 20261019102115,
+        phoneNumber: 254712345678
+    });
+});
+
+test('parseStkCallback reads failures without metadata and rejects other payloads', () => {
+    const cancelled = mpesa.parseStkCallback({
+        Body: { stkCallback: { CheckoutRequestID: 'ws_CO_2', ResultCode: '1032', ResultDesc: 'Request cancelled by user' } }
+    });
+    assert.equal(cancelled.resultCode, 1032);
+    assert.equal(cancelled.receiptNumber, undefined);
+
+    [undefined, {}, { Body: {} }, { Body: { stkCallback: { ResultCode: 0 } } }].forEach((payload) => {
+        assert.equal(mpesa.parseStkCallback(payload), null);
+    });
+});
+
+test('callbacks need the configured token', () => {
+    process.env.MPESA_CALLBACK_TOKEN = 's3cret';
+    assert.equal(mpesa.isValidCallbackToken('s3cret'), true);
+    assert.equal(mpesa.isValidCallbackToken('s3cre'), false);
+    assert.equal(mpesa.isValidCallbackToken(undefined), false);
+    assert.equal(mpesa.isValidCallbackToken(['s3cret']), false);
+});
+
+test('without a token every callback is refused unless unsigned callbacks are allowed', () => {
+    assert.equal(mpesa.isValidCallbackToken(undefined), false);
+    assert.equal(mpesa.isValidCallbackToken('anything'), false);
+    process.env.MPESA_ALLOW_UNSIGNED_CALLBACKS = 'true';
+    assert.equal(mpesa.isValidCallbackToken(undefined), true);
+});
@@ -0,0 +1,171 @@
+// test/openapi.test.js
+// The API docs are generated from the route mount table, so these tests check them against the
+// live app instead: every route Express would dispatch to, found by walking app.router's stack
+// (mounted routers and routers nested inside them included), must be documented, and every
+// documented operation must reach a route.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+
+const app = require('../app');
+const { buildOpenApiSpec } = require('../utils/openapi');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+let server;
+let baseUrl;
+let spec;
+
+before(async () => {
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const response = await fetch(`${baseUrl}/api/docs/openapi.json`);
+    assert.equal(response.status, 200);
+    spec = await response.json();
+});
+
+after(() => {
+    server.close();
+});
+
+function documentedRoutes(document = spec) {
+    return Object.entries(document.paths).flatMap(([path, operations]) => Object.keys(operations)
+        .filter((method) => METHODS.includes(method))
+        .map((method) => ({ method, path })));
+}
+
+// The route that would handle `method` on `path`, found the way the router dispatches a request
+function resolveRoute(stack, path, method) {
+    for (const layer of stack) {
+        if (!layer.match(path)) continue;
+        if (layer.route) {
+            if (layer.route._handlesMethod(method)) return layer.route;
+        } else if (Array.isArray(layer.handle.stack)) {
+            const rest = path.slice(layer.path.length);
+            const route = resolveRoute(layer.handle.stack, rest.startsWith('/') ? rest : `/${rest}`, method);
+            if (route) return route;
+        }
+    }
+    return null;
+}
+
+// Every method of every route registered anywhere in `stack`, as { route, method }
+function liveRoutes(stack) {
+    return stack.flatMap((layer) => {
+        if (layer.route) {
+            return Object.keys(layer.route.methods).filter((method) => METHODS.includes(method))
+                .map((method) => ({ route: layer.route, method }));
+        }
+        return Array.isArray(layer.handle.stack) ? liveRoutes(layer.handle.stack) : [];
+    });
+}
+
+// A request URL for a documented path: '/api/orders/{id}' -> '/api/orders/sample'
+const samplePath = (path) => path.replace(/\{\w+\}/g, 'sample');
+
+/**
+ * Routes of `application` that no operation of `document` reaches, as "GET /path", where the
+ * path is the one the route was registered with inside its router. The welcome page is not API.
+ */
+function undocumentedRoutes(application, document) {
+    const stack = application.router.stack;
+    const documented = new Map();
+    documentedRoutes(document).forEach(({ method, path }) => {
+        const route = resolveRoute(stack, samplePath(path), method);
+        if (!route) return;
+        documented.set(route, [...(documented.get(route) || []), method]);
+    });
+    const welcome = resolveRoute(stack, '/', 'get');
+    return liveRoutes(stack)
+        .filter(({ route, method }) => route !== welcome && !(documented.get(route) || []).includes(method))
+        .map(({ route, method }) => `${method.toUpperCase()} ${route.path}`);
+}
+
+test('every route the app serves is in the OpenAPI spec', () => {
+    const missing = undocumentedRoutes(app, spec);
+    assert.deepEqual(missing, [], `Routes missing from the OpenAPI spec:\n${missing.join('\n')}`);
+});
+
+test('every documented operation is served by the app', () => {
+    const unserved = documentedRoutes()
+        .filter(({ method, path }) => !resolveRoute(app.router.stack, samplePath(path), method))
+        .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+    assert.deepEqual(unserved, []);
+});
+
+test('the coverage check catches routers missing from the mount table and nested routers', () => {
+    const handler = (req, res) => res.end();
+    const nested = express.Router();
+    nested.get('/items', handler);
+    const listed = express.Router();
+    listed.get('/', handler);
+    listed.use('/nested', nested);
+    const unlisted = express.Router();
+    unlisted.post('/ping', handler);
+
+    const miniApp = express();
+    miniApp.use('/api/listed', listed);
+    miniApp.use('/api/unlisted', unlisted);
+    const miniSpec = buildOpenApiSpec([{ path: '/api/listed', router: listed, tag: 'Listed' }]);
+
+    assert.deepEqual(undocumentedRoutes(miniApp, miniSpec), ['GET /items', 'POST /ping']);
+});
+
+test('the spec covers users, products, carts, orders and admin routes', () => {
+    const documented = documentedRoutes().map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+    ['POST /api/users', 'GET /api/products', 'POST /api/carts/{userId}/add', 'POST /api/orders', 'POST /api/admin/users']
+        .forEach((route) => assert.ok(documented.includes(route), `${route} is not documented`));
+});
+
+test('every path parameter is declared on its operations', () => {
+    Object.entries(spec.paths).forEach(([path, operations]) => {
+        const names = [...path.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+        Object.entries(operations).forEach(([method, operation]) => {
+            const declared = (operation.parameters || []).filter((param) => param.in === 'path').map((param) => param.name);
+            assert.deepEqual(declared.sort(), [...names].sort(), `${method.toUpperCase()} ${path}`);
+        });
+    });
+});
+
+test('request shapes come from the route validation rules', () => {
+    const order = spec.paths['/api/orders'].post;
+    const orderBody = order.requestBody.content['application/json'].schema;
+    assert.ok(orderBody.required.includes('products'));
+    assert.equal(orderBody.properties.products.type, 'array');
+    assert.ok(orderBody.properties.products.items.required.includes('productId'));
+    assert.deepEqual(order.security, [{ bearerAuth: [] }]);
+
+    const categoryUpdate = spec.paths['/api/categories/{id}'].patch;
+    assert.equal(categoryUpdate.requestBody.content['application/json'].schema.additionalProperties, false);
+    assert.deepEqual(categoryUpdate['x-permissions'], ['catalog:manage']);
+
+    const limit = spec.paths['/api/products'].get.parameters.find((param) => param.name === 'limit');
+    assert.deepEqual(limit.schema, { type: 'integer', minimum: 1, maximum: 100 });
+
+    const upload = spec.paths['/api/products/upload'].post;
+    assert.ok(upload.requestBody.content['multipart/form-data']);
+});
+
+test('operations document the error envelopes they can return', () => {
+    const responses = spec.paths['/api/orders/{id}'].get.responses;
+    ['400', '401', '403', '404'].forEach((status) => assert.ok(responses[status], `GET /api/orders/{id} has no ${status}`));
+    assert.equal(responses['404'].$ref, '#/components/responses/NotFound');
+    assert.equal(spec.paths['/api/products'].get.responses['401'], undefined);
+    assert.equal(spec.paths['/api/products'].get.responses['404'], undefined);
+
+    Object.values(spec.components.responses).forEach((response) => {
+        assert.deepEqual(response.content['application/json'].schema, { $ref: '#/components/schemas/Error' });
+    });
+    assert.deepEqual(spec.components.schemas.Error.required, ['error']);
+});
+
+test('the docs UI is served as a self-contained page', async () => {
+    const response = await fetch(`${baseUrl}/api/docs`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    const html = await response.text();
+    assert.match(html, /openapi\.json/);
+    assert.doesNotMatch(html, /<script[^>]+src=|<link[^>]+href=/, 'the docs page must not load external assets');
+});
@@ -0,0 +1,76 @@
+// test/orderService.test.js
+// Stock reservation without a database: Product queries are replaced with mocks, so these
+// tests check the conditional updates sent to MongoDB and how failures are reported.
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Product = require('../models/ProductModel');
+const { validateOrderItems, buildStockDecrement, reserveStock } = require('../services/orderService');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('validateOrderItems rejects empty lists, bad ids and bad quantities', () => {
+    const productId = id();
+    assert.throws(() => validateOrderItems([]), { status: 400, message: 'No order items' });
+    assert.throws(() => validateOrderItems([{ productId: 'nope', quantity: 1 }]), { status: 400 });
+    assert.throws(() => validateOrderItems([{ productId, variantId: 'nope', quantity: 1 }]), { status: 400 });
+    assert.throws(() => validateOrderItems([{ productId, quantity: 0 }]), { status: 400 });
+    assert.throws(() => validateOrderItems([{ productId, quantity: 1.5 }]), { status: 400 });
+    assert.doesNotThrow(() => validateOrderItems([{ productId, quantity: 2 }]));
+});
+
+test('buildStockDecrement only matches products with enough stock and no variants', () => {
+    const productId = id();
+    assert.deepEqual(buildStockDecrement({ productId, quantity: 3 }), {
+        filter: { _id: productId, quantity: { $gte: 3 }, 'variants.0': { $exists: false } },
+        update: { $inc: { quantity: -3 } }
+    });
+});
+
+test('buildStockDecrement decrements the variant and the product total together', () => {
+    const productId = id();
+    const variantId = id();
+    assert.deepEqual(buildStockDecrement({ productId, variantId, quantity: 2 }), {
+        filter: { _id: productId, variants: { $elemMatch: { _id: variantId, quantity: { $gte: 2 } } } },
+        update: { $inc: { 'variants.$.quantity': -2, quantity: -2 } }
+    });
+    assert.deepEqual(buildStockDecrement({ productId, sku: 'BOOT-42', quantity: 1 }).filter, {
+        _id: productId,
+        variants: { $elemMatch: { sku: 'BOOT-42', quantity: { $gte: 1 } } }
+    });
+});
+
+test('reserveStock reports every line it could not reserve, with the reason', async () => {
+    const inStock = new Product({ name: 'Belt', price: 1000, quantity: 9 });
+    const lowStock = new Product({ name: 'Bag', price: 5000, quantity: 1 });
+    const withVariants = new Product({ name: 'Boot', price: 8000, quantity: 4, variants: [{ sku: 'BOOT-42', quantity: 4 }] });
+    const missingId = id();
+    const byId = new Map([lowStock, withVariants].map((product) => [product._id.toString(), product]));
+
+    mock.method(Product, 'findOneAndUpdate', async (filter) => (String(filter._id) === inStock._id.toString() ? inStock : null));
+    mock.method(Product, 'findById', (productId) => ({ session: async () => byId.get(String(productId)) || null }));
+
+    const items = [
+        { productId: inStock._id.toString(), quantity: 2 },
+        { productId: lowStock._id.toString(), quantity: 3 },
+        { productId: withVariants._id.toString(), quantity: 1 },
+        { productId: withVariants._id.toString(), sku: 'BOOT-99', quantity: 1 },
+        { productId: missingId, quantity: 1 }
+    ];
+    const { reserved, unavailable } = await reserveStock(items, null);
+
+    assert.equal(reserved.length, 1);
+    assert.equal(reserved[0].product, inStock);
+    assert.deepEqual(unavailable.map((line) => [line.reason, line.available]), [
+        ['insufficient_stock', 1],
+        ['variant_required', 4],
+        ['variant_not_found', 0],
+        ['not_found', 0]
+    ]);
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), items.length, 'every line is attempted');
+});
@@ -0,0 +1,58 @@
+// test/orderStatus.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../models/OdersModel');
+
+const newOrder = (orderStatus) => new Order({ orderStatus, statusHistory: [] });
+
+test('the transition graph only moves orders forward, and Cancelled and Returned are final', () => {
+    assert.deepEqual(Order.ORDER_STATUS_TRANSITIONS, {
+        Pending: ['Processing', 'Cancelled'],
+        Processing: ['Shipped', 'Cancelled'],
+        Shipped: ['Delivered'],
+        Delivered: ['Returned'],
+        Cancelled: [],
+        Returned: []
+    });
+});
+
+test('canTransitionTo follows the graph for every pair of statuses', () => {
+    Order.ORDER_STATUSES.forEach((from) => {
+        Order.ORDER_STATUSES.forEach((to) => {
+            const allowed = Order.ORDER_STATUS_TRANSITIONS[from].includes(to);
+            assert.equal(newOrder(from).canTransitionTo(to), allowed, `${from} -> ${to}`);
+        });
+    });
+});
+
+test('transitionTo records who changed the status and when', () => {
+    const actor = { _id: new mongoose.Types.ObjectId() };
+    const order = newOrder('Pending');
+    order.transitionTo('Processing', { actor, role: 'admin', note: 'Packed' });
+
+    assert.equal(order.orderStatus, 'Processing');
+    const entry = order.statusHistory[order.statusHistory.length - 1];
+    assert.equal(entry.status, 'Processing');
+    assert.equal(entry.changedByRole, 'admin');
+    assert.equal(entry.note, 'Packed');
+    assert.ok(entry.changedBy.equals(actor._id));
+    assert.ok(entry.changedAt instanceof Date);
+});
+
+test('transitionTo sets deliveredAt on delivery', () => {
+    const order = newOrder('Shipped');
+    order.transitionTo('Delivered');
+    assert.ok(order.deliveredAt instanceof Date);
+    assert.equal(order.statusHistory[order.statusHistory.length - 1].changedByRole, 'system');
+});
+
+test('transitionTo rejects unknown statuses and moves the graph does not allow', () => {
+    assert.throws(() => newOrder('Pending').transitionTo('Lost'), { status: 400 });
+    assert.throws(() => newOrder('Pending').transitionTo('Delivered'), { status: 409 });
+    assert.throws(() => newOrder('Cancelled').transitionTo('Processing'), { status: 409 });
+    const order = newOrder('Delivered');
+    assert.throws(() => order.transitionTo('Shipped'), { status: 409 });
+    assert.equal(order.orderStatus, 'Delivered', 'a refused transition changes nothing');
+});
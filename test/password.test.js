@@ -0,0 +1,96 @@
+// test/password.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { isHashed, hashPassword, verifyPassword, validatePasswordStrength, passwordPlugin } = require('../utils/password');
+
+const POLICY = { minLength: 8, requireUppercase: true, requireLowercase: true, requireNumber: true, requireSymbol: false };
+
+test('hashPassword stores a salted scrypt hash', async () => {
+    const first = await hashPassword('Secret123');
+    const second = await hashPassword('Secret123');
+    assert.ok(isHashed(first));
+    assert.match(first, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(first, second, 'each hash has its own salt');
+});
+
+test('verifyPassword accepts the right password and rejects others', async () => {
+    const stored = await hashPassword('Secret123');
+    assert.deepEqual(await verifyPassword('Secret123', stored), { match: true, needsRehash: false });
+    assert.deepEqual(await verifyPassword('secret123', stored), { match: false, needsRehash: false });
+    assert.deepEqual(await verifyPassword(undefined, stored), { match: false, needsRehash: false });
+});
+
+test('verifyPassword matches legacy plaintext rows and asks for a rehash', async () => {
+    assert.deepEqual(await verifyPassword('plain-old', 'plain-old'), { match: true, needsRehash: true });
+    assert.deepEqual(await verifyPassword('plain-new', 'plain-old'), { match: false, needsRehash: false });
+});
+
+test('verifyPassword rejects malformed hashes', async () => {
+    assert.deepEqual(await verifyPassword('Secret123', 'scrypt$abc$def'), { match: false, needsRehash: false });
+});
+
+test('validatePasswordStrength lists every broken rule', () => {
+    assert.deepEqual(validatePasswordStrength('Secret123', POLICY), []);
+    assert.deepEqual(validatePasswordStrength('short', POLICY), [
+        'Password must be at least 8 characters long.',
+        'Password must contain an uppercase letter.',
+        'Password must contain a number.'
+    ]);
+    assert.deepEqual(validatePasswordStrength('Secret123', { ...POLICY, requireSymbol: true }), ['Password must contain a symbol.']);
+    assert.deepEqual(validatePasswordStrength(undefined, POLICY), ['Password is required.']);
+});
+
+// passwordPlugin on a schema of its own; its hooks are run directly, without a database
+const accountSchema = new mongoose.Schema({ password: String, passwordChangedAt: Date });
+accountSchema.plugin(passwordPlugin);
+const Account = mongoose.model('PasswordPluginAccount', accountSchema);
+
+const runPreHooks = (name, context) => new Promise((resolve, reject) => {
+    Account.schema.s.hooks.execPre(name, context, [], (error) => (error ? reject(error) : resolve()));
+});
+
+test('saving a new password hashes it and records the change', async () => {
+    const account = Account.hydrate({ _id: new mongoose.Types.ObjectId(), password: await hashPassword('Secret123') });
+    const before = Date.now();
+    account.password = 'Changed123';
+    await runPreHooks('save', account);
+    assert.ok(isHashed(account.password));
+    assert.ok(account.passwordChangedAt.getTime() < before, 'back-dated so tokens issued right after stay valid');
+    assert.ok(account.passwordChangedAt.getTime() >= before - 2000);
+});
+
+test('creating an account or saving other fields does not record a password change', async () => {
+    const created = new Account({ password: 'Secret123' });
+    await runPreHooks('save', created);
+    assert.ok(isHashed(created.password));
+    assert.equal(created.passwordChangedAt, undefined);
+
+    const existing = Account.hydrate({ _id: new mongoose.Types.ObjectId(), password: await hashPassword('Secret123') });
+    await runPreHooks('save', existing);
+    assert.equal(existing.passwordChangedAt, undefined);
+});
+
+test('findOneAndUpdate with a password hashes it and records the change', async () => {
+    for (const update of [{ password: 'Changed123' }, { $set: { password: 'Changed123' } }]) {
+        const query = Account.findOneAndUpdate({}, update);
+        await runPreHooks('findOneAndUpdate', query);
+        const { password, $set } = query.getUpdate();
+        assert.ok(isHashed(password || $set.password));
+        assert.ok($set.passwordChangedAt instanceof Date);
+    }
+    const query = Account.findOneAndUpdate({}, { fullname: 'Jane' });
+    await runPreHooks('findOneAndUpdate', query);
+    assert.equal((query.getUpdate().$set || {}).passwordChangedAt, undefined);
+});
+
+test('upgrading a legacy plaintext password keeps existing sessions', async () => {
+    const account = Account.hydrate({ _id: new mongoose.Types.ObjectId(), password: 'Secret123' });
+    account.save = async function () {
+        await runPreHooks('save', this);
+    };
+    assert.equal(await account.comparePassword('Secret123'), true);
+    assert.ok(isHashed(account.password));
+    assert.equal(account.passwordChangedAt, undefined);
+});
@@ -0,0 +1,140 @@
+// test/paymentService.test.js
+// Settling M-Pesa callbacks without a database: Payment and Order queries run against small
+// in-memory stand-ins that apply the same conditional filters MongoDB would.
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../models/OdersModel');
+const Payment = require('../models/PaymentModel');
+const { handleMpesaCallback } = require('../services/paymentService');
+
+let payments; // ledger entries, plain objects
+let order; // the one Order document the payments belong to
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$nin) return !condition.$nin.includes(doc[field]);
+    return String(doc[field]) === String(condition);
+});
+
+function apply(doc, update) {
+    Object.assign(doc, update.$set || {});
+    Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+        doc[field] = (doc[field] || 0) + amount;
+    });
+}
+
+const callback = (checkoutRequestId, resultCode = 0) => ({
+    Body: {
+        stkCallback: {
+            MerchantRequestID: 'm-1',
+            CheckoutRequestID: checkoutRequestId,
+            ResultCode: resultCode,
+            ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+            CallbackMetadata: resultCode === 0
+                ? { Item: [{ Name: 'Amount', Value: 2500 }, { Name: 'MpesaReceiptNumber', Value: `R${checkoutRequestId}` }] }
+                : undefined
+        }
+    }
+});
+
+const pendingPush = (checkoutRequestId) => {
+    payments.push({ _id: new mongoose.Types.ObjectId(), orderId: order._id, type: 'payment', provider: 'mpesa', amount: 2500, status: 'Pending', checkoutRequestId });
+};
+
+beforeEach(() => {
+    payments = [];
+    order = new Order({ paymentMethod: 'mpesa', paymentStatus: 'Pending', orderStatus: 'Pending', totalAmount: 2500 });
+
+    mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+        const payment = payments.find((entry) => matches(entry, filter));
+        if (!payment) return null;
+        apply(payment, update);
+        return { ...payment };
+    });
+    mock.method(Payment, 'find', (filter) => ({
+        select: () => ({ session: async () => payments.filter((entry) => matches(entry, filter)) })
+    }));
+    mock.method(Payment, 'create', async (entries) => {
+        entries.forEach((entry) => payments.push({ _id: new mongoose.Types.ObjectId(), ...entry }));
+        return entries;
+    });
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        if (!matches(order, filter)) return null;
+        order.set(update.$set);
+        return order;
+    });
+    mock.method(Order, 'findById', () => ({ session: async () => order }));
+    mock.method(order, 'save', async () => order);
+    // runInTransaction without a replica set: run the work once
+    mock.method(mongoose, 'startSession', async () => ({
+        withTransaction: async (work) => work(),
+        endSession: async () => {}
+    }));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a successful callback settles the payment and marks the order Paid', async () => {
+    pendingPush('ws_1');
+    const { payment, duplicate } = await handleMpesaCallback(callback('ws_1'));
+    assert.equal(duplicate, false);
+    assert.equal(payment.status, 'Success');
+    assert.equal(payment.receiptNumber, 'Rws_1');
+    assert.equal(order.paymentStatus, 'Paid');
+    assert.equal(order.transactionId, 'Rws_1');
+});
+
+test('the same callback delivered twice is only applied once', async () => {
+    pendingPush('ws_1');
+    await handleMpesaCallback(callback('ws_1'));
+    order.paymentStatus = 'Pending'; // would be set to Paid again if the repeat were applied
+
+    const repeat = await handleMpesaCallback(callback('ws_1'));
+    assert.equal(repeat.duplicate, true);
+    assert.equal(repeat.order, null);
+    assert.equal(repeat.payment.duplicateCallbacks, 1);
+    assert.equal(order.paymentStatus, 'Pending');
+    assert.equal(payments.filter((entry) => entry.status === 'Success').length, 1);
+});
+
+test('a failed callback never overrides an order another attempt already paid', async () => {
+    pendingPush('ws_paid');
+    pendingPush('ws_cancelled');
+    await handleMpesaCallback(callback('ws_paid'));
+
+    const { payment, order: updated } = await handleMpesaCallback(callback('ws_cancelled', 1032));
+    assert.equal(payment.status, 'Failed');
+    assert.equal(updated, null);
+    assert.equal(order.paymentStatus, 'Paid');
+});
+
+test('a failed callback marks an unpaid order Failed', async () => {
+    pendingPush('ws_1');
+    await handleMpesaCallback(callback('ws_1', 1032));
+    assert.equal(order.paymentStatus, 'Failed');
+});
+
+test('a payment arriving after the order was cancelled is kept in the ledger and refunded', async () => {
+    pendingPush('ws_late');
+    order.orderStatus = 'Cancelled';
+
+    const { payment, order: updated } = await handleMpesaCallback(callback('ws_late'));
+    assert.equal(payment.status, 'Success');
+    assert.equal(updated, order);
+    assert.equal(order.paymentStatus, 'Refunded');
+    assert.ok(order.refundedAt instanceof Date);
+    assert.equal(order.save.mock.callCount(), 1);
+
+    const refund = payments.find((entry) => entry.type === 'refund');
+    assert.equal(refund.amount, 2500);
+    assert.equal(refund.status, 'Success');
+    assert.match(refund.note, /Rws_late arrived after the order was cancelled/);
+});
+
+test('unknown checkout requests and malformed payloads are reported', async () => {
+    assert.equal(await handleMpesaCallback(callback('ws_unknown')), null);
+    await assert.rejects(handleMpesaCallback({ Body: {} }), { status: 400 });
+});
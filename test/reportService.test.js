@@ -0,0 +1,78 @@
+// test/reportService.test.js
+// parseDateRange resolves plain dates in REPORT_TIMEZONE (Africa/Nairobi, UTC+3, by default);
+// the sales reports run against a mocked Order.aggregate that records the pipelines it was given.
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Order = require('../models/OdersModel');
+const { parseDateRange, getSalesSummary, getRevenueSeries, getPaymentMethodMix } = require('../services/reportService');
+
+// Replace Order.aggregate so it resolves to `result`; returns the pipelines it was called with
+function mockAggregate(result) {
+    const pipelines = [];
+    mock.method(Order, 'aggregate', async (pipeline) => {
+        pipelines.push(pipeline);
+        return result;
+    });
+    return pipelines;
+}
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('plain dates cover whole days in the report timezone', () => {
+    const { from, to } = parseDateRange({ from: '2026-10-01', to: '2026-10-31' });
+    assert.equal(from.toISOString(), '2026-09-30T21:00:00.000Z');
+    assert.equal(to.toISOString(), '2026-10-31T20:59:59.999Z');
+
+    const oneDay = parseDateRange({ from: '2026-10-01', to: '2026-10-01' });
+    assert.equal(oneDay.to - oneDay.from, 24 * 60 * 60 * 1000 - 1);
+});
+
+test('full timestamps are taken as given', () => {
+    const { from, to } = parseDateRange({ from: '2026-10-01T05:00:00Z', to: '2026-10-02T05:00:00+03:00' });
+    assert.equal(from.toISOString(), '2026-10-01T05:00:00.000Z');
+    assert.equal(to.toISOString(), '2026-10-02T02:00:00.000Z');
+});
+
+test('without a from the range covers the 30 days before to', () => {
+    const { from, to } = parseDateRange({ to: '2026-10-31' });
+    assert.equal(to - from, 30 * 24 * 60 * 60 * 1000);
+});
+
+test('invalid dates and reversed ranges are refused', () => {
+    assert.throws(() => parseDateRange({ from: 'soon' }), { status: 400, message: 'from must be a valid date.' });
+    assert.throws(() => parseDateRange({ to: '2026-13-45' }), { status: 400, message: 'to must be a valid date.' });
+    assert.throws(() => parseDateRange({ from: '2026-10-02', to: '2026-10-01' }), { status: 400, message: 'from must be before to.' });
+});
+
+test('revenue reports only count paid orders that were not cancelled or returned', async () => {
+    const range = parseDateRange({ from: '2026-10-01', to: '2026-10-31' });
+    const pipelines = mockAggregate([]);
+    await getRevenueSeries(range, 'week');
+    await getPaymentMethodMix(range);
+    pipelines.forEach(([{ $match }]) => {
+        assert.equal($match.paymentStatus, 'Paid');
+        assert.deepEqual($match.orderStatus, { $nin: ['Cancelled', 'Returned'] });
+    });
+});
+
+test('the summary reports unpaid orders next to revenue', async () => {
+    mockAggregate([{
+        orders: 5, cancelled: 1, returned: 0, delivered: 2, soldOrders: 2, revenue: 3000.5, discounts: 100, shipping: 400,
+        unpaidOrders: 2, unpaidAmount: 1800
+    }]);
+    const summary = await getSalesSummary(parseDateRange({}));
+    assert.equal(summary.revenue, 3000.5);
+    assert.equal(summary.averageOrderValue, 1500.25);
+    assert.equal(summary.unpaidOrders, 2);
+    assert.equal(summary.unpaidAmount, 1800);
+    assert.equal(summary.cancellationRate, 0.2);
+
+    mock.restoreAll();
+    mockAggregate([]);
+    const empty = await getSalesSummary(parseDateRange({}));
+    assert.equal(empty.unpaidAmount, 0);
+    assert.equal(empty.averageOrderValue, 0);
+});
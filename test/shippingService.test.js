@@ -0,0 +1,120 @@
+// test/shippingService.test.js
+// calculateShipping without a database: ShippingZone.findForCounty is mocked to return an unsaved zone.
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ShippingZone = require('../models/ShippingZoneModel');
+const { calculateShipping } = require('../services/shippingService');
+
+const ENV_NAMES = ['SHIPPING_DEFAULT_RATE', 'FREE_SHIPPING_THRESHOLD'];
+const savedEnv = {};
+
+const nairobi = () => new ShippingZone({
+    name: 'Nairobi Metro',
+    counties: ['Nairobi', 'Kiambu'],
+    baseRate: 200,
+    tiers: [
+        { minItems: 5, surcharge: 100 },
+        { minWeightKg: 10, surcharge: 250 }
+    ],
+    pickupStations: [
+        { name: 'CBD Hub', county: 'Nairobi', address: 'Moi Avenue', fee: 50 },
+        { name: 'Thika Road', county: 'Kiambu', fee: 0 },
+        { name: 'Closed Depot', county: 'Nairobi', isActive: false }
+    ]
+});
+
+// Replace ShippingZone.findForCounty(...).session(...) with a lookup that returns `zone`
+function mockZone(zone) {
+    mock.method(ShippingZone, 'findForCounty', () => ({ session: async () => zone }));
+}
+
+beforeEach(() => {
+    ENV_NAMES.forEach((name) => {
+        savedEnv[name] = process.env[name];
+        delete process.env[name];
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    ENV_NAMES.forEach((name) => {
+        if (savedEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = savedEnv[name];
+    });
+});
+
+test('a small order pays the zone base rate plus the pickup station fee', async () => {
+    mockZone(nairobi());
+    const shipping = await calculateShipping({
+        county: 'nairobi',
+        pickupStation: 'cbd hub',
+        lines: [{ quantity: 2, weightKg: 0.5 }],
+        subtotal: 3000
+    });
+    assert.equal(shipping.cost, 250);
+    assert.equal(shipping.zone, 'Nairobi Metro');
+    assert.deepEqual(shipping.pickupStation, { name: 'CBD Hub', county: 'Nairobi', address: 'Moi Avenue' });
+    assert.equal(shipping.itemCount, 2);
+    assert.equal(shipping.weightKg, 1);
+    assert.deepEqual(shipping.breakdown, {
+        baseRate: 200, tierSurcharge: 0, stationFee: 50, freeShipping: false, freeShippingThreshold: null
+    });
+});
+
+test('only the highest tier the order reaches is added, by item count or weight', async () => {
+    mockZone(nairobi());
+    const byItems = await calculateShipping({ county: 'Nairobi', lines: [{ quantity: 5, weightKg: 0.2 }], subtotal: 100 });
+    assert.equal(byItems.breakdown.tierSurcharge, 100);
+    assert.equal(byItems.cost, 300);
+
+    // Products without weightKg count as 1 kg each
+    const byBoth = await calculateShipping({ county: 'Nairobi', lines: [{ quantity: 6 }, { quantity: 1, weightKg: 4 }], subtotal: 100 });
+    assert.equal(byBoth.weightKg, 10);
+    assert.equal(byBoth.breakdown.tierSurcharge, 250);
+    assert.equal(byBoth.cost, 450);
+});
+
+test('orders reaching the free shipping threshold ship free, the zone threshold winning over the environment', async () => {
+    process.env.FREE_SHIPPING_THRESHOLD = '5000';
+    mockZone(nairobi());
+    const lines = [{ quantity: 1, weightKg: 1 }];
+    assert.equal((await calculateShipping({ county: 'Nairobi', lines, subtotal: 4999 })).cost, 200);
+    const free = await calculateShipping({ county: 'Nairobi', lines, subtotal: 5000 });
+    assert.equal(free.cost, 0);
+    assert.equal(free.breakdown.freeShipping, true);
+
+    const zone = nairobi();
+    zone.freeShippingThreshold = 10000;
+    mock.restoreAll();
+    mockZone(zone);
+    assert.equal((await calculateShipping({ county: 'Nairobi', lines, subtotal: 5000 })).cost, 200);
+});
+
+test('unknown, inactive or foreign pickup stations are refused, and checkout requires one', async () => {
+    mockZone(nairobi());
+    const lines = [{ quantity: 1 }];
+    await assert.rejects(calculateShipping({ county: 'Nairobi', pickupStation: 'Nowhere', lines, subtotal: 0 }), { status: 400 });
+    await assert.rejects(calculateShipping({ county: 'Nairobi', pickupStation: 'Closed Depot', lines, subtotal: 0 }), { status: 400 });
+    await assert.rejects(calculateShipping({ county: 'Nairobi', pickupStation: 'Thika Road', lines, subtotal: 0 }), { status: 400 });
+    await assert.rejects(
+        calculateShipping({ county: 'Nairobi', lines, subtotal: 0, requireStation: true }),
+        { status: 400, message: 'Please choose a pickup station.' }
+    );
+});
+
+test('counties without a zone are refused unless SHIPPING_DEFAULT_RATE is set', async () => {
+    mockZone(null);
+    const lines = [{ quantity: 1 }];
+    await assert.rejects(calculateShipping({ county: 'Turkana', lines, subtotal: 0 }), { status: 400, message: 'We do not deliver to Turkana yet.' });
+
+    process.env.SHIPPING_DEFAULT_RATE = '600';
+    const shipping = await calculateShipping({ county: 'Turkana', pickupStation: 'Lodwar', lines, subtotal: 0 });
+    assert.equal(shipping.cost, 600);
+    assert.equal(shipping.zone, null);
+    assert.deepEqual(shipping.pickupStation, { name: 'Lodwar', county: 'Turkana' });
+});
+
+test('a county is required', async () => {
+    await assert.rejects(calculateShipping({ county: '  ', lines: [], subtotal: 0 }), { status: 400 });
+});
@@ -0,0 +1,187 @@
+// test/validate.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { validate, validateValues, validateObjectIds, paginationQuery } = require('../middleware/validate');
+
+// Just enough of an Express request: validate() reads params, query, body and req.is()
+function fakeRequest({ params = {}, query = {}, body, json = true } = {}) {
+    return { params, query, body, is: (type) => (json && type === 'application/json' ? type : false) };
+}
+
+// Run a validate() middleware; returns the details of the VALIDATION_ERROR, or [] when next() was called
+function run(middleware, request) {
+    let passed = false;
+    try {
+        middleware(fakeRequest(request), {}, () => {
+            passed = true;
+        });
+    } catch (error) {
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        return error.details;
+    }
+    assert.ok(passed, 'next() was not called');
+    return [];
+}
+
+test('valid requests reach next()', () => {
+    const middleware = validate({
+        params: { id: { type: 'objectId', required: true } },
+        body: {
+            name: { type: 'string', required: true, minLength: 2 },
+            price: { type: 'number', min: 0 },
+            email: { type: 'email' },
+            startsAt: { type: 'date' }
+        }
+    });
+    const details = run(middleware, {
+        params: { id: new mongoose.Types.ObjectId().toString() },
+        body: { name: 'Belt', price: 0, email: 'a@b.co', startsAt: '2026-01-01' }
+    });
+    assert.deepEqual(details, []);
+});
+
+test('every offending field is reported with its location', () => {
+    const middleware = validate({
+        params: { id: { type: 'objectId', required: true } },
+        query: { page: { type: 'integer', min: 1 } },
+        body: {
+            name: { type: 'string', required: true },
+            status: { type: 'string', enum: ['Pending', 'Shipped'] },
+            email: { type: 'email' }
+        }
+    });
+    const details = run(middleware, {
+        params: { id: 'nope' },
+        query: { page: '0' },
+        body: { name: '', status: 'Lost', email: 'not-an-email' }
+    });
+    assert.deepEqual(details, [
+        { location: 'params', field: 'id', message: 'must be a valid id' },
+        { location: 'query', field: 'page', message: 'must be at least 1' },
+        { location: 'body', field: 'name', message: 'is required' },
+        { location: 'body', field: 'status', message: 'must be one of: Pending, Shipped' },
+        { location: 'body', field: 'email', message: 'must be a valid email address' }
+    ]);
+});
+
+test('the error message summarises the problems', () => {
+    const middleware = validate({ body: { name: { type: 'string', required: true } } });
+    assert.throws(() => middleware(fakeRequest({ body: {} }), {}, () => {}), {
+        message: 'Invalid request: name is required.'
+    });
+});
+
+test('JSON bodies must send real numbers and booleans, other locations are parsed', () => {
+    const rules = { count: { type: 'integer' }, active: { type: 'boolean' } };
+    const details = run(validate({ body: rules }), { body: { count: '3', active: 'true' } });
+    assert.deepEqual(details.map((detail) => detail.message), ['must be a number', 'must be true or false']);
+
+    assert.deepEqual(run(validate({ body: rules }), { body: { count: '3', active: 'true' }, json: false }), []);
+    assert.deepEqual(run(validate({ query: rules }), { query: { count: '3', active: 'false' } }), []);
+    assert.deepEqual(run(validate({ query: rules }), { query: { count: '3.5' } }), [
+        { location: 'query', field: 'count', message: 'must be an integer' }
+    ]);
+});
+
+test('string and array lengths, patterns and number bounds are enforced', () => {
+    const middleware = validate({
+        body: {
+            code: { type: 'string', pattern: /^[A-Z]+$/, maxLength: 4 },
+            note: { type: 'string', minLength: 3 },
+            tags: { type: 'array', minLength: 1, maxLength: 2 },
+            rating: { type: 'number', max: 5 }
+        }
+    });
+    const details = run(middleware, { body: { code: 'ABCDE', note: '  a  ', tags: [], rating: 6 } });
+    assert.deepEqual(details.map((detail) => `${detail.field} ${detail.message}`), [
+        'code must be at most 4 characters',
+        'note must be at least 3 characters',
+        'tags must contain at least 1 item(s)',
+        'rating must be at most 5'
+    ]);
+    assert.deepEqual(run(middleware, { body: { code: 'abc' } }), [
+        { location: 'body', field: 'code', message: 'has an invalid format' }
+    ]);
+});
+
+test('array items and object properties are checked with their path', () => {
+    const middleware = validate({
+        body: {
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        productId: { type: 'objectId', required: true },
+                        quantity: { type: 'integer', min: 1 }
+                    }
+                }
+            },
+            shippingInfo: { type: 'object', properties: { county: { type: 'string', required: true } } }
+        }
+    });
+    const details = run(middleware, {
+        body: { items: [{ productId: 'x', quantity: 0 }, 'nope'], shippingInfo: {} }
+    });
+    assert.deepEqual(details.map((detail) => `${detail.field} ${detail.message}`), [
+        'items[0].productId must be a valid id',
+        'items[0].quantity must be at least 1',
+        'items[1] must be an object',
+        'shippingInfo.county is required'
+    ]);
+});
+
+test('nullable fields accept null, others treat it as missing', () => {
+    const middleware = validate({
+        body: { maxDiscount: { type: 'number', nullable: true, required: true }, name: { type: 'string', required: true } }
+    });
+    assert.deepEqual(run(middleware, { body: { maxDiscount: null, name: null } }), [
+        { location: 'body', field: 'name', message: 'is required' }
+    ]);
+});
+
+test('strict schemas reject body fields they do not list', () => {
+    const middleware = validate({ body: { name: { type: 'string' } } }, { strict: true });
+    assert.deepEqual(run(middleware, { body: { name: 'Belt', role: 'admin' } }), [
+        { location: 'body', field: 'role', message: 'is not allowed' }
+    ]);
+    assert.deepEqual(run(validate({ body: { name: { type: 'string' } } }), { body: { role: 'admin' } }), []);
+});
+
+test('the schema is attached for the OpenAPI generator, and unknown locations or types are programming errors', () => {
+    const schema = { query: paginationQuery };
+    const middleware = validate(schema, { strict: true });
+    assert.equal(middleware.schema, schema);
+    assert.equal(middleware.strict, true);
+
+    assert.throws(() => validate({ headers: {} }), /does not know the 'headers' request location/);
+    const unknownType = validate({ body: { a: { type: 'uuid' } } });
+    assert.throws(() => unknownType(fakeRequest({ body: { a: 'x' } }), {}, () => {}), /Unknown validation type 'uuid'/);
+});
+
+test('validateObjectIds requires each named param to be an ObjectId', () => {
+    const middleware = validateObjectIds('userId', 'id');
+    assert.deepEqual(run(middleware, { params: { userId: new mongoose.Types.ObjectId().toString() } }), [
+        { location: 'params', field: 'id', message: 'is required' }
+    ]);
+});
+
+test('paginationQuery caps limit at 100', () => {
+    assert.deepEqual(run(validate({ query: paginationQuery }), { query: { page: '2', limit: '101' } }), [
+        { location: 'query', field: 'limit', message: 'must be at most 100' }
+    ]);
+});
+
+test('validateValues checks parsed values like a JSON body, outside a route chain', () => {
+    const schema = { body: { variants: { type: 'array', items: { type: 'object', properties: { quantity: { type: 'integer', min: 0 } } } } } };
+    assert.doesNotThrow(() => validateValues(schema, { body: { variants: [{ quantity: 3 }] } }));
+    assert.throws(() => validateValues(schema, { body: { variants: [{ quantity: '3' }] } }), (error) => {
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        assert.deepEqual(error.details, [{ location: 'body', field: 'variants[0].quantity', message: 'must be a number' }]);
+        return true;
+    });
+    assert.throws(() => validateValues({ body: {} }, { body: { extra: 1 } }, { strict: true }), { status: 400 });
+});
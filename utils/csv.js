@@ -0,0 +1,102 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes, CRLF or LF line endings).
+
+const { AppError } = require('./errors');
+
+/**
+ * Parse CSV text into objects keyed by the header row. Blank lines are skipped.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Array<Object<string, string>>, lines: number[] }} `lines[i]` is
+ *   the line `rows[i]` starts on, counting from 1 (a quoted field can span several lines)
+ */
+function parseCsv(text) {
+    const records = []; // { values, line }
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    // Strip a UTF-8 byte order mark (Excel adds one)
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+                if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push({ values: record, line: recordLine });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new AppError(400, `CSV has an unterminated quoted field (starting on line ${recordLine}).`);
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ values: record, line: recordLine });
+    }
+
+    const nonEmpty = records.filter(({ values }) => values.some((value) => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return { headers: [], rows: [], lines: [] };
+    }
+    const headers = nonEmpty[0].values.map((header) => header.trim());
+    const rows = nonEmpty.slice(1).map(({ values }) => {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = values[index] !== undefined ? values[index] : '';
+        });
+        return row;
+    });
+    return { headers, rows, lines: nonEmpty.slice(1).map((entry) => entry.line) };
+}
+
+function escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheet apps run cells starting with one of these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Make a text value safe to open in a spreadsheet: one that would be read as a formula
+ * gets a leading apostrophe, which spreadsheets show as plain text. Non-strings are returned as is.
+ */
+function neutralizeFormula(value) {
+    return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/** Undo neutralizeFormula, for files that were exported by us and edited in a spreadsheet. */
+function restoreFormulaText(value) {
+    return typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/** One CSV line (with trailing CRLF) for the given values. */
+function toCsvRow(values) {
+    return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+module.exports = { parseCsv, toCsvRow, neutralizeFormula, restoreFormulaText };
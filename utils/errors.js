@@ -0,0 +1,42 @@
+// utils/errors.js
+// Errors thrown by routes, middleware and services. Express 5 forwards anything thrown
+// (or rejected) in a handler to the error handler in middleware/errorHandler.js, which turns it into
+//   { error: { code, message, details? } }
+// so routes never build error responses themselves.
+
+// Default machine-readable code for each status
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+/**
+ * An error with an HTTP status and a stable `code` clients can branch on.
+ * `details` carries structured context, e.g. field errors or unavailable cart items.
+ * @example throw new AppError(404, 'Product not found')
+ * @example throw new AppError(409, 'Coupon already used.', { code: 'COUPON_ALREADY_USED' })
+ */
+class AppError extends Error {
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code || codeForStatus(status);
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+}
+
+module.exports = { AppError, codeForStatus };
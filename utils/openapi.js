@@ -0,0 +1,260 @@
+// utils/openapi.js
+// Builds the OpenAPI 3 document served at /api/docs/openapi.json by walking the mounted routers.
+// Nothing is written by hand: paths and methods come from the routes themselves, parameters and
+// request bodies from the rules given to middleware/validate.js, and security from the auth
+// middleware on each route. A route without validation is still listed, just without a schema.
+
+const { protect } = require('../middleware/authMiddleware');
+
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+// Express '/orders/:id/status' -> OpenAPI '/orders/{id}/status'
+function toOpenApiPath(mountPath, routePath) {
+    const joined = `${mountPath}/${routePath}`.replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+    return joined.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParamNames(routePath) {
+    return [...routePath.matchAll(/:(\w+)/g)].map((match) => match[1]);
+}
+
+/**
+ * Convert a validate() rule into an OpenAPI schema object.
+ * @param {Object} rule see middleware/validate.js
+ */
+function ruleToSchema(rule = {}) {
+    const schema = {};
+    switch (rule.type) {
+        case 'string':
+            schema.type = 'string';
+            if (rule.pattern) schema.pattern = rule.pattern.source;
+            break;
+        case 'email':
+            schema.type = 'string';
+            schema.format = 'email';
+            break;
+        case 'objectId':
+            schema.type = 'string';
+            schema.pattern = OBJECT_ID_PATTERN;
+            break;
+        case 'date':
+            schema.type = 'string';
+            schema.format = 'date-time';
+            break;
+        case 'number':
+        case 'integer':
+        case 'boolean':
+            schema.type = rule.type;
+            break;
+        case 'array':
+            schema.type = 'array';
+            schema.items = ruleToSchema(rule.items);
+            if (rule.minLength !== undefined) schema.minItems = rule.minLength;
+            if (rule.maxLength !== undefined) schema.maxItems = rule.maxLength;
+            break;
+        case 'object':
+            Object.assign(schema, rulesToObjectSchema(rule.properties || {}));
+            break;
+        default:
+            break;
+    }
+    if (['string', 'email'].includes(rule.type)) {
+        if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+        if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+    }
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+    if (rule.enum) schema.enum = [...rule.enum];
+    if (rule.nullable) schema.nullable = true;
+    return schema;
+}
+
+function rulesToObjectSchema(rules, { strict = false } = {}) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    Object.entries(rules).forEach(([name, rule]) => {
+        schema.properties[name] = ruleToSchema(rule);
+        if (rule.required) required.push(name);
+    });
+    if (required.length > 0) schema.required = required;
+    if (strict) schema.additionalProperties = false;
+    return schema;
+}
+
+// Merge the rules of every validate() middleware on a route, per request location
+function collectValidation(handlers) {
+    const rules = { params: {}, query: {}, body: {} };
+    let strict = false;
+    let validated = false;
+    handlers.filter((handle) => handle.schema).forEach((handle) => {
+        validated = true;
+        Object.entries(handle.schema).forEach(([location, fields]) => {
+            Object.assign(rules[location], fields);
+        });
+        strict = strict || (handle.strict && Boolean(handle.schema.body));
+    });
+    return { rules, strict, validated };
+}
+
+// Describe one route method as an OpenAPI operation
+function buildOperation({ method, routePath, handlers, tag }) {
+    const { rules, strict, validated } = collectValidation(handlers);
+    const isProtected = handlers.includes(protect);
+    const permissions = handlers.flatMap((handle) => handle.permissions || []);
+    const roles = handlers.flatMap((handle) => handle.roles || []);
+    const isUpload = handlers.some((handle) => handle.name === 'multerMiddleware');
+
+    const parameters = [
+        ...pathParamNames(routePath).map((name) => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: ruleToSchema(rules.params[name] || { type: 'string' })
+        })),
+        ...Object.entries(rules.query).map(([name, rule]) => ({
+            name,
+            in: 'query',
+            required: Boolean(rule.required),
+            schema: ruleToSchema(rule)
+        }))
+    ];
+
+    const operation = { tags: [tag] };
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+    if (isUpload) {
+        const schema = rulesToObjectSchema(rules.body);
+        schema.description = 'Files are sent as multipart parts alongside these fields.';
+        operation.requestBody = { content: { 'multipart/form-data': { schema } } };
+    } else if (Object.keys(rules.body).length > 0) {
+        const schema = rulesToObjectSchema(rules.body, { strict });
+        operation.requestBody = {
+            required: Boolean(schema.required),
+            content: { 'application/json': { schema } }
+        };
+    }
+
+    const notes = [];
+    if (permissions.length > 0) notes.push(`Requires the permission(s): ${permissions.join(', ')}.`);
+    if (roles.length > 0) notes.push(`Requires one of the roles: ${roles.join(', ')}.`);
+    if (notes.length > 0) {
+        operation.description = notes.join(' ');
+        operation['x-permissions'] = permissions;
+    }
+    if (isProtected) {
+        operation.security = [{ bearerAuth: [] }];
+    }
+
+    // Every error below is sent as the envelope in components.schemas.Error (see middleware/errorHandler.js)
+    operation.responses = { '2XX': { description: 'Success' } };
+    if (validated || isUpload || parameters.length > 0 || operation.requestBody) {
+        operation.responses['400'] = { $ref: '#/components/responses/BadRequest' };
+    }
+    if (isProtected) {
+        operation.responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+        operation.responses['403'] = { $ref: '#/components/responses/Forbidden' };
+    }
+    if (parameters.some((param) => param.in === 'path')) {
+        operation.responses['404'] = { $ref: '#/components/responses/NotFound' };
+    }
+    operation.responses.default = { $ref: '#/components/responses/Error' };
+    return operation;
+}
+
+/**
+ * List every route of a router as { method, routePath, handlers }, where `handlers` also
+ * includes router.use() middleware registered before the route on a matching path.
+ * @param {import('express').Router} router
+ */
+function listRoutes(router) {
+    const routes = [];
+    router.stack.forEach((layer, index) => {
+        if (!layer.route) return;
+        const routePath = layer.route.path;
+        const shared = router.stack
+            .slice(0, index)
+            .filter((earlier) => !earlier.route && earlier.match(routePath))
+            .map((earlier) => earlier.handle);
+        const own = layer.route.stack.map((routeLayer) => routeLayer.handle);
+        Object.keys(layer.route.methods).forEach((method) => {
+            routes.push({ method, routePath, handlers: [...shared, ...own] });
+        });
+    });
+    return routes;
+}
+
+const errorEnvelope = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+                code: { type: 'string', example: 'VALIDATION_ERROR' },
+                message: { type: 'string' },
+                details: {
+                    description: 'Field-level problems, for VALIDATION_ERROR a list of { location, field, message }',
+                    oneOf: [
+                        {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                                    field: { type: 'string' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        },
+                        { type: 'object' }
+                    ]
+                }
+            }
+        }
+    }
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+/**
+ * Build the OpenAPI document for the given mounts.
+ * @param {Array<{ path: string, router: import('express').Router, tag: string }>} mounts see routes/index.js
+ * @param {{ title?: string, version?: string }} [info]
+ */
+function buildOpenApiSpec(mounts, { title = 'API', version = '1.0.0' } = {}) {
+    const paths = {};
+    mounts.forEach(({ path: mountPath, router, tag }) => {
+        listRoutes(router).forEach(({ method, routePath, handlers }) => {
+            const openApiPath = toOpenApiPath(mountPath, routePath);
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][method] = buildOperation({ method, routePath, handlers, tag });
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: { title, version },
+        tags: [...new Set(mounts.map((mount) => mount.tag))].map((name) => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            schemas: { Error: errorEnvelope },
+            responses: {
+                BadRequest: errorResponse('The request failed validation (VALIDATION_ERROR) or cannot be carried out'),
+                Unauthorized: errorResponse('Missing, invalid or expired access token'),
+                Forbidden: errorResponse('The account may not perform this action'),
+                NotFound: errorResponse('Nothing exists with the given id'),
+                Error: errorResponse('Error')
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiSpec, listRoutes, toOpenApiPath, ruleToSchema };
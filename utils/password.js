@@ -0,0 +1,172 @@
+// utils/password.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AppError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<salt hex>$<derived key hex>
+const HASH_PREFIX = 'scrypt$';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+    return `${HASH_PREFIX}${salt}$${derivedKey.toString('hex')}`;
+}
+
+/**
+ * Compare a candidate password with what is stored on the account.
+ * Rows created before hashing was introduced still hold plaintext, so those are compared
+ * directly and reported with `needsRehash: true` so the caller can upgrade them.
+ * @returns {Promise<{ match: boolean, needsRehash: boolean }>}
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return { match: false, needsRehash: false };
+    }
+
+    if (!isHashed(stored)) {
+        const a = Buffer.from(password);
+        const b = Buffer.from(stored);
+        const match = a.length === b.length && crypto.timingSafeEqual(a, b);
+        return { match, needsRehash: match };
+    }
+
+    const [salt, keyHex] = stored.slice(HASH_PREFIX.length).split('$');
+    const expected = Buffer.from(keyHex || '', 'hex');
+    if (!salt || expected.length !== KEY_LENGTH) {
+        return { match: false, needsRehash: false };
+    }
+    const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+    return { match: crypto.timingSafeEqual(derivedKey, expected), needsRehash: false };
+}
+
+// Password strength policy, configurable through the environment
+function getPasswordPolicy() {
+    const flag = (name, fallback) => (process.env[name] === undefined ? fallback : process.env[name] === 'true');
+    return {
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+        requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', true),
+        requireLowercase: flag('PASSWORD_REQUIRE_LOWERCASE', true),
+        requireNumber: flag('PASSWORD_REQUIRE_NUMBER', true),
+        requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false)
+    };
+}
+
+/**
+ * Check a plaintext password against the policy.
+ * @returns {string[]} list of problems, empty when the password is acceptable
+ */
+function validatePasswordStrength(password, policy = getPasswordPolicy()) {
+    if (typeof password !== 'string') {
+        return ['Password is required.'];
+    }
+    const problems = [];
+    if (password.length < policy.minLength) {
+        problems.push(`Password must be at least ${policy.minLength} characters long.`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        problems.push('Password must contain an uppercase letter.');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        problems.push('Password must contain a lowercase letter.');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+        problems.push('Password must contain a number.');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        problems.push('Password must contain a symbol.');
+    }
+    return problems;
+}
+
+/**
+ * Throw a 400 WEAK_PASSWORD error, with one detail per problem, when the password breaks the policy.
+ * @param {string} [field] body field the password was sent in
+ */
+function assertPasswordStrength(password, field = 'password') {
+    const problems = validatePasswordStrength(password);
+    if (problems.length > 0) {
+        throw new AppError(400, 'Password does not meet requirements.', {
+            code: 'WEAK_PASSWORD',
+            details: problems.map((message) => ({ location: 'body', field, message }))
+        });
+    }
+}
+
+// Back-dated slightly so tokens issued right after a password change (JWT `iat` is in whole
+// seconds) are not rejected by `protect`
+const passwordChangeTime = () => new Date(Date.now() - 1000);
+
+/**
+ * Mongoose plugin shared by the User and (legacy) Admin schemas:
+ * hashes `password` on save and on findOneAndUpdate, adds `comparePassword`,
+ * and strips `password` from every JSON serialisation. On schemas with a `passwordChangedAt`
+ * path, changing the password of an existing account also sets it, which ends the sessions
+ * signed before the change (see middleware/authMiddleware.js).
+ */
+function passwordPlugin(schema) {
+    const tracksChanges = Boolean(schema.path('passwordChangedAt'));
+
+    schema.pre('save', async function () {
+        if (this.isModified('password')) {
+            this.password = await hashPassword(this.password);
+            if (tracksChanges && !this.isNew && !this.$locals.rehashingPassword) {
+                this.passwordChangedAt = passwordChangeTime();
+            }
+        }
+        this.$locals.rehashingPassword = false;
+    });
+
+    schema.pre('findOneAndUpdate', async function () {
+        const update = this.getUpdate() || {};
+        let changed = false;
+        if (typeof update.password === 'string') {
+            update.password = await hashPassword(update.password);
+            changed = true;
+        }
+        if (update.$set && typeof update.$set.password === 'string') {
+            update.$set.password = await hashPassword(update.$set.password);
+            changed = true;
+        }
+        if (changed && tracksChanges) {
+            this.set('passwordChangedAt', passwordChangeTime());
+        }
+    });
+
+    // Verifies the password and transparently upgrades legacy plaintext rows
+    schema.methods.comparePassword = async function (password) {
+        const { match, needsRehash } = await verifyPassword(password, this.password);
+        if (match && needsRehash) {
+            // Same password, so existing sessions stay valid
+            this.$locals.rehashingPassword = true;
+            // Re-hashed by the pre-save hook. The value is unchanged, so it must be marked modified
+            this.markModified('password');
+            await this.save();
+        }
+        return match;
+    };
+
+    schema.set('toJSON', {
+        transform: (doc, ret) => {
+            delete ret.password;
+            return ret;
+        }
+    });
+}
+
+module.exports = {
+    isHashed,
+    hashPassword,
+    verifyPassword,
+    getPasswordPolicy,
+    validatePasswordStrength,
+    assertPasswordStrength,
+    passwordPlugin
+};
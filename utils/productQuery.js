@@ -0,0 +1,134 @@
+// utils/productQuery.js
+// Turns GET /api/products query parameters into a MongoDB filter, sort and page.
+// Shared by the product listing and any endpoint that must respect the same filter set.
+
+const { AppError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_OPTIONS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    price_asc: { price: 1 },
+    price_desc: { price: -1 },
+    name_asc: { name: 1 },
+    name_desc: { name: -1 },
+    rating_desc: { ratingAverage: -1, ratingCount: -1 },
+    most_reviewed: { ratingCount: -1, ratingAverage: -1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Shoes,Bags" -> case-insensitive exact matches for either value
+function toMatchList(raw) {
+    return String(raw)
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i'));
+}
+
+function parseNumber(raw, name) {
+    const value = Number(raw);
+    if (raw === '' || Number.isNaN(value) || value < 0) {
+        throw new AppError(400, `${name} must be a non-negative number.`);
+    }
+    return value;
+}
+
+/**
+ * Build the MongoDB filter for the catalogue query parameters.
+ * Supported: q, category, brand, size, color, minPrice, maxPrice, inStock, minRating.
+ * category/brand/size/color accept comma-separated lists. size and color also match variants.
+ * `category` matches category slugs when the caller has resolved them into `query.categoryIds`.
+ * Throws an AppError (400) on invalid values.
+ * @param {Object} query req.query
+ * @param {{ exclude?: string[] }} [options] parameters to leave out (used when counting facets)
+ */
+function buildProductFilter(query, { exclude = [] } = {}) {
+    const use = (name) => query[name] !== undefined && query[name] !== '' && !exclude.includes(name);
+    const conditions = [];
+
+    if (use('q')) {
+        conditions.push({ $text: { $search: String(query.q) } });
+    }
+    if (use('category')) {
+        // categoryIds is resolved by the caller from category slugs (including subcategories);
+        // the name match keeps products that only have the legacy free-text category
+        const byName = { category: { $in: toMatchList(query.category) } };
+        conditions.push(query.categoryIds
+            ? { $or: [{ categoryId: { $in: query.categoryIds } }, byName] }
+            : byName);
+    }
+    if (use('brand')) {
+        conditions.push({ brand: { $in: toMatchList(query.brand) } });
+    }
+    if (use('size')) {
+        const sizes = toMatchList(query.size);
+        conditions.push({ $or: [{ size: { $in: sizes } }, { 'variants.size': { $in: sizes } }] });
+    }
+    if (use('color')) {
+        const colors = toMatchList(query.color);
+        conditions.push({ $or: [{ color: { $in: colors } }, { 'variants.color': { $in: colors } }] });
+    }
+    if (use('minPrice') || use('maxPrice')) {
+        const price = {};
+        if (use('minPrice')) price.$gte = parseNumber(query.minPrice, 'minPrice');
+        if (use('maxPrice')) price.$lte = parseNumber(query.maxPrice, 'maxPrice');
+        conditions.push({ price });
+    }
+    if (use('inStock') && String(query.inStock) === 'true') {
+        conditions.push({ quantity: { $gt: 0 } });
+    }
+    if (use('minRating')) {
+        const minRating = parseNumber(query.minRating, 'minRating');
+        if (minRating > 5) {
+            throw new AppError(400, 'minRating must be between 0 and 5.');
+        }
+        conditions.push({ ratingAverage: { $gte: minRating } });
+    }
+
+    if (conditions.length === 0) return {};
+    if (conditions.length === 1) return conditions[0];
+    return { $and: conditions };
+}
+
+/**
+ * Sort for the `sort` parameter. Text searches default to relevance, everything else to newest.
+ * `_id` is always the final key so pages are stable.
+ */
+function buildProductSort(query) {
+    const sortKey = query.sort || (query.q ? 'relevance' : 'newest');
+    if (sortKey === 'relevance') {
+        if (!query.q) {
+            throw new AppError(400, "sort=relevance requires a search query 'q'.");
+        }
+        return { score: { $meta: 'textScore' }, _id: 1 };
+    }
+    const sort = SORT_OPTIONS[sortKey];
+    if (!sort) {
+        throw new AppError(400, `sort must be one of: relevance, ${Object.keys(SORT_OPTIONS).join(', ')}.`);
+    }
+    return { ...sort, _id: 1 };
+}
+
+/** Page-based pagination: `page` (1-based) and `limit` (max 100). */
+function parsePagination(query) {
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (!Number.isInteger(page) || page < 1) {
+        throw new AppError(400, 'page must be a positive whole number.');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new AppError(400, `limit must be between 1 and ${MAX_LIMIT}.`);
+    }
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+module.exports = {
+    SORT_OPTIONS,
+    buildProductFilter,
+    buildProductSort,
+    parsePagination
+};
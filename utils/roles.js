@@ -0,0 +1,41 @@
+// utils/roles.js
+// Account roles and what each may do. Customers have the 'user' role and no permissions;
+// every other role is a staff role. Routes check permissions (authorizePermissions), not roles,
+// so a role can be given more or less access here without touching the routes.
+
+const PERMISSIONS = [
+    'catalog:manage',     // products, variants, images, categories, import/export
+    'inventory:manage',   // stock movements and the low-stock report
+    'reviews:moderate',
+    'coupons:manage',
+    'shipping:manage',    // shipping zones and pickup stations
+    'orders:manage',      // all orders, status changes, returns
+    'payments:manage',    // payment status and reconciliation
+    'customers:read',     // customer accounts, their orders, carts and wishlists
+    'customers:manage',   // edit, suspend and reactivate customers
+    'reports:view',
+    'staff:manage'        // create staff accounts and assign roles
+];
+
+const ROLE_PERMISSIONS = {
+    user: [],
+    catalog_manager: ['catalog:manage', 'inventory:manage', 'reviews:moderate', 'coupons:manage', 'reports:view'],
+    order_manager: ['orders:manage', 'payments:manage', 'shipping:manage', 'customers:read', 'reports:view'],
+    admin: PERMISSIONS.filter((permission) => permission !== 'staff:manage'),
+    super_admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const STAFF_ROLES = ROLES.filter((role) => role !== 'user');
+
+function roleHasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLES,
+    STAFF_ROLES,
+    roleHasPermission
+};
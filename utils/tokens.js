@@ -0,0 +1,80 @@
+// utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Access tokens are short-lived and sent on every request in the Authorization header.
+// Refresh tokens live longer and are only accepted by the refresh-token endpoints.
+const ACCESS_TOKEN_SECRET = () => process.env.JWT_SECRET;
+const REFRESH_TOKEN_SECRET = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = () => process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = () => process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+// `role` is informational; `protect` reloads the account, so role changes apply immediately
+function buildPayload(account) {
+    return {
+        id: account._id.toString(),
+        role: account.role
+    };
+}
+
+function generateAccessToken(account) {
+    return jwt.sign(
+        { ...buildPayload(account), tokenType: 'access' },
+        ACCESS_TOKEN_SECRET(),
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN() }
+    );
+}
+
+function generateRefreshToken(account) {
+    return jwt.sign(
+        { ...buildPayload(account), tokenType: 'refresh' },
+        REFRESH_TOKEN_SECRET(),
+        { expiresIn: REFRESH_TOKEN_EXPIRES_IN() }
+    );
+}
+
+// Issue both tokens in the shape returned by the login and refresh endpoints
+function issueTokens(account) {
+    return {
+        accessToken: generateAccessToken(account),
+        refreshToken: generateRefreshToken(account)
+    };
+}
+
+// Both verifiers throw (jwt.JsonWebTokenError / jwt.TokenExpiredError) on bad tokens
+function verifyAccessToken(token) {
+    const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET());
+    if (decoded.tokenType !== 'access') {
+        throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+    return decoded;
+}
+
+function verifyRefreshToken(token) {
+    const decoded = jwt.verify(token, REFRESH_TOKEN_SECRET());
+    if (decoded.tokenType !== 'refresh') {
+        throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+    return decoded;
+}
+
+// One-time tokens (password reset, email verification) are emailed in the clear
+// and only their SHA-256 hash is stored, so a leaked database row cannot be replayed.
+function hashOneTimeToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createOneTimeToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hashedToken: hashOneTimeToken(token) };
+}
+
+module.exports = {
+    generateAccessToken,
+    generateRefreshToken,
+    issueTokens,
+    verifyAccessToken,
+    verifyRefreshToken,
+    hashOneTimeToken,
+    createOneTimeToken
+};
@@ -0,0 +1,24 @@
+// utils/transaction.js
+const mongoose = require('mongoose');
+
+// NOTE: MongoDB transactions need a replica set (Atlas clusters are; a local mongod must be
+// started with --replSet). Without one, startTransaction fails and nothing is written.
+
+/**
+ * Run `work(session)` inside a MongoDB transaction and return its result.
+ * withTransaction retries on transient errors, so `work` must be safe to re-run.
+ */
+async function runInTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+module.exports = { runInTransaction };